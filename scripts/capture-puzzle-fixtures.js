@@ -0,0 +1,50 @@
+// --- Capture Puzzle Fixtures ---
+// Saves Lichess puzzle API responses as they are into test/fixtures, so the
+// tests run against real payloads. Pass one "<fixture>=<puzzle id>" pair per
+// fixture, or "<fixture>=daily" for today's daily puzzle:
+//
+//   npm run fixtures:capture -- daily-white-to-move=daily puzzle-black-to-move=<id>
+//
+// The fixture tests pin the captured ids and positions, so update their
+// expectations after capturing new puzzles.
+
+import { writeFile } from "node:fs/promises";
+
+const LICHESS_API_ORIGIN = "https://lichess.org";
+const FIXTURES_DIR = new URL("../test/fixtures/", import.meta.url);
+const FIXTURE_ARG_PATTERN = /^([a-z0-9-]+)=(daily|[a-zA-Z0-9]{5})$/;
+
+const fixtures = process.argv.slice(2).map((arg) => {
+  const match = arg.match(FIXTURE_ARG_PATTERN);
+  if (!match) {
+    console.error(
+      `Expected "<fixture>=<puzzle id>" or "<fixture>=daily", got "${arg}"`
+    );
+    process.exit(1);
+  }
+  return { name: match[1], puzzleId: match[2] };
+});
+if (fixtures.length === 0) {
+  console.error(
+    "Usage: npm run fixtures:capture -- <fixture>=<puzzle id|daily> ..."
+  );
+  process.exit(1);
+}
+
+for (const { name, puzzleId } of fixtures) {
+  const path =
+    puzzleId === "daily" ? "/api/puzzle/daily" : `/api/puzzle/${puzzleId}`;
+  const response = await fetch(`${LICHESS_API_ORIGIN}${path}`, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) {
+    console.error(`${path}: HTTP ${response.status}`);
+    process.exit(1);
+  }
+  const data = await response.json();
+  const file = new URL(`${name}.json`, FIXTURES_DIR);
+  await writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(
+    `Saved puzzle ${data.puzzle?.id} from ${path} to ${file.pathname}`
+  );
+}
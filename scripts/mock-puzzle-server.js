@@ -0,0 +1,75 @@
+// --- Mock Puzzle Server ---
+// Serves a fixed puzzle in the shape of the Lichess puzzle API, for trying the
+// puzzle provider's fallback chain locally. Run one healthy and one broken
+// instance, then point the app at both:
+//
+//   MOCK_PORT=8788 MOCK_FAILURE=500 npm run mock:puzzles
+//   npm run mock:puzzles
+//   VITE_PUZZLE_ENDPOINTS="http://localhost:8788{path},http://localhost:8787{path}" npm run dev
+//
+// MOCK_FAILURE: "500" (server error), "timeout" (never answers),
+// "html" (not JSON), "invalid" (JSON missing the solution). Unset = healthy.
+
+import { createServer } from "node:http";
+
+const port = Number(process.env.MOCK_PORT) || 8787;
+const failure = process.env.MOCK_FAILURE || "";
+
+// Scholar's mate: after 1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6, white mates with Qxf7#
+const createPuzzleResponse = (puzzleId) => ({
+  game: {
+    id: "mockGame1",
+    pgn: "e4 e5 Bc4 Nc6 Qh5 Nf6",
+  },
+  puzzle: {
+    id: puzzleId,
+    rating: 600,
+    plays: 1,
+    initialPly: 5,
+    solution: ["h5f7"],
+    themes: ["mateIn1", "opening", "short"],
+  },
+});
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  response.end(JSON.stringify(body));
+};
+
+const server = createServer((request, response) => {
+  const { pathname } = new URL(request.url, `http://localhost:${port}`);
+  console.log(`${request.method} ${pathname}${failure ? ` (${failure})` : ""}`);
+
+  if (failure === "timeout") return; // Leave the request hanging
+  if (failure === "500") {
+    sendJson(response, 500, { error: "Mock server error" });
+    return;
+  }
+  if (failure === "html") {
+    response.writeHead(200, {
+      "Content-Type": "text/html",
+      "Access-Control-Allow-Origin": "*",
+    });
+    response.end("<html><body>Proxy error</body></html>");
+    return;
+  }
+
+  const puzzleId =
+    pathname === "/api/puzzle/daily"
+      ? "mock1"
+      : pathname.match(/^\/api\/puzzle\/([a-zA-Z0-9]{5})$/)?.[1];
+  if (!puzzleId) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  const body = createPuzzleResponse(puzzleId);
+  if (failure === "invalid") delete body.puzzle.solution;
+  sendJson(response, 200, body);
+});
+
+server.listen(port, () => {
+  console.log(`Mock puzzle server listening on http://localhost:${port}`);
+});
@@ -1,18 +1,201 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import { Chessboard } from "react-chessboard";
 import { Chess } from "chess.js";
-import styled, { createGlobalStyle } from "styled-components";
+import styled, { createGlobalStyle, css } from "styled-components";
 import { motion, AnimatePresence } from "motion/react";
+import { computeStats, readFinishedGames } from "./stats";
+import { FEEDBACK_REASONS, scoreSequence } from "./scoring";
+import {
+  getFinalSolverMove,
+  parseFinalMoveGuess,
+  scoreFinalMoveGuess,
+} from "./finalMove";
+import {
+  buildArchiveUrl,
+  findDailyDateKey,
+  isValidPuzzleId,
+  readArchiveSelection,
+  readDailyIndex,
+  recordDailyPuzzle,
+} from "./archive";
+import {
+  cachePuzzleResponse,
+  getDailyDateKey,
+  getMsUntilNextUtcDay,
+  readCachedPuzzleResponse,
+} from "./puzzleCache";
+import { puzzleProvider } from "./puzzleProvider";
+import { normalizePuzzle } from "./normalizePuzzle";
+import {
+  STARTING_FEN,
+  buildSetupFen,
+  decodeCustomPuzzle,
+  encodeCustomPuzzle,
+  fenToBoardPosition,
+  validateSetupFen,
+} from "./customPuzzle";
+import {
+  clearPuzzlePack,
+  findPackPuzzle,
+  getBundledPacks,
+  parsePuzzleCsv,
+  parsePuzzlePackJson,
+  readPuzzlePack,
+  savePuzzlePack,
+} from "./puzzlePack";
+import { buildMoveLine, formatNumberedSan, getMoveNumberLabel } from "./replay";
+import {
+  checkHardModeMove,
+  checkHardModeSequence,
+  getHardModeConstraints,
+} from "./hardMode";
+import {
+  ANIMATION_SPEEDS,
+  BOARD_THEMES,
+  COLOR_THEMES,
+  LANGUAGES,
+  MOVE_NOTATIONS,
+  PIECE_SETS,
+  TIMER_MODES,
+  readSettings,
+  saveSettings,
+} from "./settings";
+import { playSound } from "./sounds";
+import {
+  EMPTY_CLOCK,
+  formatDuration,
+  getClockStart,
+  getSolveTime,
+  getTimeLeft,
+  restoreClock,
+} from "./timer";
+import { createI18n, resolveLocale } from "./i18n";
+import {
+  describeAttemptResult,
+  describePiece,
+  describeSquare,
+  getNeighbourSquare,
+  getStartSquare,
+} from "./accessibility";
+import {
+  HINT_PENALTY,
+  HINT_TYPES,
+  computeScore,
+  describeHint,
+  formatTheme,
+  getNextUnsolvedPly,
+} from "./hints";
 
 // --- Constants ---
-const LICHESS_DAILY_PUZZLE_URL = "https://lichess.org/api/puzzle/daily";
 const MAX_ATTEMPTS = 5;
-const CORS_PROXY_URL = "https://api.allorigins.win/raw?url="; // CORS Proxy
 const BOARD_RESET_DELAY = 500; // Delay in ms before resetting board visually after failed attempt
 const LOCAL_STORAGE_KEY_PREFIX = "chessdle_progress_"; // Prefix for localStorage keys
 // Suffix for localStorage key to track if the 'How it Works' modal has been seen for a specific puzzle
 const LOCAL_STORAGE_SEEN_MODAL_SUFFIX = "_seen_modal";
+// Suffix for localStorage key holding a puzzle's "final move only" progress
+const LOCAL_STORAGE_FINAL_MODE_SUFFIX = "_final";
 const GITHUB_URL = "https://github.com/noahsemus/chessdle";
+const SHARE_STATUS_RESET_DELAY = 2000; // Delay in ms before the share button label resets
+// Emoji used for each feedback color in the share text
+const FEEDBACK_EMOJI = { green: "🟩", yellow: "🟨", red: "🟥" };
+const HINT_EMOJI = "💡"; // Marks hints in the share text
+// How the opponent's replies from the solution are entered:
+// 'manual' (player drags both sides), 'auto' (played after a correct move),
+// 'forgiving' (played after any legal move)
+const OPPONENT_REPLY_MODES = ["manual", "auto", "forgiving"];
+const LOCAL_STORAGE_OPPONENT_MODE_KEY = "chessdle_opponent_replies";
+const OPPONENT_REPLY_DELAY = 400; // Delay in ms before an opponent reply is auto-played
+const SELECTED_SQUARE_SHADOW = "inset 0 0 0 4px var(--orange-500)"; // Board highlight for picked squares
+const KEYBOARD_SQUARE_OUTLINE = "3px dashed var(--neutral-100)"; // Board keyboard cursor
+// Elements the Tab key cycles through inside an open modal
+const FOCUSABLE_SELECTOR =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const REPLAY_AUTOPLAY_DELAY = 1000; // Delay in ms between moves when the game-over replay autoplays
+const REPLAY_MOVE_HIGHLIGHT = "var(--state-orange-40)"; // Board highlight for the replayed move's squares
+const REPLAY_SQUARE_SHADOWS = {
+  match: "inset 0 0 0 4px var(--dark-green-200)", // Square agrees with the scored solution move
+  partial: "inset 0 0 0 4px var(--orange-500)", // Yellow move saved without a reason code
+  miss: "inset 0 0 0 4px var(--state-red-60)", // Square differs from the scored solution move
+};
+// Arrows are drawn as SVG attributes, which can't read CSS variables
+const REPLAY_ARROW_COLORS = {
+  green: "#b2dfdb", // --dark-green-200
+  yellow: "#ffa726", // --orange-500
+  red: "#ff0000",
+  solution: "#eceff1", // --neutral-100, the solution's move (game over only)
+};
+// Arrow colors with the colorblind feedback setting, matching its chips
+const COLORBLIND_ARROW_COLORS = {
+  ...REPLAY_ARROW_COLORS,
+  green: "#56b4e9", // --feedback-green (colorblind)
+  yellow: "#e69f00", // --feedback-yellow (colorblind)
+};
+// Marks added to feedback chips with the colorblind feedback setting
+const FEEDBACK_ICONS = { green: "✓", yellow: "~", red: "✗" };
+const UCI_MOVE_PATTERN = /^[a-h][1-8][a-h][1-8][qrbn]?$/i;
+const DAILY_PREFETCH_DELAY = 5 * 60 * 1000; // Wait in ms after the UTC day change before prefetching the new daily
+// Board colors shared by the game board and the puzzle creator
+const BOARD_STYLE = {
+  borderRadius: "4px",
+  boxShadow: "0 4px 15px var(--state-shadow-dark)",
+};
+// Pieces offered by the puzzle creator's palette, with their glyphs
+const CREATOR_PALETTE = [
+  "wK",
+  "wQ",
+  "wR",
+  "wB",
+  "wN",
+  "wP",
+  "bK",
+  "bQ",
+  "bR",
+  "bB",
+  "bN",
+  "bP",
+];
+const PIECE_SYMBOLS = {
+  wK: "♔",
+  wQ: "♕",
+  wR: "♖",
+  wB: "♗",
+  wN: "♘",
+  wP: "♙",
+  bK: "♚",
+  bQ: "♛",
+  bR: "♜",
+  bB: "♝",
+  bN: "♞",
+  bP: "♟",
+};
+const SOLID_PIECE_GLYPHS = {
+  K: "♚\uFE0E", // Text presentation, so the pawn doesn't turn into an emoji
+  Q: "♛\uFE0E",
+  R: "♜\uFE0E",
+  B: "♝\uFE0E",
+  N: "♞\uFE0E",
+  P: "♟\uFE0E",
+};
+const DAILY_PREFETCH_RETRY_DELAY = 60 * 60 * 1000; // Retry in ms while the new daily isn't published yet
+const STALE_DAILY_RETRY_DELAY = 5 * 60 * 1000; // Check again in ms while yesterday's daily is still served after the rollover
+const COUNTDOWN_TICK = 1000; // Interval in ms between next-puzzle countdown updates
+const CLOCK_TICK = 250; // Interval in ms between timed mode clock updates
+const CLOCK_LOW_TIME = 10 * 1000; // Time left in ms from which the clock turns red
+const TIME_UP_EMOJI = "⏰"; // Marks attempts the clock submitted in the share text
+const SUMMARY_MODAL_DELAY = 1500; // Delay in ms before the game summary opens, so the last feedback can play out
+const LICHESS_TRAINING_URL = "https://lichess.org/training/";
+const SUMMARY_STAT_KEYS = [
+  "played",
+  "winPercentage",
+  "currentStreak",
+  "bestStreak",
+];
 
 // --- Helper Functions ---
 
@@ -61,6 +244,269 @@ const parseUci = (uci) => {
   return { from, to, promotion };
 };
 
+/**
+ * Creates an error whose message is shown to the player in their language:
+ * `messageKey` and `messageParams` are translated when the error is shown.
+ */
+const createLocalizedError = (messageKey, messageParams = {}) => {
+  const error = new Error(messageKey);
+  error.messageKey = messageKey;
+  error.messageParams = messageParams;
+  return error;
+};
+
+/** Describes why loading failed, translating localized errors. */
+const describeErrorReason = (error, t) =>
+  error?.messageKey
+    ? t(error.messageKey, error.messageParams)
+    : error?.message || t("app.unknownError");
+
+/**
+ * Builds the spoiler-free, Wordle-style share text for a finished puzzle.
+ * Only feedback colors are included, never the moves themselves. The labels
+ * follow the player's language.
+ */
+const buildShareText = (
+  puzzle,
+  attemptsHistory,
+  gameState,
+  gameMode,
+  hintsUsed = [],
+  isHardMode = false,
+  timerMode = "off",
+  solveTime = null,
+  t
+) => {
+  const attemptsUsed = gameState === "won" ? `${attemptsHistory.length}` : "X";
+  const modeLabel =
+    gameMode === "final"
+      ? ` · ${t("share.finalMoveOnly")}`
+      : isHardMode
+      ? ` · ${t("share.hardMode")}`
+      : "";
+  const hintLabel =
+    hintsUsed.length > 0
+      ? ` · ${HINT_EMOJI}${hintsUsed.length}${
+          gameState === "won"
+            ? ` · ${t("share.score", {
+                score: computeScore(attemptsHistory.length, hintsUsed),
+              })}`
+            : ""
+        }`
+      : "";
+  // English timer labels live in settings.js, other locales have their own
+  const timerKey = `settings.option.timer.${timerMode}`;
+  const timerLabel = t.has(timerKey)
+    ? t(timerKey)
+    : TIMER_MODES[timerMode].label.toLowerCase();
+  const timeLabel =
+    solveTime !== null
+      ? ` · ⏱ ${formatDuration(solveTime)} (${timerLabel})`
+      : "";
+  const header = `Chessdle #${puzzle.id} (${t("share.rating", {
+    rating: puzzle.rating,
+  })}${modeLabel}) ${attemptsUsed}/${MAX_ATTEMPTS}${hintLabel}${timeLabel}`;
+  // Each hint is marked on the row of the attempt it was taken for
+  const rows = attemptsHistory.map(
+    (attempt, index) =>
+      getScoredPlyIndices(attempt)
+        .map((plyIndex) => FEEDBACK_EMOJI[attempt.feedback[plyIndex]] || "⬜")
+        .join("") +
+      HINT_EMOJI.repeat(
+        hintsUsed.filter((hint) => hint.attempt === index + 1).length
+      ) +
+      (attempt.timedOut ? TIME_UP_EMOJI : "")
+  );
+  const url = buildArchiveUrl(readArchiveSelection()); // Archive and custom puzzles link back to themselves
+  return [header, "", ...rows, "", url].join("\n");
+};
+
+/**
+ * Returns the indices of the plies scored as the player's own guesses.
+ * Attempts made with auto-played opponent replies only score the solver's
+ * plies (even indices); the replies are reported separately.
+ */
+const getScoredPlyIndices = (attempt) =>
+  attempt.feedback
+    .map((_, index) => index)
+    .filter((index) => !attempt.solverPliesOnly || index % 2 === 0);
+
+/**
+ * Board annotations for one replayed ply of an attempt: an arrow for the
+ * played move in its feedback color, and its from/to squares outlined by
+ * whether they matched the scored solution move. Passing the solution's move
+ * for the step (only done once the game is over) adds its arrow where the
+ * attempt differed. Returns { arrows, squareStyles }.
+ */
+const getReplayAnnotations = (
+  move,
+  feedback,
+  reason,
+  solutionMove,
+  arrowColors = REPLAY_ARROW_COLORS
+) => {
+  if (!feedback) {
+    // Unscored opponent reply: mark it like a solution move
+    return {
+      arrows: [],
+      squareStyles: {
+        [move.from]: { backgroundColor: REPLAY_MOVE_HIGHLIGHT },
+        [move.to]: { backgroundColor: REPLAY_MOVE_HIGHLIGHT },
+      },
+    };
+  }
+  let fromMatch = feedback === "green" ? "match" : "miss";
+  let toMatch = fromMatch;
+  if (reason === FEEDBACK_REASONS.WRONG_PROMOTION) {
+    fromMatch = toMatch = "match";
+  } else if (reason === FEEDBACK_REASONS.RIGHT_PIECE) {
+    fromMatch = "match";
+  } else if (reason === FEEDBACK_REASONS.RIGHT_DESTINATION) {
+    toMatch = "match";
+  } else if (feedback === "yellow" && !reason) {
+    fromMatch = toMatch = "partial";
+  }
+  const arrows = [[move.from, move.to, arrowColors[feedback]]];
+  if (feedback !== "green" && solutionMove) {
+    arrows.push([solutionMove.from, solutionMove.to, arrowColors.solution]);
+  }
+  return {
+    arrows,
+    squareStyles: {
+      [move.from]: { boxShadow: REPLAY_SQUARE_SHADOWS[fromMatch] },
+      [move.to]: { boxShadow: REPLAY_SQUARE_SHADOWS[toMatch] },
+    },
+  };
+};
+
+/**
+ * Summarizes how many opponent replies in an attempt followed the solution.
+ */
+const describeOpponentReplies = (attempt, t) => {
+  const replyIndices = attempt.feedback
+    .map((_, index) => index)
+    .filter((index) => index % 2 === 1);
+  const correctReplies = replyIndices.filter(
+    (index) => attempt.feedback[index] === "green"
+  ).length;
+  const autoPlayedCount = replyIndices.filter((index) =>
+    (attempt.autoPlayed || []).includes(index)
+  ).length;
+  return t("history.opponentReplies", {
+    correct: correctReplies,
+    total: replyIndices.length,
+    autoPlayed: autoPlayedCount,
+  });
+};
+
+/**
+ * Returns the localStorage key holding a puzzle's progress in a game mode.
+ * Standard mode keeps the original key so existing progress still loads.
+ */
+const getProgressStorageKey = (puzzleId, gameMode) =>
+  `${LOCAL_STORAGE_KEY_PREFIX}${puzzleId}${
+    gameMode === "final" ? LOCAL_STORAGE_FINAL_MODE_SUFFIX : ""
+  }`;
+
+/**
+ * Reads and validates saved progress. Invalid data is removed so the puzzle
+ * starts fresh. Returns the saved data, or null if there is nothing to restore.
+ */
+const readSavedProgress = (storageKey) => {
+  try {
+    const savedDataString = localStorage.getItem(storageKey);
+    if (!savedDataString) {
+      console.log("No saved progress found under:", storageKey);
+      return null;
+    }
+    const savedData = JSON.parse(savedDataString);
+
+    // Validate basic structure and check for valid game states
+    if (
+      savedData &&
+      Array.isArray(savedData.attemptsHistory) &&
+      typeof savedData.currentAttemptNumber === "number" &&
+      typeof savedData.gameState === "string" &&
+      ["playing", "won", "lost"].includes(savedData.gameState) // Check for valid states
+    ) {
+      return savedData;
+    }
+    // Invalid data found in storage
+    console.warn(
+      `Invalid or non-restorable data found in localStorage for this puzzle, starting fresh.`
+    );
+    localStorage.removeItem(storageKey); // Clear invalid data
+  } catch (storageError) {
+    console.error("Error reading from localStorage:", storageError);
+    localStorage.removeItem(storageKey); // Clear potentially corrupted data
+  }
+  return null;
+};
+
+const readOpponentReplyMode = () => {
+  try {
+    const savedMode = localStorage.getItem(LOCAL_STORAGE_OPPONENT_MODE_KEY);
+    return OPPONENT_REPLY_MODES.includes(savedMode) ? savedMode : "manual";
+  } catch {
+    return "manual";
+  }
+};
+
+/**
+ * Builds react-chessboard customPieces that draw each piece as text, with
+ * `getLabel(piece)` giving the text for a piece code like "wN".
+ */
+const buildTextPieceSet = (getLabel) =>
+  Object.fromEntries(
+    Object.keys(PIECE_SYMBOLS).map((piece) => [
+      piece,
+      ({ squareWidth }) => (
+        <BoardPiece
+          $isWhite={piece[0] === "w"}
+          style={{
+            width: squareWidth,
+            height: squareWidth,
+            fontSize: squareWidth * 0.7,
+          }}
+        >
+          {getLabel(piece)}
+        </BoardPiece>
+      ),
+    ])
+  );
+
+// customPieces for each piece set; the standard set uses react-chessboard's own
+const PIECE_SET_RENDERERS = {
+  standard: undefined,
+  glyphs: buildTextPieceSet((piece) => SOLID_PIECE_GLYPHS[piece[1]]),
+  letters: buildTextPieceSet((piece) => piece[1]),
+};
+
+/**
+ * react-chessboard props for the appearance settings: square colors, piece
+ * set, animation speed and coordinates.
+ */
+const getBoardAppearance = (settings) => ({
+  customBoardStyle: BOARD_STYLE,
+  customDarkSquareStyle: {
+    backgroundColor: BOARD_THEMES[settings.boardTheme].dark,
+  },
+  customLightSquareStyle: {
+    backgroundColor: BOARD_THEMES[settings.boardTheme].light,
+  },
+  customPieces: PIECE_SET_RENDERERS[settings.pieceSet],
+  animationDuration: ANIMATION_SPEEDS[settings.animationSpeed].duration,
+  showBoardNotation: settings.showCoordinates,
+});
+
+/** Renders a catalog message, showing its "**text**" parts in bold. */
+const renderRichText = (message) =>
+  message
+    .split("**")
+    .map((part, index) =>
+      index % 2 === 1 ? <strong key={index}>{part}</strong> : part
+    );
+
 // --- Animation Variants (Framer Motion) ---
 const listVariants = {
   visible: {
@@ -106,7 +552,14 @@ const modalContentVariants = {
  * Renders the animated feedback UI (colored squares) for a single attempt's move sequence.
  * Added attemptIndex prop to ensure unique keys/layoutIds across all attempts.
  */
-function AnimatedFeedbackDisplay({ userSequence, feedback, attemptIndex }) {
+function AnimatedFeedbackDisplay({
+  userSequence,
+  feedback,
+  reasons,
+  attemptIndex,
+  i18n,
+}) {
+  const { t, formatMove } = i18n;
   if (
     !Array.isArray(feedback) ||
     !Array.isArray(userSequence) ||
@@ -121,7 +574,7 @@ function AnimatedFeedbackDisplay({ userSequence, feedback, attemptIndex }) {
           padding: "0.25rem",
         }}
       >
-        Invalid feedback data provided.
+        {t("feedback.invalid")}
       </div>
     );
   }
@@ -133,6 +586,8 @@ function AnimatedFeedbackDisplay({ userSequence, feedback, attemptIndex }) {
           // Ensure key and layoutId are unique across all attempts by including attemptIndex
           key={`${attemptIndex}-${index}-${move}`}
           $feedbackType={feedback[index]}
+          // Older saved attempts have no reason codes
+          title={reasons?.[index] && t(`reason.${reasons[index]}`)}
           variants={itemVariants}
           initial="hidden"
           animate="visible"
@@ -141,18 +596,53 @@ function AnimatedFeedbackDisplay({ userSequence, feedback, attemptIndex }) {
           layoutId={`${attemptIndex}-${index}-${move}`}
         >
           {userSequence.length > 1 ? `${index + 1}. ` : ""}
-          {move || "?"}
+          {move ? formatMove(move) : "?"}
+          <VisuallyHidden>, {t(`feedback.${feedback[index]}`)}</VisuallyHidden>
         </FeedbackListItem>
       ))}
     </FeedbackList>
   );
 }
 
-function HowItWorksModal({ isOpen, onClose }) {
+/**
+ * Shared modal shell: animated backdrop, close button, Escape-to-close and a
+ * scrollable content area. Clicking the backdrop also closes the modal.
+ * Focus moves into the modal when it opens, Tab cycles inside it, and focus
+ * returns to where it was when it closes.
+ */
+function Modal({ isOpen, onClose, titleId, title, closeLabel, children }) {
+  const contentRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previouslyFocused = document.activeElement;
+    contentRef.current?.querySelector(FOCUSABLE_SELECTOR)?.focus();
+    return () => {
+      previouslyFocused?.focus?.();
+    };
+  }, [isOpen]);
+
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === "Escape") {
         onClose();
+        return;
+      }
+      if (event.key !== "Tab" || !contentRef.current) return;
+      const focusable = contentRef.current.querySelectorAll(FOCUSABLE_SELECTOR);
+      if (focusable.length === 0) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const isInside = contentRef.current.contains(document.activeElement);
+      if (event.shiftKey && (!isInside || document.activeElement === first)) {
+        event.preventDefault();
+        last.focus();
+      } else if (
+        !event.shiftKey &&
+        (!isInside || document.activeElement === last)
+      ) {
+        event.preventDefault();
+        first.focus();
       }
     };
     if (isOpen) {
@@ -174,56 +664,22 @@ function HowItWorksModal({ isOpen, onClose }) {
           onClick={onClose}
           aria-modal="true"
           role="dialog"
-          aria-labelledby="how-it-works-title"
+          aria-labelledby={titleId}
         >
           <ModalContent
+            ref={contentRef}
             variants={modalContentVariants}
             initial="hidden"
             animate="visible"
             exit="exit"
             onClick={(e) => e.stopPropagation()}
           >
-            <CloseButton
-              onClick={onClose}
-              aria-label="Close how it works modal"
-            >
+            <CloseButton onClick={onClose} aria-label={closeLabel}>
               &times;
             </CloseButton>
             <ModalScrollContainer>
-              <ModalTitle id="how-it-works-title">♟️ Chessdle Rules</ModalTitle>
-              <ModalBody>
-                <p>
-                  Chessdle presents you with the Lichess Puzzle of the Day. Your
-                  goal is to figure out the{" "}
-                  <strong>entire sequence of moves</strong> that solves the
-                  puzzle.
-                </p>
-                <p>
-                  <strong>How it works:</strong> You recieve feedback for each
-                  move in your sequence:
-                  <ul>
-                    <li>
-                      <strong>🟩 Green:</strong> Correct move! You moved the
-                      correct piece to the correct destination.
-                    </li>
-                    <li>
-                      <strong>🟨 Yellow:</strong> Partially correct! EITHER you
-                      moved the correct piece to the wrong destination, OR you
-                      moved a different piece but landed on the correct
-                      destination.
-                    </li>
-                    <li>
-                      <strong>🟥 Red:</strong> Incorrect.
-                    </li>
-                  </ul>
-                </p>
-                <p>
-                  <strong>Guessing:</strong> You have {MAX_ATTEMPTS} attempts to
-                  guess the entire sequence correctly.
-                </p>
-
-                <p>Good luck!</p>
-              </ModalBody>
+              <ModalTitle id={titleId}>{title}</ModalTitle>
+              {children}
             </ModalScrollContainer>
           </ModalContent>
         </ModalBackdrop>
@@ -232,6 +688,1168 @@ function HowItWorksModal({ isOpen, onClose }) {
   );
 }
 
+function HowItWorksModal({ isOpen, onClose, i18n }) {
+  const { t } = i18n;
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="how-it-works-title"
+      title={t("rules.title")}
+      closeLabel={t("rules.close")}
+    >
+      <ModalBody>
+        <p>{renderRichText(t("rules.intro"))}</p>
+        <p>
+          {renderRichText(t("rules.feedback"))}
+          <ul>
+            <li>{renderRichText(t("rules.green"))}</li>
+            <li>{renderRichText(t("rules.yellow"))}</li>
+            <li>{renderRichText(t("rules.red"))}</li>
+          </ul>
+          {t("rules.hover")}
+        </p>
+        <p>{renderRichText(t("rules.opponent"))}</p>
+        <p>{renderRichText(t("rules.finalMove"))}</p>
+        <p>
+          {renderRichText(t("rules.guessing", { maxAttempts: MAX_ATTEMPTS }))}
+        </p>
+
+        <p>{t("rules.goodLuck")}</p>
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * Shows the player's lifetime statistics: games played, win rate,
+ * streaks and how many attempts their wins took.
+ */
+function StatsModal({ isOpen, onClose, stats, i18n }) {
+  const { t } = i18n;
+  const maxCount = Math.max(1, ...stats.distribution);
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="stats-title"
+      title={t("stats.title")}
+      closeLabel={t("stats.close")}
+    >
+      <ModalBody>
+        <StatsGrid>
+          <StatItem>
+            <StatValue>{stats.played}</StatValue>
+            <StatLabel>{t("stats.played")}</StatLabel>
+          </StatItem>
+          <StatItem>
+            <StatValue>{stats.winPercentage}</StatValue>
+            <StatLabel>{t("stats.winPercentage")}</StatLabel>
+          </StatItem>
+          <StatItem>
+            <StatValue>{stats.currentStreak}</StatValue>
+            <StatLabel>{t("stats.currentStreak")}</StatLabel>
+          </StatItem>
+          <StatItem>
+            <StatValue>{stats.bestStreak}</StatValue>
+            <StatLabel>{t("stats.bestStreak")}</StatLabel>
+          </StatItem>
+        </StatsGrid>
+        <p>
+          {renderRichText(
+            t("stats.hardModeWins", { count: stats.hardModeWins })
+          )}
+        </p>
+        <p>{renderRichText(t("stats.distribution"))}</p>
+        {stats.distribution.map((count, index) => (
+          <HistogramRow key={index}>
+            <HistogramLabel>{index + 1}</HistogramLabel>
+            <HistogramBar
+              $widthPercent={Math.max(8, (count / maxCount) * 100)}
+              $hasCount={count > 0}
+            >
+              {count}
+            </HistogramBar>
+          </HistogramRow>
+        ))}
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * The end-of-game summary: the result, the solution, the puzzle on Lichess,
+ * how this game changed the player's statistics and the countdown to the
+ * next daily. Opens when a game ends and can be reopened from the result.
+ */
+function GameSummaryModal({
+  isOpen,
+  onClose,
+  puzzle,
+  resultText,
+  solutionText,
+  finalMoveText,
+  solveTimeText,
+  attemptsUsed,
+  isHardModeGame,
+  stats,
+  showStats,
+  isDailyPuzzle,
+  isWaitingForDaily,
+  onPlayNext,
+  onShare,
+  shareButtonLabel,
+  i18n,
+}) {
+  const { t } = i18n;
+  const puzzleId = puzzle?.id;
+  // The statistics without this puzzle, to show what the game changed.
+  // Re-read on opening, after the finished game has been saved
+  const previousStats = useMemo(() => {
+    if (!isOpen || !puzzleId) return null;
+    const otherGames = readFinishedGames(LOCAL_STORAGE_KEY_PREFIX).filter(
+      (game) => game.puzzleId !== puzzleId
+    );
+    return computeStats(otherGames, MAX_ATTEMPTS);
+  }, [isOpen, puzzleId]);
+
+  if (!puzzle) return null;
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="summary-title"
+      title={t("summary.title")}
+      closeLabel={t("summary.close")}
+    >
+      <ModalBody>
+        <p>{resultText}</p>
+        <p>
+          {renderRichText(
+            t("summary.attempts", { used: attemptsUsed, max: MAX_ATTEMPTS })
+          )}
+          {isHardModeGame && ` · ${t("info.hardMode")}`}
+          {solveTimeText && ` · ${solveTimeText}`}
+        </p>
+        <p>
+          <strong>{t("result.solution")}</strong> {solutionText}
+        </p>
+        {finalMoveText && <p>{finalMoveText}</p>}
+        <p>
+          {t("info.rating", { rating: puzzle.rating })}
+          {puzzle.themes.length > 0 &&
+            ` · ${t("summary.themes", {
+              themes: puzzle.themes
+                .map((theme) => formatTheme(theme, t))
+                .join(", "),
+            })}`}
+        </p>
+        {isValidPuzzleId(puzzle.id) && (
+          <p>
+            <SummaryLink
+              href={`${LICHESS_TRAINING_URL}${puzzle.id}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              {t("summary.lichess")}
+            </SummaryLink>
+          </p>
+        )}
+        {showStats && previousStats && (
+          <StatsGrid>
+            {SUMMARY_STAT_KEYS.map((key) => {
+              const change = stats[key] - previousStats[key];
+              return (
+                <StatItem key={key}>
+                  <StatValue>{stats[key]}</StatValue>
+                  <StatLabel>{t(`stats.${key}`)}</StatLabel>
+                  {change !== 0 && (
+                    <StatChange $isUp={change > 0}>
+                      {change > 0 ? `+${change}` : `−${-change}`}
+                    </StatChange>
+                  )}
+                </StatItem>
+              );
+            })}
+          </StatsGrid>
+        )}
+        <ShareButton primary onClick={onShare}>
+          {shareButtonLabel}
+        </ShareButton>
+        {isDailyPuzzle && (
+          <SummaryCountdown>
+            <NextPuzzleCountdown
+              onPlayNext={onPlayNext}
+              isWaitingForDaily={isWaitingForDaily}
+              i18n={i18n}
+            />
+          </SummaryCountdown>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * Player settings, saved as they change. Hard mode and the timed mode clock
+ * can be switched off at any time, but switching them on only applies from
+ * the next puzzle once the current one is under way.
+ */
+function SettingsModal({
+  isOpen,
+  onClose,
+  settings,
+  onChange,
+  isHardModeGame,
+  onHardModeChange,
+  timerMode,
+  onTimerChange,
+  i18n,
+}) {
+  const { t } = i18n;
+  // Option labels are English in settings.js unless the catalog has one
+  const getOptionLabel = (key, value, label) => {
+    const messageKey = `settings.option.${key}.${value}`;
+    return t.has(messageKey) ? t(messageKey) : label;
+  };
+  const renderSelect = (
+    key,
+    options,
+    onSelect = (value) => onChange(key, value)
+  ) => (
+    <SettingRow>
+      <SettingLabel htmlFor={`setting-${key}`}>
+        <strong>{t(`settings.${key}`)}</strong>
+      </SettingLabel>
+      <OptionSelect
+        id={`setting-${key}`}
+        value={settings[key]}
+        onChange={(e) => onSelect(e.target.value)}
+      >
+        {Object.entries(options).map(([value, { label }]) => (
+          <option key={value} value={value}>
+            {getOptionLabel(key, value, label)}
+          </option>
+        ))}
+      </OptionSelect>
+    </SettingRow>
+  );
+  const renderToggle = (key) => (
+    <SettingRow>
+      <SettingLabel htmlFor={`setting-${key}`}>
+        <strong>{t(`settings.${key}`)}</strong>
+        <SettingDescription>
+          {t(`settings.${key}Description`)}
+        </SettingDescription>
+      </SettingLabel>
+      <input
+        id={`setting-${key}`}
+        type="checkbox"
+        checked={settings[key]}
+        onChange={(e) => onChange(key, e.target.checked)}
+      />
+    </SettingRow>
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="settings-title"
+      title={t("settings.title")}
+      closeLabel={t("settings.close")}
+    >
+      <ModalBody>
+        <SettingsSectionTitle>{t("settings.display")}</SettingsSectionTitle>
+        {renderSelect("language", LANGUAGES)}
+        {renderSelect("moveNotation", MOVE_NOTATIONS)}
+        {renderSelect("colorTheme", COLOR_THEMES)}
+        {renderToggle("colorblindFeedback")}
+        <SettingsSectionTitle>{t("settings.board")}</SettingsSectionTitle>
+        {renderSelect("boardTheme", BOARD_THEMES)}
+        {renderSelect("pieceSet", PIECE_SETS)}
+        {renderSelect("animationSpeed", ANIMATION_SPEEDS)}
+        {renderToggle("showCoordinates")}
+        <SettingsSectionTitle>{t("settings.game")}</SettingsSectionTitle>
+        {renderToggle("confirmBeforeSubmit")}
+        {renderToggle("sounds")}
+        <SettingRow>
+          <SettingLabel htmlFor="setting-hardMode">
+            <strong>{t("settings.hardMode")}</strong>
+            <SettingDescription>
+              {t("settings.hardModeDescription")}
+            </SettingDescription>
+          </SettingLabel>
+          <input
+            id="setting-hardMode"
+            type="checkbox"
+            checked={settings.hardMode}
+            onChange={(e) => onHardModeChange(e.target.checked)}
+          />
+        </SettingRow>
+        {settings.hardMode && !isHardModeGame && (
+          <SettingDescription>
+            {t("settings.hardModeNextPuzzle")}
+          </SettingDescription>
+        )}
+        {renderSelect("timer", TIMER_MODES, onTimerChange)}
+        <SettingDescription>
+          {t("settings.timerDescription")}
+        </SettingDescription>
+        {settings.timer !== timerMode && (
+          <SettingDescription>
+            {t("settings.timerNextPuzzle")}
+          </SettingDescription>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * Lets the player pick a past daily puzzle by date (from the days this browser
+ * has seen) or any Lichess puzzle by id.
+ */
+function ArchiveModal({ isOpen, onClose, onSelect, isArchiveSelection, i18n }) {
+  const { t } = i18n;
+  const [dateInput, setDateInput] = useState("");
+  const [puzzleIdInput, setPuzzleIdInput] = useState("");
+  const todayKey = getDailyDateKey();
+
+  // Re-read the index and results each time the modal opens
+  const pastDays = useMemo(() => {
+    if (!isOpen) return [];
+    const results = new Map(
+      readFinishedGames(LOCAL_STORAGE_KEY_PREFIX).map((game) => [
+        game.puzzleId,
+        game.gameState,
+      ])
+    );
+    return Object.entries(readDailyIndex())
+      .filter(([date]) => date < todayKey)
+      .sort(([a], [b]) => (a < b ? 1 : -1))
+      .map(([date, puzzleId]) => ({
+        date,
+        puzzleId,
+        result: results.get(puzzleId) || null,
+      }));
+  }, [isOpen, todayKey]);
+
+  const trimmedPuzzleId = puzzleIdInput.trim();
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="archive-title"
+      title={t("archive.title")}
+      closeLabel={t("archive.close")}
+    >
+      <ModalBody>
+        <p>{t("archive.intro")}</p>
+        <ArchiveForm
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (dateInput) onSelect({ date: dateInput });
+          }}
+        >
+          <ArchiveInput
+            type="date"
+            value={dateInput}
+            max={todayKey}
+            onChange={(e) => setDateInput(e.target.value)}
+            aria-label={t("archive.dateLabel")}
+          />
+          <StyledButton primary type="submit" disabled={!dateInput}>
+            {t("archive.playDate")}
+          </StyledButton>
+        </ArchiveForm>
+        <ArchiveForm
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (isValidPuzzleId(trimmedPuzzleId)) {
+              onSelect({ puzzleId: trimmedPuzzleId });
+            }
+          }}
+        >
+          <ArchiveInput
+            type="text"
+            value={puzzleIdInput}
+            placeholder={t("archive.idPlaceholder")}
+            maxLength={5}
+            onChange={(e) => setPuzzleIdInput(e.target.value)}
+            aria-label={t("archive.idLabel")}
+          />
+          <StyledButton
+            primary
+            type="submit"
+            disabled={!isValidPuzzleId(trimmedPuzzleId)}
+          >
+            {t("archive.play")}
+          </StyledButton>
+        </ArchiveForm>
+        {pastDays.length > 0 && (
+          <ArchiveList>
+            {pastDays.map(({ date, puzzleId, result }) => (
+              <li key={date}>
+                <ArchiveListButton onClick={() => onSelect({ puzzleId })}>
+                  <span>{date}</span>
+                  <span>{t(`archive.result.${result || "unfinished"}`)}</span>
+                </ArchiveListButton>
+              </li>
+            ))}
+          </ArchiveList>
+        )}
+        {isArchiveSelection && (
+          <StyledButton onClick={() => onSelect({})}>
+            {t("selection.backToToday")}
+          </StyledButton>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * Imports a pack of puzzles in the Lichess puzzle database format, from a CSV
+ * or JSON file or one of the bundled packs, and lists its puzzles to play.
+ */
+function PuzzlePackModal({ isOpen, onClose, onSelect, i18n }) {
+  const { t } = i18n;
+  const [pack, setPack] = useState(null);
+  const [importStatus, setImportStatus] = useState("");
+  const bundledPacks = useMemo(getBundledPacks, []);
+
+  // Re-read the stored pack each time the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    setPack(readPuzzlePack());
+    setImportStatus("");
+  }, [isOpen]);
+
+  const results = useMemo(() => {
+    if (!isOpen) return new Map();
+    return new Map(
+      readFinishedGames(LOCAL_STORAGE_KEY_PREFIX).map((game) => [
+        game.puzzleId,
+        game.gameState,
+      ])
+    );
+  }, [isOpen]);
+
+  const storePack = (name, { puzzles, skipped, errors }) => {
+    if (errors.length > 0) {
+      console.warn("Skipped puzzles while importing pack:", errors);
+    }
+    if (puzzles.length === 0) {
+      setImportStatus(
+        errors[0]
+          ? t("packs.noPuzzlesBecause", { error: errors[0] })
+          : t("packs.noPuzzles")
+      );
+      return;
+    }
+    if (!savePuzzlePack(name, puzzles)) {
+      setImportStatus(t("packs.saveFailed"));
+      return;
+    }
+    setPack({ name, puzzles });
+    setImportStatus(
+      t(skipped > 0 ? "packs.importedSkipped" : "packs.imported", {
+        count: puzzles.length,
+        skipped,
+      })
+    );
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const name = file.name.replace(/\.(csv|json)$/i, "");
+      if (/\.json$/i.test(file.name)) {
+        const parsed = parsePuzzlePackJson(text);
+        storePack(parsed.name || name, parsed);
+      } else {
+        storePack(name, parsePuzzleCsv(text));
+      }
+    } catch (error) {
+      console.error("Failed to import puzzle pack:", error);
+      setImportStatus(
+        t("packs.readFailed", { file: file.name, error: error.message })
+      );
+    }
+  };
+
+  const handleRemovePack = () => {
+    clearPuzzlePack();
+    setPack(null);
+    setImportStatus("");
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      titleId="puzzle-pack-title"
+      title={t("packs.title")}
+      closeLabel={t("packs.close")}
+    >
+      <ModalBody>
+        <p>{t("packs.intro")}</p>
+        <ArchiveForm as="div">
+          <StyledButton as="label" primary>
+            {t("packs.import")}
+            <VisuallyHiddenInput
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFileChange}
+            />
+          </StyledButton>
+          {bundledPacks.map((bundledPack) => (
+            <StyledButton
+              key={bundledPack.key}
+              onClick={() =>
+                storePack(
+                  bundledPack.name,
+                  parsePuzzlePackJson(bundledPack.records)
+                )
+              }
+            >
+              {t("packs.loadBundled", { name: bundledPack.name })}
+            </StyledButton>
+          ))}
+        </ArchiveForm>
+        {importStatus && <p role="status">{importStatus}</p>}
+        {pack && (
+          <>
+            <p>
+              <strong>{pack.name}</strong> ·{" "}
+              {t("packs.count", { count: pack.puzzles.length })}{" "}
+              <ArchiveLinkButton onClick={handleRemovePack}>
+                {t("packs.remove")}
+              </ArchiveLinkButton>
+            </p>
+            <ArchiveList>
+              {pack.puzzles.map((packPuzzle, index) => (
+                <li key={packPuzzle.id}>
+                  <ArchiveListButton
+                    onClick={() => onSelect({ puzzleId: packPuzzle.id })}
+                  >
+                    <span>
+                      {index + 1}. #{packPuzzle.id} · {packPuzzle.rating}
+                    </span>
+                    <span>
+                      {t(
+                        `archive.result.${
+                          results.get(packPuzzle.id) || "unfinished"
+                        }`
+                      )}
+                    </span>
+                  </ArchiveListButton>
+                </li>
+              ))}
+            </ArchiveList>
+          </>
+        )}
+      </ModalBody>
+    </Modal>
+  );
+}
+
+/**
+ * Puzzle editor: set up a position (by FEN or on the board), play the solution
+ * line, then get a share link that opens the puzzle in a normal game.
+ */
+function PuzzleCreator({ onClose, onPlay, boardAppearance, i18n }) {
+  const { t, formatMove } = i18n;
+  const [step, setStep] = useState("setup"); // 'setup', 'solution' or 'share'
+  const [boardPosition, setBoardPosition] = useState(() =>
+    fenToBoardPosition(STARTING_FEN)
+  );
+  const [sideToMove, setSideToMove] = useState("w");
+  const [castling, setCastling] = useState("KQkq"); // Rights to keep where the pieces allow
+  const [fenInput, setFenInput] = useState("");
+  const [selectedPiece, setSelectedPiece] = useState(null); // Palette piece ("wQ") or 'erase'
+  const [setupError, setSetupError] = useState("");
+  const [solution, setSolution] = useState([]); // Solution line so far (UCI)
+  const [copyStatus, setCopyStatus] = useState("idle"); // 'idle', 'copied', 'error'
+
+  const setupFen = buildSetupFen(boardPosition, sideToMove, castling);
+
+  // Position and SAN of the solution line played so far
+  const solutionLine = useMemo(() => {
+    const lineGame = new Chess(setupFen);
+    const sans = solution.map(
+      (uci) =>
+        lineGame.move({
+          from: uci.substring(0, 2),
+          to: uci.substring(2, 4),
+          promotion: uci[4],
+        }).san
+    );
+    return { fen: lineGame.fen(), sans };
+  }, [setupFen, solution]);
+
+  const shareCode = useMemo(
+    () =>
+      step === "share"
+        ? encodeCustomPuzzle({ initialFen: setupFen, solution })
+        : null,
+    [step, setupFen, solution]
+  );
+  const shareUrl = shareCode ? buildArchiveUrl({ custom: shareCode }) : "";
+
+  // --- Setup Step ---
+  const editBoard = (changes) => {
+    setBoardPosition((prev) => {
+      const next = { ...prev, ...changes };
+      Object.keys(next).forEach((square) => {
+        if (!next[square]) delete next[square];
+      });
+      return next;
+    });
+    setSetupError("");
+  };
+
+  const handleSetupSquareClick = (square) => {
+    if (!selectedPiece) return;
+    const isErasing =
+      selectedPiece === "erase" || boardPosition[square] === selectedPiece;
+    editBoard({ [square]: isErasing ? null : selectedPiece });
+  };
+
+  const handleLoadFen = (e) => {
+    e.preventDefault();
+    const fen = fenInput.trim();
+    const error = validateSetupFen(fen, t);
+    if (error) {
+      setSetupError(t("creator.fenError", { error }));
+      return;
+    }
+    const [, fenSide, fenCastling] = fen.split(" ");
+    setBoardPosition(fenToBoardPosition(fen));
+    setSideToMove(fenSide);
+    setCastling(fenCastling);
+    setSetupError("");
+  };
+
+  const startSolution = () => {
+    const error = validateSetupFen(setupFen, t);
+    if (error) {
+      setSetupError(error);
+      return;
+    }
+    setSolution([]);
+    setStep("solution");
+  };
+
+  // --- Solution Step ---
+  const addSolutionMove = (from, to, promotion) => {
+    try {
+      const move = new Chess(solutionLine.fen).move({ from, to, promotion });
+      setSolution((prev) => [
+        ...prev,
+        `${move.from}${move.to}${move.promotion || ""}`,
+      ]);
+      return true;
+    } catch {
+      return false; // Illegal move, the piece snaps back
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopyStatus("copied");
+    } catch (copyError) {
+      console.error("Failed to copy puzzle link:", copyError);
+      setCopyStatus("error");
+    }
+    setTimeout(() => setCopyStatus("idle"), SHARE_STATUS_RESET_DELAY);
+  };
+
+  const isSetupStep = step === "setup";
+
+  const handleCreatorDrop = (from, to, piece) => {
+    if (!isSetupStep) return addSolutionMove(from, to);
+    editBoard({ [from]: null, [to]: piece }); // Pieces move freely while setting up
+    return true;
+  };
+
+  return (
+    <>
+      <TopContainer layout>
+        <TitleContainer>
+          <Title>{t("creator.title")}</Title>
+          <InfoText>{t(`creator.step.${step}`)}</InfoText>
+        </TitleContainer>
+      </TopContainer>
+
+      <BoardWrapper layout="position">
+        <Chessboard
+          id="CreatorBoard"
+          position={isSetupStep ? boardPosition : solutionLine.fen}
+          boardOrientation={sideToMove === "w" ? "white" : "black"}
+          arePiecesDraggable={step !== "share"}
+          onPieceDrop={handleCreatorDrop}
+          // No promotion dialog while setting up
+          onPromotionCheck={isSetupStep ? () => false : undefined}
+          onPromotionPieceSelect={(piece, from, to) =>
+            Boolean(piece) && addSolutionMove(from, to, piece[1].toLowerCase())
+          }
+          onSquareClick={isSetupStep ? handleSetupSquareClick : undefined}
+          dropOffBoardAction={isSetupStep ? "trash" : "snapback"}
+          onPieceDropOffBoard={(square) => editBoard({ [square]: null })}
+          {...boardAppearance}
+        />
+      </BoardWrapper>
+
+      <BottomContainer layout>
+        {isSetupStep && (
+          <>
+            <PiecePalette role="group" aria-label={t("creator.palette")}>
+              {CREATOR_PALETTE.map((piece) => (
+                <PaletteButton
+                  key={piece}
+                  $isActive={selectedPiece === piece}
+                  aria-pressed={selectedPiece === piece}
+                  aria-label={t("creator.place", {
+                    piece: describePiece(
+                      { color: piece[0], type: piece[1].toLowerCase() },
+                      t
+                    ),
+                  })}
+                  onClick={() =>
+                    setSelectedPiece((prev) => (prev === piece ? null : piece))
+                  }
+                >
+                  {PIECE_SYMBOLS[piece]}
+                </PaletteButton>
+              ))}
+              <PaletteButton
+                $isActive={selectedPiece === "erase"}
+                aria-pressed={selectedPiece === "erase"}
+                aria-label={t("creator.erase")}
+                onClick={() =>
+                  setSelectedPiece((prev) =>
+                    prev === "erase" ? null : "erase"
+                  )
+                }
+              >
+                ✕
+              </PaletteButton>
+            </PiecePalette>
+            <NotationHelpText>{t("creator.paletteHelp")}</NotationHelpText>
+            <ModeToggle role="group" aria-label={t("creator.sideToMove")}>
+              <ModeToggleButton
+                $isActive={sideToMove === "w"}
+                aria-pressed={sideToMove === "w"}
+                onClick={() => setSideToMove("w")}
+              >
+                {t("creator.whiteToMove")}
+              </ModeToggleButton>
+              <ModeToggleButton
+                $isActive={sideToMove === "b"}
+                aria-pressed={sideToMove === "b"}
+                onClick={() => setSideToMove("b")}
+              >
+                {t("creator.blackToMove")}
+              </ModeToggleButton>
+            </ModeToggle>
+            <ArchiveForm onSubmit={handleLoadFen}>
+              <ArchiveInput
+                type="text"
+                value={fenInput}
+                placeholder={t("creator.fenPlaceholder")}
+                onChange={(e) => setFenInput(e.target.value)}
+                aria-label={t("creator.fenLabel")}
+                spellCheck={false}
+              />
+              <StyledButton type="submit" disabled={!fenInput.trim()}>
+                {t("creator.loadFen")}
+              </StyledButton>
+            </ArchiveForm>
+            {setupError && <ErrorText role="alert">{setupError}</ErrorText>}
+            <ControlsWrapper>
+              <StyledButton
+                onClick={() => {
+                  setBoardPosition(fenToBoardPosition(STARTING_FEN));
+                  setSideToMove("w");
+                  setCastling("KQkq");
+                }}
+              >
+                {t("creator.startingPosition")}
+              </StyledButton>
+              <StyledButton onClick={() => setBoardPosition({})}>
+                {t("creator.clear")}
+              </StyledButton>
+              <StyledButton primary onClick={startSolution}>
+                {t("creator.next")}
+              </StyledButton>
+            </ControlsWrapper>
+          </>
+        )}
+
+        {!isSetupStep && (
+          <CurrentSequenceDisplay>
+            <CurrentSequenceLabel>{t("creator.solution")}</CurrentSequenceLabel>
+            <CurrentSequenceMoves>
+              {solutionLine.sans.length > 0 ? (
+                solutionLine.sans.map((san, index) => (
+                  <FeedbackListItem key={`${index}-${san}`}>
+                    {formatMove(san)}
+                  </FeedbackListItem>
+                ))
+              ) : (
+                <PlaceholderText>
+                  {t("creator.solutionPlaceholder", {
+                    color: t(
+                      sideToMove === "w" ? "color.white" : "color.black"
+                    ),
+                  })}
+                </PlaceholderText>
+              )}
+            </CurrentSequenceMoves>
+          </CurrentSequenceDisplay>
+        )}
+
+        {step === "solution" && (
+          <ControlsWrapper>
+            <StyledButton onClick={() => setStep("setup")}>
+              {t("creator.backToSetup")}
+            </StyledButton>
+            <StyledButton
+              onClick={() => setSolution((prev) => prev.slice(0, -1))}
+              disabled={solution.length === 0}
+            >
+              {t("creator.undo")}
+            </StyledButton>
+            <StyledButton
+              primary
+              onClick={() => setStep("share")}
+              disabled={solution.length === 0}
+            >
+              {t("creator.createLink")}
+            </StyledButton>
+          </ControlsWrapper>
+        )}
+
+        {step === "share" && (
+          <>
+            <ArchiveInput
+              type="text"
+              value={shareUrl}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              aria-label={t("creator.linkLabel")}
+            />
+            <ControlsWrapper>
+              <StyledButton onClick={() => setStep("solution")}>
+                {t("creator.editSolution")}
+              </StyledButton>
+              <StyledButton onClick={handleCopyLink}>
+                {t(`creator.copy.${copyStatus}`)}
+              </StyledButton>
+              <StyledButton primary onClick={() => onPlay(shareCode)}>
+                {t("creator.play")}
+              </StyledButton>
+            </ControlsWrapper>
+          </>
+        )}
+      </BottomContainer>
+
+      <ButtonContainer>
+        <HowItWorksButton onClick={onClose}>
+          {t("creator.back")}
+        </HowItWorksButton>
+      </ButtonContainer>
+    </>
+  );
+}
+
+/**
+ * Text input for entering moves in SAN ("Nf3") or UCI ("g1f3").
+ * Enter adds the typed move, or submits the attempt when the input is empty;
+ * Backspace on an empty input undoes the last ply.
+ */
+function NotationInput({ disabled, onMove, onUndo, onSubmit, i18n }) {
+  const { t } = i18n;
+  const [notation, setNotation] = useState("");
+  const [error, setError] = useState("");
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter") {
+      event.preventDefault();
+      const trimmedNotation = notation.trim();
+      if (!trimmedNotation) {
+        onSubmit();
+        return;
+      }
+      const moveError = onMove(trimmedNotation);
+      if (moveError) {
+        setError(moveError);
+      } else {
+        setNotation("");
+        setError("");
+      }
+    } else if (event.key === "Backspace" && notation === "") {
+      event.preventDefault();
+      setError("");
+      onUndo();
+    }
+  };
+
+  return (
+    <NotationInputWrapper>
+      <NotationTextInput
+        type="text"
+        value={notation}
+        onChange={(e) => {
+          setNotation(e.target.value);
+          setError("");
+        }}
+        onKeyDown={handleKeyDown}
+        disabled={disabled}
+        placeholder={t("notation.placeholder")}
+        aria-label={t("notation.label")}
+        aria-describedby="notation-input-help"
+        aria-invalid={error ? "true" : "false"}
+        autoComplete="off"
+        autoCapitalize="off"
+        spellCheck={false}
+      />
+      <NotationHelpText id="notation-input-help" $isError={Boolean(error)}>
+        {error || t("notation.help")}
+      </NotationHelpText>
+    </NotationInputWrapper>
+  );
+}
+
+/**
+ * Board replay controls. After the game: the solution and one of the
+ * player's attempts side by side as numbered SAN. During play (onClose
+ * given): the attempts only, as a read-only look back that leaves the
+ * current input alone. Lines are
+ * [{ key, label, plies, feedback?, reasons?, autoPlayed? }], where key is
+ * "solution" or the attempt's index.
+ */
+function ReplayPanel({
+  lines,
+  activeKey,
+  ply,
+  isPlaying,
+  onSelect,
+  onTogglePlay,
+  onClose,
+  i18n,
+}) {
+  const { t, formatMove } = i18n;
+  const activeLine = lines.find((line) => line.key === activeKey) || lines[0];
+  const solutionLine = lines.find((line) => line.key === "solution");
+  const attemptLines = lines.filter((line) => line.key !== "solution");
+  const [comparedKey, setComparedKey] = useState(
+    attemptLines[attemptLines.length - 1]?.key ?? null
+  );
+  const comparedLine =
+    attemptLines.find((line) =>
+      typeof activeKey === "number"
+        ? line.key === activeKey
+        : line.key === comparedKey
+    ) || null;
+  const total = activeLine.plies.length;
+
+  const renderLine = (line) => (
+    <ReplayMoves>
+      {line.plies.length > 0 ? (
+        line.plies.map((move, index) => (
+          <FeedbackListItem
+            key={`${line.key}-${index}`}
+            $feedbackType={line.feedback?.[index]}
+            $isAutoPlayed={line.autoPlayed?.includes(index)}
+            $isClickable
+            $isCurrent={line.key === activeLine.key && index === ply - 1}
+            title={line.reasons?.[index] && t(`reason.${line.reasons[index]}`)}
+            onClick={() => onSelect(line.key, index + 1)}
+          >
+            {[getMoveNumberLabel(line.plies, index), formatMove(move.san)]
+              .filter(Boolean)
+              .join(" ")}
+            {line.feedback?.[index] && (
+              <VisuallyHidden>
+                , {t(`feedback.${line.feedback[index]}`)}
+              </VisuallyHidden>
+            )}
+          </FeedbackListItem>
+        ))
+      ) : (
+        <ReplayEmptyText>{t("replay.noMoves")}</ReplayEmptyText>
+      )}
+    </ReplayMoves>
+  );
+
+  return (
+    <ReplayWrapper>
+      <ReplayColumns>
+        {solutionLine && (
+          <ReplayColumn $isActive={activeLine.key === "solution"}>
+            <ReplayColumnTitle>{t("replay.solution")}</ReplayColumnTitle>
+            {renderLine(solutionLine)}
+          </ReplayColumn>
+        )}
+        {comparedLine && (
+          <ReplayColumn $isActive={activeLine.key === comparedLine.key}>
+            <ReplayAttemptPicker>
+              {attemptLines.map((line) => (
+                <ModeToggleButton
+                  key={line.key}
+                  $isActive={line.key === comparedLine.key}
+                  aria-pressed={line.key === comparedLine.key}
+                  onClick={() => {
+                    setComparedKey(line.key);
+                    onSelect(line.key, 0);
+                  }}
+                >
+                  {line.label}
+                </ModeToggleButton>
+              ))}
+            </ReplayAttemptPicker>
+            {renderLine(comparedLine)}
+          </ReplayColumn>
+        )}
+      </ReplayColumns>
+      <ReplayControls>
+        <ReplayButton
+          onClick={() => onSelect(activeLine.key, 0)}
+          disabled={ply === 0}
+          aria-label={t("replay.first")}
+        >
+          ⏮
+        </ReplayButton>
+        <ReplayButton
+          onClick={() => onSelect(activeLine.key, ply - 1)}
+          disabled={ply === 0}
+          aria-label={t("replay.previous")}
+        >
+          ◀
+        </ReplayButton>
+        <ReplayButton
+          onClick={onTogglePlay}
+          disabled={total === 0}
+          aria-label={t(isPlaying ? "replay.pauseLabel" : "replay.playLabel")}
+        >
+          {t(isPlaying ? "replay.pause" : "replay.play")}
+        </ReplayButton>
+        <ReplayButton
+          onClick={() => onSelect(activeLine.key, ply + 1)}
+          disabled={ply >= total}
+          aria-label={t("replay.next")}
+        >
+          ▶
+        </ReplayButton>
+        <ReplayButton
+          onClick={() => onSelect(activeLine.key, total)}
+          disabled={ply >= total}
+          aria-label={t("replay.last")}
+        >
+          ⏭
+        </ReplayButton>
+      </ReplayControls>
+      <ReplayStatusText>
+        {t("replay.status", { line: activeLine.label, ply, total })}
+        {onClose && t("replay.readOnly")}
+      </ReplayStatusText>
+      {onClose && (
+        <ReplayCloseButton primary onClick={onClose}>
+          {t("replay.back")}
+        </ReplayCloseButton>
+      )}
+    </ReplayWrapper>
+  );
+}
+
+/**
+ * The timed mode clock: the time left, or the whole limit until the first
+ * move is dropped. Calls onTimeUp once when the time runs out.
+ */
+function GameClock({ limit, startedAt, onTimeUp, i18n }) {
+  const { t } = i18n;
+  const [timeLeft, setTimeLeft] = useState(() => getTimeLeft(limit, startedAt));
+  const onTimeUpRef = useRef(onTimeUp);
+
+  // Always call the latest handler, without restarting the clock
+  useEffect(() => {
+    onTimeUpRef.current = onTimeUp;
+  });
+
+  useEffect(() => {
+    setTimeLeft(getTimeLeft(limit, startedAt));
+    if (startedAt === null) return;
+    const tick = () => {
+      const left = getTimeLeft(limit, startedAt);
+      setTimeLeft(left);
+      if (left === 0) {
+        clearInterval(intervalId);
+        onTimeUpRef.current();
+      }
+    };
+    const intervalId = setInterval(tick, CLOCK_TICK);
+    tick(); // A clock that ran out while the app was closed ends right away
+    return () => clearInterval(intervalId);
+  }, [limit, startedAt]);
+
+  return (
+    <ClockText
+      role="timer"
+      $isLow={startedAt !== null && timeLeft <= CLOCK_LOW_TIME}
+    >
+      {t(startedAt === null ? "timer.notStarted" : "timer.left", {
+        time: formatDuration(timeLeft),
+      })}
+    </ClockText>
+  );
+}
+
+/**
+ * Counts down to the next Lichess daily puzzle after a game ends. Once the
+ * new daily is out, offers to load it. `isWaitingForDaily` is set while
+ * yesterday's daily is still served after the rollover.
+ */
+function NextPuzzleCountdown({ onPlayNext, isWaitingForDaily, i18n }) {
+  const { t } = i18n;
+  const [nextDailyAt] = useState(() => Date.now() + getMsUntilNextUtcDay());
+  const [msLeft, setMsLeft] = useState(() => nextDailyAt - Date.now());
+
+  useEffect(() => {
+    const intervalId = setInterval(
+      () => setMsLeft(Math.max(0, nextDailyAt - Date.now())),
+      COUNTDOWN_TICK
+    );
+    return () => clearInterval(intervalId);
+  }, [nextDailyAt]);
+
+  if (isWaitingForDaily) {
+    return <CountdownText>{t("countdown.waiting")}</CountdownText>;
+  }
+  if (msLeft > 0) {
+    return (
+      <CountdownText role="timer">
+        {t("countdown.nextPuzzle", { time: formatDuration(msLeft) })}
+      </CountdownText>
+    );
+  }
+  return (
+    <CountdownText>
+      {t("countdown.ready")}{" "}
+      <InlineTextButton type="button" onClick={onPlayNext}>
+        {t("countdown.play")}
+      </InlineTextButton>
+    </CountdownText>
+  );
+}
+
 /**
  * Main application component for the Chessdle game.
  * Handles fetching puzzles, game state, user input, validation, and rendering.
@@ -245,280 +1863,265 @@ function App() {
   const [attemptsHistory, setAttemptsHistory] = useState([]); // History of past attempts [{ sequence, feedback }]
   const [currentAttemptNumber, setCurrentAttemptNumber] = useState(1); // Current attempt count
   const [gameState, setGameState] = useState("loading"); // 'loading', 'playing', 'won', 'lost', 'error'
-  const [errorMessage, setErrorMessage] = useState(""); // Error messages
+  const [errorMessage, setErrorMessage] = useState(null); // { key, params, cause }, translated when shown
   // Added state for modal visibility
   const [isHowItWorksModalOpen, setIsHowItWorksModalOpen] = useState(false);
+  const [shareStatus, setShareStatus] = useState("idle"); // 'idle', 'copied', 'error'
+  const [completedOn, setCompletedOn] = useState(null); // UTC day key ("YYYY-MM-DD") the puzzle counts for in streaks
+  const [isStatsModalOpen, setIsStatsModalOpen] = useState(false);
+  const [puzzleSelection, setPuzzleSelection] = useState(readArchiveSelection); // { puzzleId, date, custom }, all null for today's daily
+  const [isArchivePuzzle, setIsArchivePuzzle] = useState(false); // Played from the archive rather than on its own day
+  const [isArchiveModalOpen, setIsArchiveModalOpen] = useState(false);
+  const [isPuzzlePackModalOpen, setIsPuzzlePackModalOpen] = useState(false);
+  const [puzzlePackName, setPuzzlePackName] = useState(null); // Name of the pack the current puzzle came from
+  const [isCreatorOpen, setIsCreatorOpen] = useState(false); // Puzzle creator shown instead of the game
+  const [opponentReplyMode, setOpponentReplyMode] = useState(
+    readOpponentReplyMode
+  );
+  const [autoPlayedPlies, setAutoPlayedPlies] = useState([]); // Indices in userMoveSequence played automatically
+  const [plyFens, setPlyFens] = useState([]); // FEN after each ply of userMoveSequence, used for undo
+  const [redoStack, setRedoStack] = useState([]); // Undone plies [{ san, fen, isAutoPlayed }], last undone on top
+  const [isOpponentReplyPending, setIsOpponentReplyPending] = useState(false);
+  const opponentReplyTimeoutRef = useRef(null);
+  const [gameMode, setGameMode] = useState("standard"); // 'standard' (full sequence) or 'final' (final move only)
+  const summaryTimeoutRef = useRef(null); // Pending opening of the game summary
+  const loadedDailyDateKeyRef = useRef(null); // Lichess day of the daily on screen, null for other puzzles
+  const [staleDailyId, setStaleDailyId] = useState(null); // Yesterday's daily, when it was served in place of today's
+  const gameModeRef = useRef(gameMode); // Read by the puzzle fetch without refetching on mode changes
+  const [finalMoveGuess, setFinalMoveGuess] = useState(null); // Pending 'final' mode guess { from, to, piece, promotion, label }
+  const [selectedSquare, setSelectedSquare] = useState(null); // Square picked by clicking (final move mode) or with the keyboard
+  const [keyboardSquare, setKeyboardSquare] = useState(null); // Board keyboard cursor, set by the first key press
+  const [isBoardFocused, setIsBoardFocused] = useState(false);
+  const [announcement, setAnnouncement] = useState(""); // Text of the screen reader live region
+  const [isShowingCachedPuzzle, setIsShowingCachedPuzzle] = useState(false); // Puzzle came from the offline cache
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [replayLineKey, setReplayLineKey] = useState("solution"); // Line shown by the game-over replay: 'solution' or an attempt index
+  const [replayPly, setReplayPly] = useState(0); // Plies of the replayed line played on the board
+  const [isReplayPlaying, setIsReplayPlaying] = useState(false);
+  const [isInspectingAttempt, setIsInspectingAttempt] = useState(false); // Replaying a past attempt on the board mid-game
+  const [hintsUsed, setHintsUsed] = useState([]); // Hints taken on this puzzle [{ type, ply?, attempt }]
+  const [settings, setSettings] = useState(readSettings); // Preferences from the settings modal
+  const [isSubmitConfirmPending, setIsSubmitConfirmPending] = useState(false); // First click of a confirmed submit
+  const [isHardModeGame, setIsHardModeGame] = useState(false); // Hard mode applies to the current puzzle
+  const [timerMode, setTimerMode] = useState("off"); // Timed mode clock of the current puzzle, a TIMER_MODES key
+  const [clock, setClock] = useState(EMPTY_CLOCK); // Start times and solve time of a timed game
+  const [hardModeMessage, setHardModeMessage] = useState(""); // Why hard mode rejected the last move or submit
+  const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
+  const [isSummaryModalOpen, setIsSummaryModalOpen] = useState(false); // End-of-game summary
+  const [stats, setStats] = useState(() =>
+    computeStats(readFinishedGames(LOCAL_STORAGE_KEY_PREFIX), MAX_ATTEMPTS)
+  );
+
+  /**
+   * Clears the current input and restores the saved progress of a puzzle
+   * in the given game mode. Returns whether saved progress was found.
+   */
+  const restoreProgress = useCallback((puzzleData, mode) => {
+    clearTimeout(opponentReplyTimeoutRef.current);
+    setIsOpponentReplyPending(false);
+    setUserMoveSequence([]);
+    setPlyFens([]);
+    setRedoStack([]);
+    setAutoPlayedPlies([]);
+    setFinalMoveGuess(null);
+    setSelectedSquare(null);
+    setHardModeMessage("");
+    setCurrentFen(puzzleData.initialFen); // Reset board visually regardless of loaded state
+
+    const savedData = readSavedProgress(
+      getProgressStorageKey(puzzleData.id, mode)
+    );
+    if (!savedData) {
+      // Nothing saved for this puzzle and mode, so start in 'playing' state
+      setAttemptsHistory([]);
+      setCurrentAttemptNumber(1);
+      setCompletedOn(null);
+      setHintsUsed([]);
+      setIsHardModeGame(mode !== "final" && readSettings().hardMode);
+      setTimerMode(mode !== "final" ? readSettings().timer : "off");
+      setClock(EMPTY_CLOCK);
+      setGameState("playing");
+      return false;
+    }
+
+    // Restore state from localStorage ('playing', 'won', or 'lost')
+    setAttemptsHistory(savedData.attemptsHistory);
+    setCurrentAttemptNumber(savedData.currentAttemptNumber);
+    setGameState(savedData.gameState); // Restore the actual saved state
+    setCompletedOn(
+      typeof savedData.completedOn === "string" ? savedData.completedOn : null
+    );
+    setIsArchivePuzzle(savedData.isArchive === true);
+    setHintsUsed(Array.isArray(savedData.hintsUsed) ? savedData.hintsUsed : []); // Older progress has no hints
+    setIsHardModeGame(savedData.hardMode === true);
+    setTimerMode(
+      TIMER_MODES[savedData.timer?.mode] ? savedData.timer.mode : "off"
+    );
+    setClock(restoreClock(savedData.timer));
+    console.log(`Restored ${mode} state: ${savedData.gameState}`, savedData);
+    return true;
+  }, []);
+
+  // A fresh selection object re-runs the puzzle fetch for today's daily
+  const reloadDailyPuzzle = useCallback(
+    () => setPuzzleSelection((selection) => ({ ...selection })),
+    []
+  );
 
   // --- Effects ---
 
-  // Fetch and process the daily puzzle on component mount
   useEffect(() => {
-    const fetchDailyPuzzle = async () => {
+    gameModeRef.current = gameMode;
+  }, [gameMode]);
+
+  // Follow browser back/forward navigation between archive puzzles
+  useEffect(() => {
+    const handlePopState = () => setPuzzleSelection(readArchiveSelection());
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Fetch and process the selected puzzle (today's daily unless an archive puzzle is selected)
+  useEffect(() => {
+    const fetchPuzzle = async () => {
       setGameState("loading");
       // Reset state for new puzzle
-      setErrorMessage("");
+      setErrorMessage(null);
       setAttemptsHistory([]);
       setCurrentAttemptNumber(1);
       setUserMoveSequence([]);
+      setPlyFens([]);
+      setRedoStack([]);
+      clearTimeout(opponentReplyTimeoutRef.current);
+      setIsOpponentReplyPending(false);
+      setAutoPlayedPlies([]);
+      setCompletedOn(null);
+      setIsArchivePuzzle(false);
+      setIsShowingCachedPuzzle(false);
+      setPuzzlePackName(null);
+      setStaleDailyId(null);
       setCurrentFen("start");
       setGame(null);
       setPuzzle(null);
       // Added: ensure modal is closed initially
       setIsHowItWorksModalOpen(false);
+      clearTimeout(summaryTimeoutRef.current);
+      setIsSummaryModalOpen(false);
 
-      const targetUrl = CORS_PROXY_URL
-        ? CORS_PROXY_URL + encodeURIComponent(LICHESS_DAILY_PUZZLE_URL)
-        : LICHESS_DAILY_PUZZLE_URL;
-
-      console.log("Fetching daily puzzle from:", targetUrl);
+      const dailyDateKey = getDailyDateKey();
+      const isDailySelection =
+        !puzzleSelection.puzzleId &&
+        !puzzleSelection.date &&
+        !puzzleSelection.custom;
+      loadedDailyDateKeyRef.current = isDailySelection ? dailyDateKey : null;
 
       try {
-        const response = await fetch(targetUrl);
-        if (!response.ok) {
-          throw new Error(
-            `HTTP error! Status: ${response.status} - ${
-              response.statusText || "Failed to fetch"
-            }`
-          );
-        }
-        const data = await response.json();
-        console.log("Raw puzzle data received:", data);
-
-        // --- Data Extraction & Validation ---
-        let baseFen = data?.game?.fen;
-        const pgn = data?.game?.pgn;
-        const initialPly = data?.puzzle?.initialPly;
-        const solution = data?.puzzle?.solution;
-
-        if (!solution || !Array.isArray(solution) || solution.length === 0) {
-          throw new Error(
-            "Incomplete puzzle data: Solution is missing or empty."
-          );
-        }
-        if (
-          !baseFen &&
-          (!pgn || initialPly === undefined || initialPly === null)
-        ) {
-          throw new Error(
-            "Incomplete puzzle data: Cannot determine starting FEN."
-          );
-        }
-
-        // --- Derive Base FEN from PGN if necessary ---
-        if (!baseFen) {
-          console.log("Attempting to derive FEN from PGN at ply:", initialPly);
-          try {
-            if (typeof Chess === "undefined")
-              throw new Error("Chess.js not loaded for PGN parsing.");
-            const tempChess = new Chess();
-            tempChess.loadPgn(pgn, { sloppy: true });
-            const history = tempChess.history();
-            tempChess.reset();
-            for (let i = 0; i < initialPly; i++) {
-              if (!history[i])
-                throw new Error(`PGN history missing move at ply ${i}.`);
-              tempChess.move(history[i]);
-            }
-            const opponentMoveIndex = initialPly;
-            if (history[opponentMoveIndex]) {
-              tempChess.move(history[opponentMoveIndex]);
-            }
-            baseFen = tempChess.fen();
-            console.log("Derived FEN from PGN:", baseFen);
-          } catch (pgnError) {
-            throw new Error(
-              `Failed to derive FEN from PGN: ${pgnError.message}`
-            );
+        // --- Resolve Which Puzzle to Load ---
+        let requestedPuzzleId = puzzleSelection.puzzleId;
+        if (!requestedPuzzleId && puzzleSelection.date) {
+          requestedPuzzleId = readDailyIndex()[puzzleSelection.date];
+          if (!requestedPuzzleId) {
+            throw createLocalizedError("app.noDailyForDate", {
+              date: puzzleSelection.date,
+            });
           }
         }
 
-        // --- Validate Base FEN ---
-        try {
-          if (typeof Chess === "undefined")
-            throw new Error("Chess.js not loaded for FEN validation.");
-          new Chess(baseFen);
-        } catch (fenValidationError) {
-          throw new Error(
-            `Initial FEN ("${baseFen}") is invalid: ${fenValidationError.message}`
-          );
-        }
-
-        // --- Correct FEN Turn Marker if Necessary ---
-        // Checks if the first solution move is valid from the current FEN turn. Flips if not.
-        let correctedFen = baseFen;
-        const firstSolutionMoveUci = solution[0];
-        const parsedFirstMove = parseUci(firstSolutionMoveUci);
-        if (!parsedFirstMove) {
-          throw new Error(
-            `Invalid first solution move format received: ${firstSolutionMoveUci}`
-          );
-        }
-
-        let turnSeemsCorrect = false;
-        try {
-          if (typeof Chess === "undefined")
-            throw new Error("Chess.js not loaded for turn check.");
-          if (new Chess(baseFen).move(parsedFirstMove) !== null) {
-            turnSeemsCorrect = true;
+        // --- Custom and Pack Puzzles Load Without the Network ---
+        const packPuzzle = requestedPuzzleId
+          ? findPackPuzzle(requestedPuzzleId)
+          : null;
+        let newPuzzleData = packPuzzle;
+        let isFromCache = false;
+        if (puzzleSelection.custom) {
+          newPuzzleData = decodeCustomPuzzle(puzzleSelection.custom);
+          if (!newPuzzleData) {
+            throw createLocalizedError("app.brokenCustomLink");
           }
-        } catch (turnCheckError) {
-          console.warn(
-            "Initial turn check failed, likely need to flip turn marker:",
-            turnCheckError.message
-          );
-        }
-
-        if (!turnSeemsCorrect) {
-          console.log("Attempting to correct FEN turn marker...");
-          const fenParts = baseFen.split(" ");
-          if (fenParts.length >= 2) {
-            const currentTurn = fenParts[1];
-            const newTurn = currentTurn === "w" ? "b" : "w";
-            fenParts[1] = newTurn;
-            const flippedFen = fenParts.join(" ");
-            try {
-              if (typeof Chess === "undefined")
-                throw new Error("Chess.js not loaded for flipped turn check.");
-              if (new Chess(flippedFen).move(parsedFirstMove) !== null) {
-                correctedFen = flippedFen;
-                console.log(
-                  "FEN turn successfully corrected to:",
-                  correctedFen
-                );
-              } else {
-                console.error(
-                  "Flipping FEN turn did not make the first solution move valid. Using original FEN:",
-                  baseFen
-                );
-                correctedFen = baseFen;
-              }
-            } catch (flipCheckError) {
-              console.error(
-                "Error checking move with flipped FEN. Using original FEN:",
-                flipCheckError.message
-              );
-              correctedFen = baseFen;
+          console.log("Loading custom puzzle:", newPuzzleData.id);
+        } else if (packPuzzle) {
+          setPuzzlePackName(readPuzzlePack()?.name || null);
+          console.log("Loading puzzle from the imported pack:", packPuzzle.id);
+        } else {
+          // --- Fetch, Falling Back to the Offline Cache ---
+          // While offline, a successful fetch was answered by the service worker's cache
+          let data;
+          isFromCache = !navigator.onLine;
+          try {
+            data = requestedPuzzleId
+              ? await puzzleProvider.fetchPuzzleById(requestedPuzzleId)
+              : await puzzleProvider.fetchDailyPuzzle();
+            cachePuzzleResponse(data, isDailySelection);
+          } catch (fetchError) {
+            data = readCachedPuzzleResponse(requestedPuzzleId);
+            if (!data) {
+              throw navigator.onLine
+                ? fetchError
+                : createLocalizedError("app.offlineNotCached");
             }
-          } else {
-            console.error(
-              "Could not parse FEN string to flip turn marker. Using original FEN:",
-              baseFen
-            );
-            correctedFen = baseFen;
+            console.warn("Fetch failed, using cached puzzle:", fetchError);
+            isFromCache = true;
           }
-        }
+          setIsShowingCachedPuzzle(isFromCache);
+          console.log("Raw puzzle data received:", data);
 
-        // --- Final Validation and State Update ---
-        let finalInitialFen = correctedFen;
-        let chessInstance;
-        try {
-          if (typeof Chess === "undefined")
-            throw new Error("Chess.js not loaded for final instance creation.");
-          chessInstance = new Chess(finalInitialFen);
-        } catch (fenError) {
-          throw new Error(
-            `Invalid final FEN ("${finalInitialFen}") after processing: ${fenError.message}`
-          );
+          // --- Normalize the Response (starting FEN, side to move) ---
+          newPuzzleData = normalizePuzzle(data);
         }
-
-        // --- Set Game State ---
-        const playerColor =
-          finalInitialFen.split(" ")[1] === "w" ? "white" : "black";
-        const puzzleId =
-          data.puzzle?.id ||
-          `lichess_daily_${new Date().toISOString().split("T")[0]}`;
-        const puzzleRating = data.puzzle?.rating || "N/A";
-
-        // Store the fetched and processed puzzle data
-        const newPuzzleData = {
-          id: puzzleId,
-          rating: puzzleRating,
-          initialFen: finalInitialFen,
-          solution: solution, // Store as UCI
-          playerColor: playerColor,
-        };
+        const puzzleId = newPuzzleData.id;
+        const chessInstance = new Chess(newPuzzleData.initialFen);
+        // Right after the rollover, Lichess or the offline cache may still
+        // serve yesterday's daily; only record it if no day claims it yet
+        const recordedDateKey = findDailyDateKey(puzzleId);
+        if (isDailySelection && !recordedDateKey) {
+          recordDailyPuzzle(dailyDateKey, puzzleId);
+        } else if (isDailySelection && recordedDateKey < dailyDateKey) {
+          // Keep the loaded day stale so returning to the app tries again
+          loadedDailyDateKeyRef.current = recordedDateKey;
+          setStaleDailyId(puzzleId);
+          console.log("Today's daily isn't out yet, showing:", puzzleId);
+        }
+        // Only puzzles played on their own day count towards streaks
+        const playedAsArchive = readDailyIndex()[dailyDateKey] !== puzzleId;
+        setIsArchivePuzzle(playedAsArchive);
         setPuzzle(newPuzzleData);
         setGame(chessInstance);
-        setCurrentFen(finalInitialFen); // Set initial board display
 
         // --- Load Saved Progress from LocalStorage ---
-        let loadedStateSuccessfully = false; // Assume failure initially
-        const storageKey = `${LOCAL_STORAGE_KEY_PREFIX}${puzzleId}`;
+        const loadedStateSuccessfully = restoreProgress(
+          newPuzzleData,
+          gameModeRef.current
+        );
         // Define key for modal seen status
-        const seenModalKey = `${storageKey}${LOCAL_STORAGE_SEEN_MODAL_SUFFIX}`;
+        const seenModalKey = `${LOCAL_STORAGE_KEY_PREFIX}${puzzleId}${LOCAL_STORAGE_SEEN_MODAL_SUFFIX}`;
         try {
-          const savedDataString = localStorage.getItem(storageKey);
-          // Check if modal has been seen
-          const hasSeenModal = localStorage.getItem(seenModalKey) === "true";
-
-          if (savedDataString) {
-            console.log("Found saved progress for puzzle:", puzzleId);
-            const savedData = JSON.parse(savedDataString);
-
-            // Validate basic structure and check for valid game states
-            if (
-              savedData &&
-              Array.isArray(savedData.attemptsHistory) &&
-              typeof savedData.currentAttemptNumber === "number" &&
-              typeof savedData.gameState === "string" &&
-              ["playing", "won", "lost"].includes(savedData.gameState) // Check for valid states
-            ) {
-              // Restore state from localStorage ('playing', 'won', or 'lost')
-              setAttemptsHistory(savedData.attemptsHistory);
-              setCurrentAttemptNumber(savedData.currentAttemptNumber);
-              setGameState(savedData.gameState); // Restore the actual saved state
-              setCurrentFen(finalInitialFen); // Reset board visually regardless of loaded state
-              loadedStateSuccessfully = true; // Mark loading as successful
-              console.log(`Restored state: ${savedData.gameState}`, savedData);
-            } else {
-              // Invalid data found in storage
-              console.warn(
-                `Invalid or non-restorable data found in localStorage for this puzzle, starting fresh.`
-              );
-              localStorage.removeItem(storageKey); // Clear invalid data
-            }
-          } else {
-            console.log("No saved progress found for puzzle:", puzzleId);
-          }
-
           // Open modal only if no state loaded AND modal not seen before
+          const hasSeenModal = localStorage.getItem(seenModalKey) === "true";
           if (!loadedStateSuccessfully && !hasSeenModal) {
             setIsHowItWorksModalOpen(true);
           }
         } catch (storageError) {
           console.error("Error reading from localStorage:", storageError);
-          localStorage.removeItem(storageKey); // Clear potentially corrupted data
-        }
-
-        // If no valid state was loaded from localStorage, ensure we start in 'playing' state.
-        if (!loadedStateSuccessfully) {
-          setGameState("playing");
-          console.log(
-            "No valid saved state found, setting gameState to 'playing'."
-          );
         }
         // --- Load Saved Progress from LocalStorage ---
 
-        console.log("Puzzle loaded successfully:", {
-          id: puzzleId,
-          rating: puzzleRating,
-          fen: finalInitialFen,
-          turn: playerColor,
-        });
+        console.log("Puzzle loaded successfully:", newPuzzleData);
       } catch (err) {
         console.error("Failed to fetch or process puzzle:", err);
-        setErrorMessage(
-          `Failed to load daily puzzle: ${
-            err.message || "An unknown error occurred"
-          }. Please try refreshing.`
-        );
+        setErrorMessage({
+          key: isDailySelection
+            ? "app.loadFailed.daily"
+            : puzzleSelection.custom
+            ? "app.loadFailed.custom"
+            : "app.loadFailed.archive",
+          cause: err,
+        });
         setGameState("error");
       }
     };
 
-    fetchDailyPuzzle();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // Run only on mount
+    fetchPuzzle();
+  }, [puzzleSelection, restoreProgress]); // Run on mount and whenever a different puzzle is selected
 
   // --- Effect to Save Progress to LocalStorage
   useEffect(() => {
@@ -529,13 +2132,19 @@ function App() {
       gameState !== "loading" &&
       gameState !== "error"
     ) {
-      const storageKey = `${LOCAL_STORAGE_KEY_PREFIX}${puzzle.id}`;
+      const storageKey = getProgressStorageKey(puzzle.id, gameMode);
       // Only save if the state is 'playing', 'won', or 'lost'. Avoid saving intermediate states.
       if (["playing", "won", "lost"].includes(gameState)) {
         const dataToSave = {
           attemptsHistory,
           currentAttemptNumber,
           gameState,
+          completedOn,
+          isArchive: isArchivePuzzle,
+          gameMode,
+          hintsUsed,
+          hardMode: isHardModeGame,
+          timer: { mode: timerMode, ...clock },
         };
         try {
           // console.log(`Saving gameState '${gameState}' to localStorage for puzzle ${puzzle.id}`); // Removed log
@@ -549,18 +2158,365 @@ function App() {
       }
     }
     // Dependencies: Save when these state variables change after initial load
-  }, [attemptsHistory, currentAttemptNumber, gameState, puzzle]);
+  }, [
+    attemptsHistory,
+    currentAttemptNumber,
+    gameState,
+    completedOn,
+    isArchivePuzzle,
+    gameMode,
+    hintsUsed,
+    isHardModeGame,
+    timerMode,
+    clock,
+    puzzle,
+  ]);
   // --- End Effect to Save Progress ---
 
+  // Recompute statistics once a finished game has been saved above
+  useEffect(() => {
+    if (gameState === "won" || gameState === "lost") {
+      setStats(
+        computeStats(readFinishedGames(LOCAL_STORAGE_KEY_PREFIX), MAX_ATTEMPTS)
+      );
+    }
+  }, [gameState, completedOn]);
+
+  // Remember the settings across visits
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  // The color theme and feedback palette are applied by GlobalStyle from
+  // attributes on the root element
+  useEffect(() => {
+    const root = document.documentElement;
+    root.dataset.theme = settings.colorTheme;
+    root.dataset.colorblind = String(settings.colorblindFeedback);
+  }, [settings.colorTheme, settings.colorblindFeedback]);
+
+  // A pending submit confirmation is for the input it was asked about
+  useEffect(() => {
+    setIsSubmitConfirmPending(false);
+  }, [userMoveSequence, finalMoveGuess, gameState]);
+
+  // Remember the opponent reply preference across visits
+  useEffect(() => {
+    try {
+      localStorage.setItem(LOCAL_STORAGE_OPPONENT_MODE_KEY, opponentReplyMode);
+    } catch (storageError) {
+      console.error("Error saving opponent reply mode:", storageError);
+    }
+  }, [opponentReplyMode]);
+
+  // Track connectivity for the offline banner
+  useEffect(() => {
+    const handleConnectivityChange = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", handleConnectivityChange);
+    window.addEventListener("offline", handleConnectivityChange);
+    return () => {
+      window.removeEventListener("online", handleConnectivityChange);
+      window.removeEventListener("offline", handleConnectivityChange);
+    };
+  }, []);
+
+  // A tab or installed app left open overnight still shows yesterday's daily,
+  // so load the new one when the player comes back after the rollover
+  useEffect(() => {
+    const handleReturn = () => {
+      if (document.visibilityState === "hidden") return;
+      const loadedDateKey = loadedDailyDateKeyRef.current;
+      if (!loadedDateKey || loadedDateKey === getDailyDateKey()) return;
+      loadedDailyDateKeyRef.current = null; // Focus and visibilitychange often fire together
+      reloadDailyPuzzle();
+    };
+    window.addEventListener("focus", handleReturn);
+    document.addEventListener("visibilitychange", handleReturn);
+    return () => {
+      window.removeEventListener("focus", handleReturn);
+      document.removeEventListener("visibilitychange", handleReturn);
+    };
+  }, [reloadDailyPuzzle]);
+
+  // While yesterday's daily is still served, check back until the new one is
+  // out; the reload waits for it so moves being entered aren't reset for nothing
+  useEffect(() => {
+    if (!staleDailyId) return;
+    let retryTimeoutId;
+    let isCancelled = false;
+    const checkForNewDaily = async () => {
+      let dailyId = null;
+      try {
+        dailyId = (await puzzleProvider.fetchDailyPuzzle())?.puzzle?.id;
+      } catch (fetchError) {
+        console.warn("Could not check for the new daily puzzle:", fetchError);
+      }
+      if (isCancelled) return;
+      if (dailyId && dailyId !== staleDailyId) {
+        reloadDailyPuzzle();
+      } else {
+        retryTimeoutId = setTimeout(checkForNewDaily, STALE_DAILY_RETRY_DELAY);
+      }
+    };
+    retryTimeoutId = setTimeout(checkForNewDaily, STALE_DAILY_RETRY_DELAY);
+    return () => {
+      isCancelled = true;
+      clearTimeout(retryTimeoutId);
+    };
+  }, [staleDailyId, reloadDailyPuzzle]);
+
+  // Prefetch the next daily puzzle once Lichess publishes it, so it can be
+  // played offline. Fetching also refreshes the service worker's cache.
+  useEffect(() => {
+    let prefetchTimeoutId;
+    const schedulePrefetch = (delay) => {
+      clearTimeout(prefetchTimeoutId);
+      prefetchTimeoutId = setTimeout(() => prefetchDaily(true), delay);
+    };
+    // isAfterRollover: the new daily is due, so keep retrying until it appears
+    const prefetchDaily = async (isAfterRollover) => {
+      if (!navigator.onLine) return; // Retried by the 'online' listener below
+      let isNewDaily = false;
+      try {
+        isNewDaily = cachePuzzleResponse(
+          await puzzleProvider.fetchDailyPuzzle(),
+          true
+        );
+      } catch (prefetchError) {
+        console.warn("Could not prefetch the daily puzzle:", prefetchError);
+      }
+      if (isNewDaily) {
+        console.log("Prefetched the next daily puzzle for offline play.");
+      }
+      if (isAfterRollover && !isNewDaily) {
+        schedulePrefetch(DAILY_PREFETCH_RETRY_DELAY);
+      } else {
+        schedulePrefetch(getMsUntilNextUtcDay() + DAILY_PREFETCH_DELAY);
+      }
+    };
+    const handleOnline = () => prefetchDaily(false);
+
+    schedulePrefetch(getMsUntilNextUtcDay() + DAILY_PREFETCH_DELAY);
+    window.addEventListener("online", handleOnline);
+    return () => {
+      clearTimeout(prefetchTimeoutId);
+      window.removeEventListener("online", handleOnline);
+    };
+  }, []);
+
+  // Don't leave a pending opponent reply or summary running after unmount
+  useEffect(
+    () => () => {
+      clearTimeout(opponentReplyTimeoutRef.current);
+      clearTimeout(summaryTimeoutRef.current);
+    },
+    []
+  );
+
+  // The move "final move only" mode asks for, null if it can't be determined
+  const finalSolverMove = useMemo(() => {
+    if (!puzzle) return null;
+    try {
+      return getFinalSolverMove(puzzle.initialFen, puzzle.solution);
+    } catch (error) {
+      console.error("Could not determine the final solver move:", error);
+      return null;
+    }
+  }, [puzzle]);
+
+  // The solution as a replayable line (SAN, squares and FEN per ply)
+  const solutionLine = useMemo(
+    () => (puzzle ? buildMoveLine(puzzle.initialFen, puzzle.solution) : []),
+    [puzzle]
+  );
+
+  const boardAppearance = useMemo(
+    () => getBoardAppearance(settings),
+    [settings]
+  );
+  // UI language and move notation, passed to the components that show text
+  const locale = resolveLocale(settings.language);
+  const i18n = useMemo(
+    () => createI18n(locale, settings.moveNotation),
+    [locale, settings.moveNotation]
+  );
+  const { t, formatMove } = i18n;
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  /** Plays a sound effect if sounds are switched on in the settings. */
+  const playSoundEffect = useCallback(
+    (name) => {
+      if (settings.sounds) playSound(name);
+    },
+    [settings.sounds]
+  );
+
+  // What hard mode requires of the next attempt, keyed by ply index
+  const hardModeConstraints = useMemo(
+    () =>
+      puzzle && isHardModeGame
+        ? getHardModeConstraints(puzzle.initialFen, attemptsHistory)
+        : {},
+    [puzzle, isHardModeGame, attemptsHistory]
+  );
+
+  // Lines offered by the game-over replay: the solution, then each attempt.
+  // "Final move only" attempts are a single move from a later position, so
+  // only the solution can be replayed in that mode.
+  const replayLines = useMemo(() => {
+    if (!puzzle) return [];
+    const lines = [
+      { key: "solution", label: t("replay.solution"), plies: solutionLine },
+    ];
+    if (gameMode === "final") return lines;
+    attemptsHistory.forEach((attempt, index) => {
+      if (attempt.sequence.length === 0) return; // Timed out before a move
+      const scoredPlyIndices = getScoredPlyIndices(attempt);
+      lines.push({
+        key: index,
+        label: t("replay.attempt", { number: index + 1 }),
+        plies: buildMoveLine(puzzle.initialFen, attempt.sequence),
+        feedback: attempt.sequence.map((_, plyIndex) =>
+          scoredPlyIndices.includes(plyIndex)
+            ? attempt.feedback[plyIndex]
+            : undefined
+        ),
+        reasons: attempt.reasons,
+        autoPlayed: attempt.autoPlayed,
+      });
+    });
+    return lines;
+  }, [puzzle, solutionLine, gameMode, attemptsHistory, t]);
+
+  // Start the replay when the game ends (or a finished puzzle/mode loads):
+  // at the end of the solution after a win, at the start after a loss
+  useEffect(() => {
+    setReplayLineKey("solution");
+    setReplayPly(gameState === "won" ? solutionLine.length : 0);
+    setIsReplayPlaying(false);
+    setIsInspectingAttempt(false);
+  }, [gameState, solutionLine, gameMode]);
+
+  // Any change to the current input brings the board back to it
+  useEffect(() => {
+    setIsInspectingAttempt(false);
+    setSelectedSquare(null);
+  }, [userMoveSequence]);
+
+  // Announce each move added to the input (dragged, typed, played with the
+  // keyboard, redone or auto-played) to screen readers
+  const announcedMoveCountRef = useRef(0);
+  useEffect(() => {
+    const moveCount = userMoveSequence.length;
+    if (moveCount > announcedMoveCountRef.current) {
+      const ply = moveCount - 1;
+      setAnnouncement(
+        t(
+          autoPlayedPlies.includes(ply)
+            ? "announce.opponentMove"
+            : "announce.move",
+          { number: moveCount, move: formatMove(userMoveSequence[ply]) }
+        )
+      );
+    }
+    announcedMoveCountRef.current = moveCount;
+  }, [userMoveSequence, autoPlayedPlies, t, formatMove]);
+
+  // Replay autoplay: advance one ply at a time, stopping at the line's end
+  const replayLine =
+    replayLines.find((line) => line.key === replayLineKey) || replayLines[0];
+  const replayLength = replayLine ? replayLine.plies.length : 0;
+  useEffect(() => {
+    if (!isReplayPlaying) return;
+    if (replayPly >= replayLength) {
+      setIsReplayPlaying(false);
+      return;
+    }
+    const timeoutId = setTimeout(
+      () => setReplayPly((prev) => prev + 1),
+      REPLAY_AUTOPLAY_DELAY
+    );
+    return () => clearTimeout(timeoutId);
+  }, [isReplayPlaying, replayPly, replayLength]);
+
   // --- Callbacks ---
 
   /**
-   * Handles piece drop events from react-chessboard.
-   * Validates the move and updates state if legal.
+   * Cancels an opponent reply that is waiting to be auto-played.
+   */
+  const cancelOpponentReply = () => {
+    clearTimeout(opponentReplyTimeoutRef.current);
+    opponentReplyTimeoutRef.current = null;
+    setIsOpponentReplyPending(false);
+  };
+
+  // Starts the timed mode clock with the first move of the puzzle or attempt
+  const startClock = useCallback(() => {
+    if (!TIMER_MODES[timerMode].limit) return;
+    const now = Date.now();
+    setClock((prev) => ({
+      ...prev,
+      startedAt: prev.startedAt ?? now,
+      attemptStartedAt: prev.attemptStartedAt ?? now,
+    }));
+  }, [timerMode]);
+
+  /**
+   * After the solver's move at plyIndex, plays the opponent's reply from the
+   * solution automatically when the reply mode allows it: in 'auto' mode only
+   * if the move matched the solution, in 'forgiving' mode after any move.
+   */
+
+  const scheduleOpponentReply = useCallback(
+    (plyIndex, moveResult, fenAfterMove) => {
+      if (opponentReplyMode === "manual" || plyIndex % 2 !== 0) return;
+      const solutionMove = parseUci(puzzle.solution[plyIndex]);
+      const replyUci = puzzle.solution[plyIndex + 1];
+      if (!solutionMove || !replyUci) return;
+
+      const matchesSolution =
+        moveResult.from === solutionMove.from &&
+        moveResult.to === solutionMove.to &&
+        (moveResult.promotion || null) === (solutionMove.promotion || null);
+      if (opponentReplyMode === "auto" && !matchesSolution) return;
+
+      // The reply may be illegal after a wrong move; then the player enters it
+      const replyGame = new Chess(fenAfterMove);
+      let replyResult = null;
+      try {
+        replyResult = replyGame.move(parseUci(replyUci));
+      } catch (error) {
+        console.log(`Opponent reply ${replyUci} is not legal here:`, error);
+        return;
+      }
+      if (!replyResult) return;
+
+      setIsOpponentReplyPending(true);
+      opponentReplyTimeoutRef.current = setTimeout(() => {
+        opponentReplyTimeoutRef.current = null;
+        setIsOpponentReplyPending(false);
+        setCurrentFen(replyGame.fen());
+        setUserMoveSequence((prev) => [...prev, replyResult.san]);
+        setPlyFens((prev) => [...prev, replyGame.fen()]);
+        setAutoPlayedPlies((prev) => [...prev, plyIndex + 1]);
+        playSoundEffect("move");
+        console.log(`Auto-played opponent reply: ${replyResult.san}`);
+      }, OPPONENT_REPLY_DELAY);
+    },
+    [opponentReplyMode, playSoundEffect, puzzle]
+  );
+
+  /**
+   * Validates a move (with an optional promotion piece: 'q', 'r', 'b' or 'n')
+   * against the current input position and appends it to the sequence if legal.
    */
-  const onDrop = useCallback(
-    (sourceSquare, targetSquare, piece) => {
+  const applyUserMove = useCallback(
+    (sourceSquare, targetSquare, promotion) => {
       if (gameState !== "playing" || !puzzle || !currentFen) return false;
+      if (isOpponentReplyPending) return false;
 
       // If starting a new sequence after a submit, ensure the board is visually reset first
       // This handles cases where the timeout might not have finished before user interaction
@@ -572,7 +2528,7 @@ function App() {
           moveResult = gameForFirstMove.move({
             from: sourceSquare,
             to: targetSquare,
-            promotion: "q",
+            promotion,
           });
         } catch (error) {
           console.error("Error attempting first move of new sequence:", error);
@@ -584,9 +2540,27 @@ function App() {
           );
           return false;
         }
+        const hardModeError = checkHardModeMove(
+          hardModeConstraints,
+          0,
+          moveResult,
+          i18n
+        );
+        if (hardModeError) {
+          setHardModeMessage(hardModeError);
+          playSoundEffect("rejected");
+          return false;
+        }
+        setHardModeMessage("");
+        playSoundEffect("move");
         console.log(`Valid first move made: ${moveResult.san}`);
         setCurrentFen(gameForFirstMove.fen()); // Update board state
         setUserMoveSequence([moveResult.san]); // Start the sequence
+        startClock();
+        setPlyFens([gameForFirstMove.fen()]);
+        setRedoStack([]);
+        setAutoPlayedPlies([]);
+        scheduleOpponentReply(0, moveResult, gameForFirstMove.fen());
         return true;
       }
 
@@ -596,18 +2570,17 @@ function App() {
       }
 
       if (typeof Chess === "undefined") {
-        console.error("Chess.js not loaded in onDrop callback.");
+        console.error("Chess.js not loaded in applyUserMove callback.");
         return false;
       }
       const gameCopy = new Chess(currentFen); // Use the current FEN for subsequent moves
       let moveResult = null;
 
       try {
-        // Attempt move, auto-promoting to queen
         moveResult = gameCopy.move({
           from: sourceSquare,
           to: targetSquare,
-          promotion: "q",
+          promotion,
         });
       } catch (error) {
         console.error("Error attempting move in chess.js:", error);
@@ -618,36 +2591,381 @@ function App() {
         console.log(`Illegal move attempted: ${sourceSquare}-${targetSquare}`);
         return false; // Indicate illegal move
       }
+      const hardModeError = checkHardModeMove(
+        hardModeConstraints,
+        userMoveSequence.length,
+        moveResult,
+        i18n
+      );
+      if (hardModeError) {
+        setHardModeMessage(hardModeError);
+        playSoundEffect("rejected");
+        return false;
+      }
+      setHardModeMessage("");
+      playSoundEffect("move");
 
       // Update state on valid move
       console.log(`Valid move made: ${moveResult.san}`);
       setCurrentFen(gameCopy.fen());
       setUserMoveSequence((prev) => [...prev, moveResult.san]);
+      setPlyFens((prev) => [...prev, gameCopy.fen()]);
+      setRedoStack([]); // A new move starts a new branch
+      scheduleOpponentReply(
+        userMoveSequence.length,
+        moveResult,
+        gameCopy.fen()
+      );
       return true; // Signal success to react-chessboard
     },
-    [currentFen, gameState, puzzle, userMoveSequence]
+    [
+      currentFen,
+      gameState,
+      hardModeConstraints,
+      i18n,
+      isOpponentReplyPending,
+      playSoundEffect,
+      puzzle,
+      scheduleOpponentReply,
+      startClock,
+      userMoveSequence,
+    ]
+  );
+
+  /**
+   * Records a "final move only" guess picked on the board. The board itself
+   * never changes in that mode, so the dragged piece always snaps back.
+   */
+  const pickFinalMoveGuess = useCallback(
+    (from, to, pieceType, promotion) => {
+      if (gameState !== "playing") return;
+      const pieceLetter = pieceType && pieceType !== "p" ? pieceType : "";
+      const label = `${pieceLetter.toUpperCase()}${from}-${to}${
+        promotion ? `=${promotion.toUpperCase()}` : ""
+      }`;
+      setFinalMoveGuess({ from, to, piece: pieceType, promotion, label });
+      setSelectedSquare(null);
+      setAnnouncement(t("announce.finalMove", { move: formatMove(label) }));
+    },
+    [gameState, t, formatMove]
+  );
+
+  /**
+   * Handles piece drop events from react-chessboard.
+   * Promotions don't come through here: react-chessboard opens its
+   * promotion dialog and calls onPromotionPieceSelect instead.
+   */
+  const onDrop = useCallback(
+    (sourceSquare, targetSquare, piece) => {
+      if (isInspectingAttempt) return false; // Replaying an attempt is read-only
+      if (gameMode === "final") {
+        pickFinalMoveGuess(sourceSquare, targetSquare, piece[1].toLowerCase());
+        return false;
+      }
+      return applyUserMove(sourceSquare, targetSquare);
+    },
+    [applyUserMove, gameMode, isInspectingAttempt, pickFinalMoveGuess]
+  );
+
+  /**
+   * Handles the piece picked in react-chessboard's promotion dialog
+   * (e.g. "wN"). Called without arguments when the dialog is dismissed.
+   */
+  const onPromotionPieceSelect = useCallback(
+    (piece, promoteFromSquare, promoteToSquare) => {
+      if (!piece || !promoteFromSquare || !promoteToSquare) return false;
+      if (isInspectingAttempt) return false;
+      if (gameMode === "final") {
+        pickFinalMoveGuess(
+          promoteFromSquare,
+          promoteToSquare,
+          "p",
+          piece[1].toLowerCase()
+        );
+        return false;
+      }
+      return applyUserMove(
+        promoteFromSquare,
+        promoteToSquare,
+        piece[1].toLowerCase()
+      );
+    },
+    [applyUserMove, gameMode, isInspectingAttempt, pickFinalMoveGuess]
+  );
+
+  /**
+   * In "final move only" mode, squares can be clicked to pick a move, which
+   * also allows starting on a square that is still empty on the starting board.
+   */
+  const onSquareClick = useCallback(
+    (square) => {
+      if (gameMode !== "final" || gameState !== "playing" || !puzzle) return;
+      if (isInspectingAttempt) return;
+      if (!selectedSquare) {
+        setSelectedSquare(square);
+      } else if (selectedSquare === square) {
+        setSelectedSquare(null);
+      } else {
+        const pieceOnSquare = new Chess(puzzle.initialFen).get(selectedSquare);
+        pickFinalMoveGuess(selectedSquare, square, pieceOnSquare?.type);
+      }
+    },
+    [
+      gameMode,
+      gameState,
+      isInspectingAttempt,
+      pickFinalMoveGuess,
+      puzzle,
+      selectedSquare,
+    ]
   );
 
+  /**
+   * Validates a typed SAN or UCI move against the current input position and
+   * plays it. Returns an error message, or null if the move was added.
+   */
+  const handleNotationMove = (notation) => {
+    if (!puzzle || gameState !== "playing") return t("notation.gameOver");
+    if (gameMode === "final") {
+      const guess = parseFinalMoveGuess(notation, puzzle.playerColor);
+      if (!guess) return t("notation.notAMove", { notation });
+      setFinalMoveGuess(guess);
+      setSelectedSquare(null);
+      return null;
+    }
+    if (isOpponentReplyPending) return t("notation.replyPending");
+    if (userMoveSequence.length >= puzzle.solution.length) {
+      return t("notation.sequenceComplete");
+    }
+    const fenBeforeMove =
+      userMoveSequence.length === 0 ? puzzle.initialFen : currentFen;
+    const parsedMove = UCI_MOVE_PATTERN.test(notation)
+      ? parseUci(notation.toLowerCase())
+      : parseSanMove(fenBeforeMove, notation);
+    const hardModeError =
+      parsedMove &&
+      checkHardModeMove(
+        hardModeConstraints,
+        userMoveSequence.length,
+        parsedMove,
+        i18n
+      );
+    if (hardModeError) return hardModeError;
+    if (
+      !parsedMove ||
+      !applyUserMove(parsedMove.from, parsedMove.to, parsedMove.promotion)
+    ) {
+      return t("notation.illegalMove", { notation });
+    }
+    return null;
+  };
+
+  /**
+   * Cuts the current input back to its first `length` plies, restoring the
+   * board from the FEN stack. Removed plies go onto the redo stack.
+   */
+  const truncateInput = (length) => {
+    if (!puzzle || gameState !== "playing") return;
+    if (length < 0 || length >= userMoveSequence.length) return;
+    cancelOpponentReply();
+    const removedPlies = userMoveSequence
+      .slice(length)
+      .map((san, offset) => ({
+        san,
+        fen: plyFens[length + offset],
+        isAutoPlayed: autoPlayedPlies.includes(length + offset),
+      }))
+      .reverse();
+    setCurrentFen(length > 0 ? plyFens[length - 1] : puzzle.initialFen);
+    setUserMoveSequence((prev) => prev.slice(0, length));
+    setPlyFens((prev) => prev.slice(0, length));
+    setAutoPlayedPlies((prev) => prev.filter((index) => index < length));
+    setRedoStack((prev) => [...prev, ...removedPlies]);
+  };
+
+  /**
+   * Undoes the last ply of the current input. An auto-played opponent reply
+   * is undone together with the move that triggered it.
+   */
+  const handleUndoPly = () => {
+    if (gameMode === "final") {
+      setFinalMoveGuess(null);
+      setSelectedSquare(null);
+      return;
+    }
+    if (isOpponentReplyPending) {
+      // The reply never landed, so only the triggering move is undone
+      truncateInput(userMoveSequence.length - 1);
+      return;
+    }
+    const lastIndex = userMoveSequence.length - 1;
+    const pliesToRemove =
+      autoPlayedPlies.includes(lastIndex) && lastIndex > 0 ? 2 : 1;
+    truncateInput(userMoveSequence.length - pliesToRemove);
+  };
+
+  /**
+   * Replays the most recently undone ply, along with its auto-played
+   * opponent reply if that was undone too.
+   */
+  const handleRedoPly = () => {
+    if (!puzzle || gameState !== "playing" || isOpponentReplyPending) return;
+    if (redoStack.length === 0) return;
+    const nextPlies = [redoStack[redoStack.length - 1]];
+    const followingPly = redoStack[redoStack.length - 2];
+    if (followingPly?.isAutoPlayed) nextPlies.push(followingPly);
+
+    const firstNewIndex = userMoveSequence.length;
+    setCurrentFen(nextPlies[nextPlies.length - 1].fen);
+    setUserMoveSequence((prev) => [
+      ...prev,
+      ...nextPlies.map((ply) => ply.san),
+    ]);
+    setPlyFens((prev) => [...prev, ...nextPlies.map((ply) => ply.fen)]);
+    setAutoPlayedPlies((prev) => [
+      ...prev,
+      ...nextPlies
+        .map((ply, offset) =>
+          ply.isAutoPlayed ? firstNewIndex + offset : null
+        )
+        .filter((index) => index !== null),
+    ]);
+    setRedoStack((prev) => prev.slice(0, prev.length - nextPlies.length));
+  };
+
   /**
    * Resets the current attempt's input sequence and board display.
    */
   const handleResetInput = () => {
     if (!puzzle || gameState !== "playing") return;
     console.log("Resetting current input sequence and board.");
+    setFinalMoveGuess(null);
+    setSelectedSquare(null);
+    cancelOpponentReply();
+    setHardModeMessage("");
     setCurrentFen(puzzle.initialFen);
     setUserMoveSequence([]);
+    setPlyFens([]);
+    setRedoStack([]);
+    setAutoPlayedPlies([]);
+  };
+
+  /**
+   * Announces a submitted attempt's feedback to screen readers, followed by
+   * the outcome: solved, attempts left, or out of attempts.
+   */
+  const announceAttemptResult = (
+    attempt,
+    isFinalGuess,
+    isWon,
+    isOutOfTime = false
+  ) => {
+    const attemptsLeft = MAX_ATTEMPTS - currentAttemptNumber;
+    const outcome = isWon
+      ? t("announce.solved")
+      : isOutOfTime
+      ? t("timer.outOfTime")
+      : attemptsLeft > 0
+      ? t("announce.attemptsLeft", { count: attemptsLeft })
+      : t("announce.noAttemptsLeft");
+    setAnnouncement(
+      `${
+        attempt.timedOut ? `${t("timer.timeUp")} ` : ""
+      }${describeAttemptResult(
+        currentAttemptNumber,
+        attempt,
+        isFinalGuess,
+        i18n
+      )} ${outcome}`
+    );
+  };
+
+  // Records the solve time of a timed game once it ends, given all its attempts
+  const stopClock = (attempts) =>
+    setClock((prev) =>
+      prev.startedAt === null || prev.solveTime !== null
+        ? prev
+        : { ...prev, solveTime: getSolveTime(timerMode, prev, attempts) }
+    );
+
+  /**
+   * The day a finished game counts for in streaks: the day a daily was the
+   * daily for, so finishing it after the rollover still counts for that day.
+   */
+  const getCompletionDateKey = () =>
+    (!isArchivePuzzle && findDailyDateKey(puzzle.id)) || getDailyDateKey();
+
+  /** Opens the game summary once the finished game's last feedback has shown. */
+  const openSummaryAfterGame = () => {
+    clearTimeout(summaryTimeoutRef.current);
+    summaryTimeoutRef.current = setTimeout(
+      () => setIsSummaryModalOpen(true),
+      SUMMARY_MODAL_DELAY
+    );
+  };
+
+  /**
+   * Submits the "final move only" guess. Only the last solver move of the
+   * solution is compared, using the rules in scoreFinalMoveGuess.
+   */
+  const handleSubmitFinalMove = () => {
+    if (!puzzle || !finalSolverMove || !finalMoveGuess) return;
+    if (gameState !== "playing") return;
+
+    const result = scoreFinalMoveGuess(finalMoveGuess, finalSolverMove);
+    console.log(
+      `Submitting final move attempt ${currentAttemptNumber}:`,
+      finalMoveGuess,
+      result
+    );
+    const newAttempt = { sequence: [finalMoveGuess.label], feedback: [result] };
+    setAttemptsHistory((prev) => [...prev, newAttempt]);
+    setFinalMoveGuess(null);
+    setSelectedSquare(null);
+    announceAttemptResult(newAttempt, true, result === "green");
+
+    if (result === "green") {
+      setGameState("won");
+      setCompletedOn(getCompletionDateKey());
+      playSoundEffect("won");
+      openSummaryAfterGame();
+    } else if (currentAttemptNumber >= MAX_ATTEMPTS) {
+      setGameState("lost");
+      setCompletedOn(getCompletionDateKey());
+      playSoundEffect("lost");
+      openSummaryAfterGame();
+    } else {
+      setCurrentAttemptNumber((prev) => prev + 1);
+      playSoundEffect("wrong");
+    }
+  };
+
+  /**
+   * Switches between the full-sequence and "final move only" modes.
+   * Each mode keeps its own attempts and saved progress for the puzzle.
+   */
+  const handleGameModeChange = (mode) => {
+    if (!puzzle || mode === gameMode) return;
+    clearTimeout(summaryTimeoutRef.current); // The summary belongs to the other mode's game
+    setGameMode(mode);
+    restoreProgress(puzzle, mode);
   };
 
   /**
    * Submits the current user sequence for validation against the solution.
    * Updates attempts history and game state (won/lost/playing).
    */
-  const handleSubmit = () => {
+  const handleSubmit = ({ isTimeUp = false } = {}) => {
+    if (gameMode === "final") {
+      handleSubmitFinalMove();
+      return;
+    }
     if (
       !puzzle ||
       !puzzle.solution ||
       !puzzle.initialFen ||
-      userMoveSequence.length === 0 ||
+      (userMoveSequence.length === 0 && !isTimeUp) ||
+      (isOpponentReplyPending && !isTimeUp) ||
       gameState !== "playing"
     ) {
       console.warn(
@@ -655,6 +2973,28 @@ function App() {
       );
       return;
     }
+    if (isTimeUp) {
+      // A reply still on its way is dropped with the rest of the clock
+      clearTimeout(opponentReplyTimeoutRef.current);
+      setIsOpponentReplyPending(false);
+    }
+
+    // When the clock runs out, the input is submitted as it is
+    const hardModeError = isTimeUp
+      ? null
+      : checkHardModeSequence(
+          hardModeConstraints,
+          puzzle.initialFen,
+          userMoveSequence,
+          autoPlayedPlies,
+          i18n
+        );
+    if (hardModeError) {
+      setHardModeMessage(hardModeError);
+      playSoundEffect("rejected");
+      return;
+    }
+    setHardModeMessage("");
 
     console.log(
       `Submitting attempt ${currentAttemptNumber}:`,
@@ -662,133 +3002,78 @@ function App() {
     );
 
     const solutionMovesUci = puzzle.solution;
-    const feedbackResults = [];
-    let allCorrect = true;
-    let validationGame; // Use a separate instance for validation
 
-    // --- Initialize Validation ---
+    // --- Score the User's Line Against the Solution ---
+    // Replays both lines, so transpositions and alternative mates count as correct.
+    let scoredPlies;
     try {
-      if (typeof Chess === "undefined")
-        throw new Error("Chess.js not loaded for validation.");
-      validationGame = new Chess(puzzle.initialFen);
-    } catch (err) {
-      console.error("Validation instance creation error:", err);
-      setErrorMessage(
-        "Internal error during validation setup. Please refresh."
+      scoredPlies = scoreSequence(
+        puzzle.initialFen,
+        solutionMovesUci,
+        userMoveSequence
       );
+    } catch (err) {
+      console.error("CRITICAL: Could not replay the solution:", err);
+      setErrorMessage({ key: "app.invalidSolution" });
       setGameState("error");
       return;
     }
-
-    const comparisonLength = Math.max(
-      userMoveSequence.length,
-      solutionMovesUci.length
-    );
-
-    // --- Compare User Moves to Solution Step-by-Step ---
-    for (let i = 0; i < comparisonLength; i++) {
-      const currentValidationFen = validationGame.fen();
-      const userSan = userMoveSequence[i];
-      const solutionUci = solutionMovesUci[i];
-      let result = "red"; // Default feedback
-
-      const userMoveObject = userSan
-        ? parseSanMove(currentValidationFen, userSan)
-        : null;
-      const solutionMoveObject = solutionUci ? parseUci(solutionUci) : null;
-
-      // --- Calculate Feedback (Green/Yellow/Red) ---
-      // Compares parsed user move (if valid) to the parsed solution move.
-      // Provides 'yellow' for partial matches (correct 'from' or 'to').
-      if (userMoveObject && solutionMoveObject) {
-        const isExactMatch =
-          userMoveObject.from === solutionMoveObject.from &&
-          userMoveObject.to === solutionMoveObject.to &&
-          (userMoveObject.promotion || null) ===
-            (solutionMoveObject.promotion || null);
-
-        if (isExactMatch) {
-          result = "green";
-        } else {
-          const fromMatch = userMoveObject.from === solutionMoveObject.from;
-          const toMatch = userMoveObject.to === solutionMoveObject.to;
-          if (fromMatch !== toMatch) {
-            // XOR
-            result = "yellow";
-          }
-        }
-      } else if (!userMoveObject && userSan && solutionMoveObject) {
-        // Heuristic: Give yellow if user's *intended* destination (even if move was illegal) matches solution.
-        const sanDestMatch = userSan.match(/([a-h][1-8])=?([qrbn])?[+#]?$/i);
-        const userIntendedDest = sanDestMatch ? sanDestMatch[1] : null;
-        if (userIntendedDest && userIntendedDest === solutionMoveObject.to) {
-          result = "yellow";
-        }
-      }
-
-      feedbackResults.push(result);
-      if (result !== "green") {
-        allCorrect = false;
-      }
-
-      // --- Advance Internal Validation Board State using the CORRECT solution move ---
-      if (solutionUci && solutionMoveObject) {
-        try {
-          if (!validationGame.move(solutionMoveObject)) {
-            console.error(
-              `CRITICAL: Solution move ${i} (${solutionUci}) illegal from FEN "${currentValidationFen}".`
-            );
-            feedbackResults[feedbackResults.length - 1] = "red";
-            allCorrect = false;
-            break; // Stop validation if solution path breaks
-          }
-        } catch (e) {
-          console.error(
-            `Error applying solution move ${i} (${solutionUci}) during validation: ${e.message}.`
-          );
-          feedbackResults[feedbackResults.length - 1] = "red";
-          allCorrect = false;
-          break;
-        }
-      } else if (i < solutionMovesUci.length) {
-        // Handle invalid solution UCI format
-        console.error(
-          `CRITICAL: Solution UCI at index ${i} ("${
-            solutionUci || "undefined"
-          }") is invalid.`
-        );
-        setErrorMessage("Internal error: Invalid solution data received.");
-        setGameState("error");
-        return;
-      }
-    } // --- End validation loop ---
-
-    // Mark any extra user moves as red
-    while (feedbackResults.length < userMoveSequence.length) {
-      feedbackResults.push("red");
-      allCorrect = false;
-    }
+    const feedbackResults = scoredPlies.map((ply) => ply.color);
+    const allCorrect = feedbackResults.every((result) => result === "green");
 
     // --- Update Game State ---
     const newAttempt = {
       sequence: userMoveSequence,
       feedback: feedbackResults,
+      reasons: scoredPlies.map((ply) => ply.reason),
+      autoPlayed: autoPlayedPlies,
+      solverPliesOnly: opponentReplyMode !== "manual",
+      ...(isTimeUp && { timedOut: true }),
+      // The attempt's own time on a clock per attempt, capped at its limit
+      ...(TIMER_MODES[timerMode].scope === "attempt" &&
+        clock.attemptStartedAt !== null && {
+          elapsed: Math.min(
+            Date.now() - clock.attemptStartedAt,
+            TIMER_MODES[timerMode].limit
+          ),
+        }),
     };
+    // With a clock for the whole puzzle, running out of time ends the game
+    const isOutOfTime = isTimeUp && TIMER_MODES[timerMode].scope === "puzzle";
+    setAutoPlayedPlies([]);
+    setPlyFens([]);
+    setRedoStack([]);
     // Add attempt to history - triggers localStorage save via useEffect
     setAttemptsHistory((prev) => [...prev, newAttempt]);
+    announceAttemptResult(
+      newAttempt,
+      false,
+      allCorrect && userMoveSequence.length === solutionMovesUci.length,
+      isOutOfTime
+    );
 
     if (allCorrect && userMoveSequence.length === solutionMovesUci.length) {
       setGameState("won"); // Triggers localStorage save
+      setCompletedOn(getCompletionDateKey());
+      stopClock([...attemptsHistory, newAttempt]);
+      playSoundEffect("won");
+      openSummaryAfterGame();
       console.log("Game Won!");
       setUserMoveSequence([]); // Clear input sequence on win
-    } else if (currentAttemptNumber >= MAX_ATTEMPTS) {
+    } else if (currentAttemptNumber >= MAX_ATTEMPTS || isOutOfTime) {
       setGameState("lost"); // Triggers localStorage save
+      setCompletedOn(getCompletionDateKey());
+      stopClock([...attemptsHistory, newAttempt]);
+      playSoundEffect("lost");
+      openSummaryAfterGame();
       console.log("Game Lost - Max attempts reached.");
       setUserMoveSequence([]); // Clear input sequence on loss
     } else {
       // Continue playing - Failed attempt
       setCurrentAttemptNumber((prev) => prev + 1); // Triggers localStorage save
       setUserMoveSequence([]); // Clear input sequence for next attempt
+      setClock((prev) => ({ ...prev, attemptStartedAt: null })); // The next attempt's clock starts with its first move
+      playSoundEffect("wrong");
       setGameState("playing"); // Ensure state is playing (also triggers save)
 
       // Delay visual board reset
@@ -825,7 +3110,158 @@ function App() {
     }
   }; // --- End handleSubmit ---
 
+  /**
+   * Submits the current attempt, or with "confirm before submitting" on,
+   * asks for a second click first.
+   */
+  const requestSubmit = () => {
+    const hasPendingInput =
+      gameMode === "final"
+        ? Boolean(finalMoveGuess)
+        : userMoveSequence.length > 0;
+    if (gameState !== "playing" || !hasPendingInput) return;
+    if (settings.confirmBeforeSubmit && !isSubmitConfirmPending) {
+      setIsSubmitConfirmPending(true);
+      return;
+    }
+    setIsSubmitConfirmPending(false);
+    handleSubmit();
+  };
+
+  /** Submits the current input as it is once the timed mode clock runs out. */
+  const handleTimeUp = () => {
+    setIsSubmitConfirmPending(false);
+    handleSubmit({ isTimeUp: true });
+  };
+
+  /**
+   * Shares the result grid through the Web Share API when available,
+   * falling back to copying it to the clipboard.
+   */
+  const handleShare = async () => {
+    if (!puzzle || (gameState !== "won" && gameState !== "lost")) return;
+    const shareText = buildShareText(
+      puzzle,
+      attemptsHistory,
+      gameState,
+      gameMode,
+      hintsUsed,
+      isHardModeGame,
+      timerMode,
+      clock.solveTime,
+      t
+    );
+
+    if (navigator.share && navigator.canShare?.({ text: shareText })) {
+      try {
+        await navigator.share({ text: shareText });
+        return;
+      } catch (shareError) {
+        // User dismissed the share sheet, nothing else to do
+        if (shareError.name === "AbortError") return;
+        console.warn(
+          "Web Share failed, falling back to clipboard:",
+          shareError
+        );
+      }
+    }
+
+    try {
+      await navigator.clipboard.writeText(shareText);
+      setShareStatus("copied");
+    } catch (clipboardError) {
+      console.error("Could not copy share text to clipboard:", clipboardError);
+      setShareStatus("error");
+    }
+    setTimeout(() => setShareStatus("idle"), SHARE_STATUS_RESET_DELAY);
+  };
+
   const openModal = () => setIsHowItWorksModalOpen(true);
+  const openStatsModal = () => setIsStatsModalOpen(true);
+  const openSettingsModal = () => setIsSettingsModalOpen(true);
+  const openSummaryModal = () => setIsSummaryModalOpen(true);
+  const closeSummaryModal = useCallback(() => setIsSummaryModalOpen(false), []);
+  const updateSetting = (key, value) =>
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  const closeSettingsModal = useCallback(
+    () => setIsSettingsModalOpen(false),
+    []
+  );
+
+  /**
+   * Switches the hard mode setting. Switching off also frees the current
+   * puzzle; switching on applies to it only before its first attempt.
+   */
+  const handleHardModeChange = (enabled) => {
+    updateSetting("hardMode", enabled);
+    if (!enabled) {
+      setIsHardModeGame(false);
+      setHardModeMessage("");
+    } else if (
+      gameState === "playing" &&
+      gameMode !== "final" &&
+      attemptsHistory.length === 0
+    ) {
+      setIsHardModeGame(true);
+    }
+  };
+  /**
+   * Switches the timed mode setting. Switching off also stops the current
+   * puzzle's clock; any other choice applies to it only before its clock
+   * has started.
+   */
+  const handleTimerChange = (mode) => {
+    updateSetting("timer", mode);
+    if (mode === "off") {
+      setTimerMode("off");
+      setClock(EMPTY_CLOCK);
+    } else if (
+      gameState === "playing" &&
+      gameMode !== "final" &&
+      clock.startedAt === null &&
+      attemptsHistory.length === 0
+    ) {
+      setTimerMode(mode);
+    }
+  };
+  const openArchiveModal = () => setIsArchiveModalOpen(true);
+  const closeArchiveModal = useCallback(() => setIsArchiveModalOpen(false), []);
+  const openPuzzlePackModal = () => setIsPuzzlePackModalOpen(true);
+  const closePuzzlePackModal = useCallback(
+    () => setIsPuzzlePackModalOpen(false),
+    []
+  );
+
+  /**
+   * Switches to another puzzle and mirrors the selection in the URL,
+   * so archive puzzles can be bookmarked and shared.
+   * An empty selection goes back to today's daily puzzle.
+   */
+  const selectPuzzle = useCallback((selection) => {
+    const nextSelection = {
+      puzzleId: selection.puzzleId || null,
+      date: selection.date || null,
+      custom: selection.custom || null,
+    };
+    window.history.pushState(null, "", buildArchiveUrl(nextSelection));
+    setIsArchiveModalOpen(false);
+    setIsPuzzlePackModalOpen(false);
+    setPuzzleSelection(nextSelection);
+  }, []);
+  const openCreator = () => setIsCreatorOpen(true);
+  const closeCreator = () => setIsCreatorOpen(false);
+  const playCustomPuzzle = (code) => {
+    setIsCreatorOpen(false);
+    selectPuzzle({ custom: code });
+  };
+  const isArchiveSelection = Boolean(
+    puzzleSelection.puzzleId || puzzleSelection.date || puzzleSelection.custom
+  );
+  // The day an archive puzzle was the daily, if this browser loaded it then
+  const archiveDateKey =
+    puzzleSelection.date ||
+    (puzzleSelection.puzzleId && puzzle ? findDailyDateKey(puzzle.id) : null);
+  const closeStatsModal = useCallback(() => setIsStatsModalOpen(false), []);
   const closeModal = () => {
     setIsHowItWorksModalOpen(false);
     // Mark modal as seen in localStorage when closed
@@ -844,16 +3280,307 @@ function App() {
     }
   };
 
+  // Undo/redo shortcuts: Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes.
+  // Re-registered every render so the handlers always see the current input.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isCreatorOpen) return; // The game board isn't shown
+      // Leave text fields their own native undo
+      if (event.target.closest?.("input, textarea, select")) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        handleUndoPly();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        handleRedoPly();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  /** Shows a line of the game-over replay on the board, after `ply` plies. */
+  const handleReplaySelect = (lineKey, ply) => {
+    const line = replayLines.find((candidate) => candidate.key === lineKey);
+    if (!line) return;
+    setReplayLineKey(lineKey);
+    setReplayPly(Math.max(0, Math.min(ply, line.plies.length)));
+    setIsReplayPlaying(false);
+  };
+
+  /**
+   * Takes a hint for the current attempt. The first-piece and themes hints
+   * can be taken once; the destination hint reveals the next ply no attempt
+   * has solved, so it can be taken again for later plies.
+   */
+  const handleTakeHint = (type) => {
+    if (!puzzle || gameState !== "playing" || gameMode === "final") return;
+    if (type !== HINT_TYPES.NEXT_DESTINATION) {
+      if (hintsUsed.some((hint) => hint.type === type)) return;
+      setHintsUsed((prev) => [
+        ...prev,
+        { type, attempt: currentAttemptNumber },
+      ]);
+      return;
+    }
+    const ply = getNextUnsolvedPly(
+      puzzle.solution.length,
+      attemptsHistory,
+      hintsUsed
+    );
+    if (ply === -1) return;
+    setHintsUsed((prev) => [
+      ...prev,
+      { type, ply, attempt: currentAttemptNumber },
+    ]);
+  };
+
+  /**
+   * Replays a past attempt on the board from its first move. Mid-game this
+   * opens the read-only attempt replay; the current input is kept as is.
+   */
+  const openAttemptReplay = (attemptIndex) => {
+    if (gameMode === "final") return; // Final-move guesses aren't lines
+    handleReplaySelect(attemptIndex, 1);
+    if (gameState === "playing") setIsInspectingAttempt(true);
+  };
+
+  /** Starts or pauses the replay autoplay, restarting from the top at the end. */
+  const handleReplayTogglePlay = () => {
+    if (isReplayPlaying) {
+      setIsReplayPlaying(false);
+      return;
+    }
+    if (replayPly >= replayLength) setReplayPly(0);
+    setIsReplayPlaying(true);
+  };
+
+  /**
+   * Keyboard control of the board: the arrow keys move a cursor over the
+   * squares, Enter or Space picks up a piece and drops it on the cursor's
+   * square, and Escape puts it back. Pawns promoted this way become queens;
+   * other promotions can be typed. Each step is announced to screen readers.
+   */
+  const handleBoardKeyDown = (event) => {
+    const isArrowKey = event.key.startsWith("Arrow");
+    const isSelectKey = event.key === "Enter" || event.key === " ";
+    if (!puzzle || (!isArrowKey && !isSelectKey && event.key !== "Escape")) {
+      return;
+    }
+    event.preventDefault();
+    const game = new Chess(boardFen);
+    if (!keyboardSquare) {
+      const startSquare = getStartSquare(puzzle.playerColor);
+      setKeyboardSquare(startSquare);
+      setAnnouncement(describeSquare(game, startSquare, t));
+      return;
+    }
+
+    if (isArrowKey) {
+      const square = getNeighbourSquare(
+        keyboardSquare,
+        event.key,
+        puzzle.playerColor
+      );
+      if (!square) return;
+      setKeyboardSquare(square);
+      setAnnouncement(
+        square === selectedSquare
+          ? t("announce.pickedUpSquare", {
+              square: describeSquare(game, square, t),
+            })
+          : describeSquare(game, square, t)
+      );
+      return;
+    }
+    if (event.key === "Escape") {
+      if (!selectedSquare) return;
+      setSelectedSquare(null);
+      setAnnouncement(t("announce.putBack", { square: selectedSquare }));
+      return;
+    }
+
+    if (gameState !== "playing" || isInspectingAttempt) {
+      setAnnouncement(t("announce.readOnly"));
+      return;
+    }
+    if (isFinalMode) {
+      // The guess is announced when it is picked
+      if (!selectedSquare) {
+        setAnnouncement(
+          t("announce.pickedFinalSquare", { square: keyboardSquare })
+        );
+      } else if (selectedSquare === keyboardSquare) {
+        setAnnouncement(t("announce.letGo", { square: keyboardSquare }));
+      }
+      onSquareClick(keyboardSquare);
+      return;
+    }
+
+    const piece = game.get(keyboardSquare);
+    if (!selectedSquare) {
+      if (!piece || piece.color !== game.turn()) {
+        setAnnouncement(
+          t("announce.noPieceToMove", {
+            square: describeSquare(game, keyboardSquare, t),
+          })
+        );
+        return;
+      }
+      setSelectedSquare(keyboardSquare);
+      setAnnouncement(
+        t("announce.pickedUp", {
+          piece: describePiece(piece, t),
+          square: keyboardSquare,
+        })
+      );
+      return;
+    }
+    if (selectedSquare === keyboardSquare) {
+      setSelectedSquare(null);
+      setAnnouncement(t("announce.putBack", { square: keyboardSquare }));
+      return;
+    }
+    const isLegal = game
+      .moves({ square: selectedSquare, verbose: true })
+      .some((move) => move.to === keyboardSquare);
+    setSelectedSquare(null);
+    if (!isLegal) {
+      setAnnouncement(
+        t("announce.illegalMove", { from: selectedSquare, to: keyboardSquare })
+      );
+      return;
+    }
+    const movingPiece = game.get(selectedSquare);
+    const isPromotion =
+      movingPiece.type === "p" && ["1", "8"].includes(keyboardSquare[1]);
+    // The move is announced with the rest of the input, and a hard mode
+    // rejection by its alert
+    applyUserMove(
+      selectedSquare,
+      keyboardSquare,
+      isPromotion ? "q" : undefined
+    );
+  };
+
   // --- Render Logic ---
   const isGameOver = gameState === "won" || gameState === "lost";
   const isLastAttempt = currentAttemptNumber === MAX_ATTEMPTS;
+  const isFinalMode = gameMode === "final";
+  const hasInput = isFinalMode
+    ? Boolean(finalMoveGuess)
+    : userMoveSequence.length > 0;
+  // End-of-game texts, shared by the result message and the summary
+  const attemptsText = t("result.attempts", { count: attemptsHistory.length });
+  const resultText =
+    gameState !== "won"
+      ? t("result.lost", { maxAttempts: MAX_ATTEMPTS })
+      : hintsUsed.length > 0
+      ? t("result.wonWithHints", {
+          attempts: attemptsText,
+          hints: t("result.hints", { count: hintsUsed.length }),
+          score: computeScore(attemptsHistory.length, hintsUsed),
+        })
+      : t("result.won", { attempts: attemptsText });
+  const solutionText = !puzzle
+    ? ""
+    : solutionLine.length === puzzle.solution.length
+    ? formatNumberedSan(
+        solutionLine.map((ply) => ({ ...ply, san: formatMove(ply.san) }))
+      )
+    : puzzle.solution.join(" ");
+  const solveTimeText =
+    clock.solveTime !== null
+      ? t("timer.solveTime", { time: formatDuration(clock.solveTime) })
+      : null;
+  const timerLimit = TIMER_MODES[timerMode].limit;
+  // Attempts replay on the board, except in "final move only" mode and
+  // attempts the clock ended before a move
+  const isAttemptReplayable = (attempt) =>
+    !isFinalMode && attempt.sequence.length > 0;
+  const finalMoveText =
+    isFinalMode && finalSolverMove
+      ? t("result.finalMove", { move: formatMove(finalSolverMove.san) })
+      : null;
+  // Highlights the picked square and the current guess in "final move only" mode
+  const inputSquareStyles = {
+    ...(isFinalMode &&
+      finalMoveGuess && {
+        [finalMoveGuess.from]: { boxShadow: SELECTED_SQUARE_SHADOW },
+        [finalMoveGuess.to]: { boxShadow: SELECTED_SQUARE_SHADOW },
+      }),
+    ...(selectedSquare && {
+      [selectedSquare]: { boxShadow: SELECTED_SQUARE_SHADOW },
+    }),
+  };
+  // After the game, or while a past attempt is inspected, the board follows
+  // the replay and marks the replayed move
+  const isBoardReplay = isGameOver || isInspectingAttempt;
+  const replayedMove =
+    isBoardReplay && replayPly > 0 ? replayLine?.plies[replayPly - 1] : null;
+  const boardFen = isBoardReplay
+    ? replayedMove?.fen || puzzle?.initialFen || currentFen
+    : currentFen;
+  const replayAnnotations = !replayedMove
+    ? { arrows: [], squareStyles: inputSquareStyles }
+    : replayLine.key === "solution"
+    ? getReplayAnnotations(replayedMove)
+    : getReplayAnnotations(
+        replayedMove,
+        replayLine.feedback[replayPly - 1],
+        replayLine.reasons?.[replayPly - 1],
+        isGameOver ? solutionLine[replayPly - 1] : null,
+        settings.colorblindFeedback
+          ? COLORBLIND_ARROW_COLORS
+          : REPLAY_ARROW_COLORS
+      );
+  // The keyboard cursor is outlined while the board has focus
+  const boardSquareStyles =
+    isBoardFocused && keyboardSquare
+      ? {
+          ...replayAnnotations.squareStyles,
+          [keyboardSquare]: {
+            ...replayAnnotations.squareStyles[keyboardSquare],
+            outline: KEYBOARD_SQUARE_OUTLINE,
+            outlineOffset: "-3px",
+          },
+        }
+      : replayAnnotations.squareStyles;
+  const hasTakenHint = (type) => hintsUsed.some((hint) => hint.type === type);
+  const nextUnsolvedPly = puzzle
+    ? getNextUnsolvedPly(puzzle.solution.length, attemptsHistory, hintsUsed)
+    : -1;
+  const hintDescriptions = puzzle
+    ? hintsUsed.map((hint) => describeHint(hint, puzzle, t)).filter(Boolean)
+    : [];
+  const shareButtonLabel = t(`share.${shareStatus}`);
+
+  if (isCreatorOpen) {
+    return (
+      <>
+        <GlobalStyle />
+        <AppWrapper>
+          <Container>
+            <PuzzleCreator
+              onClose={closeCreator}
+              onPlay={playCustomPuzzle}
+              boardAppearance={boardAppearance}
+              i18n={i18n}
+            />
+          </Container>
+        </AppWrapper>
+      </>
+    );
+  }
 
   if (gameState === "loading") {
     return (
       <>
         <GlobalStyle />
         <AppWrapper>
-          <Container>Loading Daily Puzzle...</Container>
+          <Container>{t("app.loading")}</Container>
         </AppWrapper>
       </>
     );
@@ -871,11 +3598,25 @@ function App() {
                 fontWeight: "bold",
               }}
             >
-              Error:
+              {t("app.error")}
             </InfoText>
             <InfoText style={{ color: "var(--state-white-50)" }}>
-              {errorMessage}
+              {errorMessage &&
+                t(errorMessage.key, {
+                  ...errorMessage.params,
+                  reason: describeErrorReason(errorMessage.cause, t),
+                })}
             </InfoText>
+            <ControlsWrapper>
+              {isArchiveSelection && (
+                <StyledButton primary onClick={() => selectPuzzle({})}>
+                  {t("selection.backToToday")}
+                </StyledButton>
+              )}
+              <StyledButton onClick={openCreator}>
+                {t("app.createPuzzle")}
+              </StyledButton>
+            </ControlsWrapper>
           </Container>
         </AppWrapper>
       </>
@@ -887,7 +3628,7 @@ function App() {
       <>
         <GlobalStyle />
         <AppWrapper>
-          <Container>Waiting for puzzle data...</Container>
+          <Container>{t("app.waiting")}</Container>
         </AppWrapper>
       </>
     );
@@ -897,91 +3638,363 @@ function App() {
   return (
     <>
       <GlobalStyle />
-      <HowItWorksModal isOpen={isHowItWorksModalOpen} onClose={closeModal} />
+      <VisuallyHidden as="div" role="status" aria-live="polite">
+        {announcement}
+      </VisuallyHidden>
+      <HowItWorksModal
+        isOpen={isHowItWorksModalOpen}
+        onClose={closeModal}
+        i18n={i18n}
+      />
+      <StatsModal
+        isOpen={isStatsModalOpen}
+        onClose={closeStatsModal}
+        stats={stats}
+        i18n={i18n}
+      />
+      <GameSummaryModal
+        isOpen={isSummaryModalOpen && isGameOver}
+        onClose={closeSummaryModal}
+        puzzle={puzzle}
+        resultText={resultText}
+        solutionText={solutionText}
+        finalMoveText={finalMoveText}
+        solveTimeText={solveTimeText}
+        attemptsUsed={attemptsHistory.length}
+        isHardModeGame={isHardModeGame}
+        stats={stats}
+        showStats={!isFinalMode}
+        isDailyPuzzle={!isArchiveSelection}
+        isWaitingForDaily={Boolean(staleDailyId)}
+        onPlayNext={reloadDailyPuzzle}
+        onShare={handleShare}
+        shareButtonLabel={shareButtonLabel}
+        i18n={i18n}
+      />
+      <SettingsModal
+        isOpen={isSettingsModalOpen}
+        onClose={closeSettingsModal}
+        settings={settings}
+        onChange={updateSetting}
+        isHardModeGame={isHardModeGame}
+        onHardModeChange={handleHardModeChange}
+        timerMode={timerMode}
+        onTimerChange={handleTimerChange}
+        i18n={i18n}
+      />
+      <ArchiveModal
+        isOpen={isArchiveModalOpen}
+        onClose={closeArchiveModal}
+        onSelect={selectPuzzle}
+        isArchiveSelection={isArchiveSelection}
+        i18n={i18n}
+      />
+      <PuzzlePackModal
+        isOpen={isPuzzlePackModalOpen}
+        onClose={closePuzzlePackModal}
+        onSelect={selectPuzzle}
+        i18n={i18n}
+      />
 
       <AppWrapper>
         <Container>
+          {(isShowingCachedPuzzle || !isOnline) && (
+            <OfflineBanner role="status">
+              {t(isOnline ? "offline.unreachable" : "offline.offline")}{" "}
+              {t("offline.progressSaved")}
+            </OfflineBanner>
+          )}
           <TopContainer layout>
             <TitleContainer>
-              <Title>Chessdle!</Title>
+              <Title>{t("app.title")}</Title>
               <InfoText>
-                Lichess' puzzle of the day, but puzzle-fied.
+                {t("app.tagline")}
                 <br></br>
-                Guess the whole sequence!
+                {t("app.taglineGoal")}
               </InfoText>
             </TitleContainer>
-            <InfoText>Rating: {puzzle.rating}</InfoText>
+            {isArchiveSelection && (
+              <InfoText>
+                {puzzleSelection.custom
+                  ? t("selection.custom")
+                  : t(puzzlePackName ? "selection.pack" : "selection.archive", {
+                      id: puzzle.id,
+                    })}
+                {puzzlePackName
+                  ? t("selection.fromPack", { name: puzzlePackName })
+                  : ""}
+                {archiveDateKey
+                  ? t("selection.fromDate", { date: archiveDateKey })
+                  : ""}
+                {" · "}
+                <ArchiveLinkButton onClick={() => selectPuzzle({})}>
+                  {t("selection.backToToday")}
+                </ArchiveLinkButton>
+              </InfoText>
+            )}
+            <InfoText>{t("info.rating", { rating: puzzle.rating })}</InfoText>
+            <ModeToggle role="group" aria-label={t("mode.group")}>
+              <ModeToggleButton
+                $isActive={!isFinalMode}
+                aria-pressed={!isFinalMode}
+                onClick={() => handleGameModeChange("standard")}
+              >
+                {t("mode.standard")}
+              </ModeToggleButton>
+              <ModeToggleButton
+                $isActive={isFinalMode}
+                aria-pressed={isFinalMode}
+                onClick={() => handleGameModeChange("final")}
+                disabled={!finalSolverMove}
+              >
+                {t("mode.final")}
+              </ModeToggleButton>
+            </ModeToggle>
             {!isGameOver && (
               <InfoText>
-                {`Attempt ${currentAttemptNumber} of ${MAX_ATTEMPTS}. Find the
-                ${puzzle.solution.length}-move solution. `}
-                <TurnText>{puzzle.playerColor} to move</TurnText>
+                {t(isFinalMode ? "info.attemptFinal" : "info.attempt", {
+                  attempt: currentAttemptNumber,
+                  maxAttempts: MAX_ATTEMPTS,
+                  length: puzzle.solution.length,
+                  count: puzzle.solution.length,
+                })}
+                <TurnText>{t(`info.toMove.${puzzle.playerColor}`)}</TurnText>
+                {isHardModeGame && !isFinalMode && (
+                  <HardModeBadge>{t("info.hardMode")}</HardModeBadge>
+                )}
               </InfoText>
             )}
+            {!isGameOver && timerLimit && (
+              <GameClock
+                limit={timerLimit}
+                startedAt={getClockStart(timerMode, clock)}
+                onTimeUp={handleTimeUp}
+                i18n={i18n}
+              />
+            )}
           </TopContainer>
 
           <>
-            <BoardWrapper layout="position">
+            <BoardWrapper
+              layout="position"
+              tabIndex={0}
+              role="application"
+              aria-label={t("board.label", {
+                color: t(`color.${puzzle.playerColor}`),
+              })}
+              onKeyDown={handleBoardKeyDown}
+              onFocus={() => setIsBoardFocused(true)}
+              onBlur={() => setIsBoardFocused(false)}
+              onPointerDown={() => setKeyboardSquare(null)}
+            >
               <Chessboard
                 // Use puzzle ID and initial FEN in key to ensure re-render on new puzzle,
                 // but NOT attempt number, to prevent reset on failed attempt state change
                 key={`${puzzle.id}-${puzzle.initialFen}`}
                 id="ChessdleBoard"
-                position={currentFen}
+                position={boardFen}
                 onPieceDrop={onDrop}
+                onPromotionPieceSelect={onPromotionPieceSelect}
+                onSquareClick={onSquareClick}
+                customSquareStyles={boardSquareStyles}
+                customArrows={replayAnnotations.arrows}
                 boardOrientation={puzzle.playerColor}
-                arePiecesDraggable={gameState === "playing"}
-                customBoardStyle={{
-                  borderRadius: "4px",
-                  boxShadow: "0 4px 15px var(--state-shadow-dark)",
-                }}
-                customDarkSquareStyle={{
-                  backgroundColor: "var(--dark-green-600)",
-                }}
-                customLightSquareStyle={{
-                  backgroundColor: "var(--dark-green-300)",
-                }}
+                arePiecesDraggable={
+                  gameState === "playing" && !isInspectingAttempt
+                }
+                {...boardAppearance}
               />
             </BoardWrapper>
 
             <BottomContainer layout>
-              {/* Current Input Sequence */}
-              <CurrentSequenceDisplay>
-                <CurrentSequenceLabel>
-                  Current sequence ({userMoveSequence.length}/
-                  {puzzle.solution.length} moves):
-                </CurrentSequenceLabel>
-                <CurrentSequenceMoves layout>
-                  <AnimatePresence>
-                    {userMoveSequence.length > 0 ? (
-                      userMoveSequence.map((move, index) => (
+              {/* Past attempt replay, shown above the untouched current input */}
+              {isInspectingAttempt && (
+                <ReplayPanel
+                  key={`${puzzle.id}-inspect`}
+                  lines={replayLines.filter((line) => line.key !== "solution")}
+                  activeKey={replayLineKey}
+                  ply={replayPly}
+                  isPlaying={isReplayPlaying}
+                  onSelect={handleReplaySelect}
+                  onTogglePlay={handleReplayTogglePlay}
+                  onClose={() => setIsInspectingAttempt(false)}
+                  i18n={i18n}
+                />
+              )}
+
+              {/* Current Input Sequence (replaced by the replay after the game) */}
+              {isGameOver ? (
+                <ReplayPanel
+                  key={`${puzzle.id}-${gameMode}`}
+                  lines={replayLines}
+                  activeKey={replayLineKey}
+                  ply={replayPly}
+                  isPlaying={isReplayPlaying}
+                  onSelect={handleReplaySelect}
+                  onTogglePlay={handleReplayTogglePlay}
+                  i18n={i18n}
+                />
+              ) : isFinalMode ? (
+                <CurrentSequenceDisplay>
+                  <CurrentSequenceLabel>
+                    {t("sequence.finalLabel")}
+                  </CurrentSequenceLabel>
+                  <CurrentSequenceMoves layout>
+                    <AnimatePresence>
+                      {finalMoveGuess ? (
                         <FeedbackListItem
-                          key={`${index}-${move}`} // Key only needs to be unique within this list
-                          $feedbackType={undefined} // Use default/neutral style
+                          key={finalMoveGuess.label}
+                          $feedbackType={undefined}
                           variants={itemVariants}
                           initial="hidden"
                           animate="visible"
-                          exit="exit" // Use exit variant defined in itemVariants
+                          exit="exit"
                           layout
                         >
-                          {`${index + 1}. `}
-                          {move}
+                          {formatMove(finalMoveGuess.label)}
                         </FeedbackListItem>
-                      ))
-                    ) : (
-                      <PlaceholderText
-                        initial={{ opacity: 0 }}
-                        animate={{ opacity: 1 }}
-                        exit={{ opacity: 0 }}
-                      >
-                        {gameState === "playing"
-                          ? "Drag pieces to make moves"
-                          : "Game Over"}
-                      </PlaceholderText>
+                      ) : (
+                        <PlaceholderText
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          exit={{ opacity: 0 }}
+                        >
+                          {gameState === "playing"
+                            ? selectedSquare
+                              ? t("sequence.pickedSquare", {
+                                  square: selectedSquare,
+                                })
+                              : t("sequence.finalPlaceholder")
+                            : t("sequence.gameOver")}
+                        </PlaceholderText>
+                      )}
+                    </AnimatePresence>
+                  </CurrentSequenceMoves>
+                </CurrentSequenceDisplay>
+              ) : (
+                <CurrentSequenceDisplay>
+                  <CurrentSequenceLabel>
+                    {t("sequence.label", {
+                      count: userMoveSequence.length,
+                      total: puzzle.solution.length,
+                    })}
+                  </CurrentSequenceLabel>
+                  <CurrentSequenceMoves layout>
+                    <AnimatePresence>
+                      {userMoveSequence.length > 0 ? (
+                        userMoveSequence.map((move, index) => (
+                          <FeedbackListItem
+                            key={`${index}-${move}`} // Key only needs to be unique within this list
+                            $feedbackType={undefined} // Use default/neutral style
+                            $isAutoPlayed={autoPlayedPlies.includes(index)}
+                            $isClickable={
+                              gameState === "playing" &&
+                              index < userMoveSequence.length - 1
+                            }
+                            title={
+                              autoPlayedPlies.includes(index)
+                                ? t("sequence.autoPlayed")
+                                : undefined
+                            }
+                            onClick={
+                              index < userMoveSequence.length - 1
+                                ? () => truncateInput(index + 1)
+                                : undefined
+                            }
+                            variants={itemVariants}
+                            initial="hidden"
+                            animate="visible"
+                            exit="exit" // Use exit variant defined in itemVariants
+                            layout
+                          >
+                            {`${index + 1}. `}
+                            {formatMove(move)}
+                          </FeedbackListItem>
+                        ))
+                      ) : (
+                        <PlaceholderText
+                          initial={{ opacity: 0 }}
+                          animate={{ opacity: 1 }}
+                          exit={{ opacity: 0 }}
+                        >
+                          {gameState === "playing"
+                            ? t("sequence.placeholder")
+                            : t("sequence.gameOver")}
+                        </PlaceholderText>
+                      )}
+                    </AnimatePresence>
+                  </CurrentSequenceMoves>
+                </CurrentSequenceDisplay>
+              )}
+
+              {gameState === "playing" && hardModeMessage && (
+                <HardModeMessage role="alert">
+                  {hardModeMessage}
+                </HardModeMessage>
+              )}
+
+              {/* Hints (full-sequence mode only) */}
+              {!isFinalMode &&
+                (gameState === "playing" || hintDescriptions.length > 0) && (
+                  <HintPanel>
+                    {gameState === "playing" && (
+                      <HintButtons>
+                        <HintButton
+                          onClick={() => handleTakeHint(HINT_TYPES.FIRST_PIECE)}
+                          disabled={hasTakenHint(HINT_TYPES.FIRST_PIECE)}
+                        >
+                          {t("hints.firstPiece")}
+                        </HintButton>
+                        <HintButton
+                          onClick={() => handleTakeHint(HINT_TYPES.THEMES)}
+                          disabled={
+                            hasTakenHint(HINT_TYPES.THEMES) ||
+                            puzzle.themes.length === 0
+                          }
+                        >
+                          {t("hints.themes")}
+                        </HintButton>
+                        <HintButton
+                          onClick={() =>
+                            handleTakeHint(HINT_TYPES.NEXT_DESTINATION)
+                          }
+                          disabled={nextUnsolvedPly === -1}
+                        >
+                          {nextUnsolvedPly === -1
+                            ? t("hints.nextDestination")
+                            : t("hints.destinationOf", {
+                                move: nextUnsolvedPly + 1,
+                              })}
+                        </HintButton>
+                      </HintButtons>
                     )}
-                  </AnimatePresence>
-                </CurrentSequenceMoves>
-              </CurrentSequenceDisplay>
+                    {hintDescriptions.length > 0 && (
+                      <HintList>
+                        {hintDescriptions.map((text) => (
+                          <li key={text}>
+                            {HINT_EMOJI} {text}
+                          </li>
+                        ))}
+                      </HintList>
+                    )}
+                    <HintNoteText>
+                      {hintsUsed.length > 0
+                        ? t("hints.taken", {
+                            count: hintsUsed.length,
+                            penalty: hintsUsed.length * HINT_PENALTY,
+                          })
+                        : t("hints.note", { penalty: HINT_PENALTY })}
+                    </HintNoteText>
+                  </HintPanel>
+                )}
+
+              <NotationInput
+                disabled={gameState !== "playing"}
+                onMove={handleNotationMove}
+                onUndo={handleUndoPly}
+                onSubmit={requestSubmit}
+                i18n={i18n}
+              />
 
               {/* Attempts History */}
               <HistoryContainer>
@@ -991,18 +4004,57 @@ function App() {
                       key={index}
                       $isLastAttempt={index === attemptsHistory.length - 1}
                       $isGameOver={isGameOver}
+                      $isClickable={isAttemptReplayable(attempt)}
+                      $isInspected={
+                        isBoardReplay && !isFinalMode && replayLineKey === index
+                      }
+                      {...(isAttemptReplayable(attempt) && {
+                        role: "button",
+                        tabIndex: 0,
+                        title: t("history.replay"),
+                        onClick: () => openAttemptReplay(index),
+                        onKeyDown: (e) => {
+                          if (e.key === "Enter" || e.key === " ") {
+                            e.preventDefault();
+                            openAttemptReplay(index);
+                          }
+                        },
+                      })}
                       layout
                       initial={{ opacity: 0, y: 10 }}
                       animate={{ opacity: 1, y: 0 }}
                       exit={{ opacity: 0 }}
                       transition={{ duration: 0.2 }}
                     >
-                      <AttemptLabel layout>Attempt {index + 1}:</AttemptLabel>
-                      <AnimatedFeedbackDisplay
-                        userSequence={attempt.sequence}
-                        feedback={attempt.feedback}
-                        attemptIndex={index}
-                      />
+                      <AttemptLabel layout>
+                        {t("history.attempt", { number: index + 1 })}
+                      </AttemptLabel>
+                      {attempt.feedback.length > 0 && (
+                        <AnimatedFeedbackDisplay
+                          userSequence={getScoredPlyIndices(attempt).map(
+                            (plyIndex) => attempt.sequence[plyIndex]
+                          )}
+                          feedback={getScoredPlyIndices(attempt).map(
+                            (plyIndex) => attempt.feedback[plyIndex]
+                          )}
+                          reasons={getScoredPlyIndices(attempt).map(
+                            (plyIndex) => attempt.reasons?.[plyIndex]
+                          )}
+                          attemptIndex={index}
+                          i18n={i18n}
+                        />
+                      )}
+                      {attempt.solverPliesOnly &&
+                        attempt.feedback.length > 0 && (
+                          <OpponentRepliesText layout>
+                            {describeOpponentReplies(attempt, t)}
+                          </OpponentRepliesText>
+                        )}
+                      {attempt.timedOut && (
+                        <TimedOutText layout>
+                          {t("history.timedOut")}
+                        </TimedOutText>
+                      )}
                     </AttemptHistoryItem>
                   ))}
                 </AnimatePresence>
@@ -1012,25 +4064,71 @@ function App() {
               <ControlsWrapper>
                 <StyledButton
                   onClick={handleResetInput}
-                  disabled={
-                    userMoveSequence.length === 0 || gameState !== "playing"
-                  }
+                  disabled={!hasInput || gameState !== "playing"}
                 >
-                  Reset Input
+                  {t("controls.reset")}
                 </StyledButton>
+                {!isFinalMode && (
+                  <>
+                    <StyledButton
+                      onClick={handleUndoPly}
+                      disabled={
+                        userMoveSequence.length === 0 || gameState !== "playing"
+                      }
+                      title={t("controls.undoTitle")}
+                    >
+                      {t("controls.undo")}
+                    </StyledButton>
+                    <StyledButton
+                      onClick={handleRedoPly}
+                      disabled={
+                        redoStack.length === 0 ||
+                        isOpponentReplyPending ||
+                        gameState !== "playing"
+                      }
+                      title={t("controls.redoTitle")}
+                    >
+                      {t("controls.redo")}
+                    </StyledButton>
+                  </>
+                )}
                 <StyledButton
                   primary
                   $isLastAttempt={isLastAttempt && gameState === "playing"}
-                  onClick={handleSubmit}
+                  onClick={requestSubmit}
                   disabled={
-                    userMoveSequence.length === 0 || gameState !== "playing"
+                    !hasInput ||
+                    isOpponentReplyPending ||
+                    gameState !== "playing"
                   }
                 >
-                  {isLastAttempt && gameState === "playing"
-                    ? "Submit Last Attempt"
-                    : `Submit Attempt ${currentAttemptNumber}`}
+                  {isSubmitConfirmPending
+                    ? t("controls.confirmSubmit")
+                    : isLastAttempt && gameState === "playing"
+                    ? t("controls.submitLast")
+                    : t("controls.submit", { number: currentAttemptNumber })}
                 </StyledButton>
               </ControlsWrapper>
+              <OptionRow $isHidden={isFinalMode}>
+                <label htmlFor="opponent-reply-mode">
+                  {t("opponent.label")}
+                </label>
+                <OptionSelect
+                  id="opponent-reply-mode"
+                  value={opponentReplyMode}
+                  onChange={(e) => setOpponentReplyMode(e.target.value)}
+                  // Switching mid-attempt would mix scoring rules in one attempt
+                  disabled={
+                    userMoveSequence.length > 0 || gameState !== "playing"
+                  }
+                >
+                  {OPPONENT_REPLY_MODES.map((mode) => (
+                    <option key={mode} value={mode}>
+                      {t(`opponent.${mode}`)}
+                    </option>
+                  ))}
+                </OptionSelect>
+              </OptionRow>
             </BottomContainer>
           </>
 
@@ -1045,8 +4143,21 @@ function App() {
                 animate="visible"
                 exit="hidden"
               >
-                Correct! You solved it in {attemptsHistory.length} attempt
-                {attemptsHistory.length > 1 ? "s" : ""}! 🎉
+                {resultText}
+                {solveTimeText && <SolutionText>{solveTimeText}</SolutionText>}
+                <ShareButton primary onClick={handleShare}>
+                  {shareButtonLabel}
+                </ShareButton>
+                <SummaryOpenButton type="button" onClick={openSummaryModal}>
+                  {t("summary.open")}
+                </SummaryOpenButton>
+                {!isArchiveSelection && (
+                  <NextPuzzleCountdown
+                    onPlayNext={reloadDailyPuzzle}
+                    isWaitingForDaily={Boolean(staleDailyId)}
+                    i18n={i18n}
+                  />
+                )}
               </Message>
             )}
             {gameState === "lost" && (
@@ -1058,10 +4169,25 @@ function App() {
                 animate="visible"
                 exit="hidden"
               >
-                Game Over! Max attempts ({MAX_ATTEMPTS}) reached.
+                {resultText}
                 <SolutionText>
-                  Correct Solution: {puzzle.solution.join(" ")}
+                  {t("result.solution")} {solutionText}
                 </SolutionText>
+                {finalMoveText && <SolutionText>{finalMoveText}</SolutionText>}
+                {solveTimeText && <SolutionText>{solveTimeText}</SolutionText>}
+                <ShareButton primary onClick={handleShare}>
+                  {shareButtonLabel}
+                </ShareButton>
+                <SummaryOpenButton type="button" onClick={openSummaryModal}>
+                  {t("summary.open")}
+                </SummaryOpenButton>
+                {!isArchiveSelection && (
+                  <NextPuzzleCountdown
+                    onPlayNext={reloadDailyPuzzle}
+                    isWaitingForDaily={Boolean(staleDailyId)}
+                    i18n={i18n}
+                  />
+                )}
               </Message>
             )}
             <ButtonContainer>
@@ -1075,10 +4201,25 @@ function App() {
                   alt="GitHub logo"
                   style={{ height: "1em", width: "1em", opacity: 0.5 }}
                 />
-                Check out the source code!
+                {t("footer.source")}
               </GitHubButton>
               <HowItWorksButton onClick={openModal}>
-                Chessdle Rules
+                {t("footer.rules")}
+              </HowItWorksButton>
+              <HowItWorksButton onClick={openStatsModal}>
+                {t("footer.stats")}
+              </HowItWorksButton>
+              <HowItWorksButton onClick={openSettingsModal}>
+                {t("footer.settings")}
+              </HowItWorksButton>
+              <HowItWorksButton onClick={openArchiveModal}>
+                {t("footer.archive")}
+              </HowItWorksButton>
+              <HowItWorksButton onClick={openPuzzlePackModal}>
+                {t("footer.packs")}
+              </HowItWorksButton>
+              <HowItWorksButton onClick={openCreator}>
+                {t("footer.create")}
               </HowItWorksButton>
             </ButtonContainer>
           </AnimatePresence>
@@ -1089,11 +4230,64 @@ function App() {
 }
 
 // --- Global Styles ---
+// Palette overrides for the light and high-contrast color themes; the dark
+// palette is the default in GlobalStyle's :root
+const LIGHT_THEME_VARIABLES = css`
+  color-scheme: light;
+
+  --dark-green-200: #00695c;
+  --dark-green-700: #b9e0dc;
+  --dark-green-800: #dcefed;
+  --dark-green-900: #f4faf9;
+
+  --neutral-100: #102a27;
+  --neutral-200: #37474f;
+
+  --state-white-05: rgba(0, 40, 35, 0.05);
+  --state-white-10: rgba(0, 40, 35, 0.1);
+  --state-white-25: rgba(0, 40, 35, 0.25);
+  --state-white-50: rgba(0, 40, 35, 0.5);
+
+  --state-shadow-dark: rgba(0, 40, 35, 0.3);
+
+  --message-lost-bg: #fde2e1;
+  --message-lost-text: #8b1c1c;
+`;
+
+const HIGH_CONTRAST_THEME_VARIABLES = css`
+  --dark-green-200: #69f0ae;
+  --dark-green-400: #00e5cc;
+  --dark-green-500: #1de9b6;
+  --dark-green-700: #1a1a1a;
+  --dark-green-800: #0d0d0d;
+  --dark-green-900: #000000;
+
+  --orange-500: #ffd600;
+
+  --neutral-100: #ffffff;
+  --neutral-200: #ffffff;
+  --neutral-900: #000000;
+
+  --state-white-05: rgba(255, 255, 255, 0.15);
+  --state-white-10: rgba(255, 255, 255, 0.3);
+  --state-white-25: rgba(255, 255, 255, 0.6);
+  --state-white-50: rgba(255, 255, 255, 0.85);
+
+  --feedback-green: #00e676;
+  --feedback-yellow: #ffd600;
+  --feedback-red: #d50000;
+
+  --message-lost-bg: #000000;
+  --message-lost-text: #ff8a80;
+`;
+
 const GlobalStyle = createGlobalStyle`
   @import url('https://fonts.googleapis.com/css2?family=National+Park:wght@200..800&display=swap');
 
   /* CSS Variables for Theming */
   :root {
+    color-scheme: dark; /* Native controls (selects, checkboxes) */
+
     /* Raw Color Palettes */
     --dark-green-200: #b2dfdb; /* Won Message Text */
     --dark-green-300: #80cbc4; /* Board Light Squares */
@@ -1129,9 +4323,13 @@ const GlobalStyle = createGlobalStyle`
     --state-red-60: rgba(255, 0, 0, 0.6);
 
     --state-dark-green-30: rgba(77, 182, 172, 0.3); /* Based on --dark-green-400 */
+    --state-orange-40: rgba(255, 167, 38, 0.4); /* Based on --orange-500 */
     --state-orange-60: rgba(255, 167, 38, 0.6); /* Based on --orange-500 */
 
     /* Feedback Colors (keeping hex for hover) */
+    --feedback-green: var(--dark-green-500); /* Green Feedback Chips */
+    --feedback-yellow: var(--orange-500); /* Yellow Feedback Chips */
+    --feedback-red: var(--state-red-55); /* Red Feedback Chips */
     --feedback-red-hover: #dc2626; /* Last Attempt Button Hover */
 
     /* Button Colors */
@@ -1140,6 +4338,24 @@ const GlobalStyle = createGlobalStyle`
     --message-lost-text: #fecaca; /* Lost Message Text */
   }
 
+  /* Color themes, set on the root element from the settings. "system" (and
+     the first paint, before the attribute is set) follows the device. */
+  :root[data-theme="light"] { ${LIGHT_THEME_VARIABLES} }
+  :root[data-theme="high-contrast"] { ${HIGH_CONTRAST_THEME_VARIABLES} }
+  @media (prefers-color-scheme: light) {
+    :root[data-theme="system"], :root:not([data-theme]) { ${LIGHT_THEME_VARIABLES} }
+  }
+  @media (prefers-contrast: more) {
+    :root[data-theme="system"], :root:not([data-theme]) { ${HIGH_CONTRAST_THEME_VARIABLES} }
+  }
+
+  /* Colorblind-friendly feedback: blue and orange instead of green and
+     yellow; FeedbackListItem adds the ✓ ~ ✗ marks */
+  :root[data-colorblind="true"] {
+    --feedback-green: #56b4e9;
+    --feedback-yellow: #e69f00;
+  }
+
   * { box-sizing: border-box; margin: 0; padding: 0; }
 
   body {
@@ -1197,6 +4413,27 @@ const Container = styled.div`
   }
 `;
 
+// Read by screen readers but not shown
+const VisuallyHidden = styled.span`
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  white-space: nowrap;
+`;
+
+const OfflineBanner = styled.div`
+  width: 100%;
+  padding: 0.6rem 1rem;
+  border-radius: 6px;
+  background-color: var(--orange-500);
+  color: var(--neutral-900);
+  font-size: 0.9rem;
+  font-weight: 600;
+  text-align: center;
+`;
+
 const TopContainer = styled(motion.div)`
   display: flex;
   flex-direction: column;
@@ -1212,6 +4449,11 @@ const InfoText = styled.p`
   line-height: 1.4;
 `;
 
+const ErrorText = styled(InfoText)`
+  color: var(--state-red-55);
+  font-weight: 600;
+`;
+
 const TitleContainer = styled.div`
   display: flex;
   flex-direction: column;
@@ -1234,78 +4476,388 @@ const Title = styled.h1`
   padding-bottom: 1rem;
 `;
 
+const PiecePalette = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 0.25rem;
+`;
+
+const PaletteButton = styled.button`
+  width: 2.5rem;
+  height: 2.5rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: ${(props) =>
+    props.$isActive ? "var(--dark-green-400)" : "var(--state-white-05)"};
+  color: var(--neutral-100);
+  font-size: 1.6rem;
+  line-height: 1;
+  cursor: pointer;
+  transition: background-color 150ms ease-in-out;
+
+  &:hover {
+    background-color: ${(props) =>
+      props.$isActive ? "var(--dark-green-500)" : "var(--state-white-10)"};
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+`;
+
+const ModeToggle = styled.div`
+  display: inline-flex;
+  align-self: center;
+  margin: 0.5rem 0;
+  padding: 0.2rem;
+  border-radius: 0.5rem;
+  background-color: var(--state-white-05);
+`;
+
+const ModeToggleButton = styled.button`
+  padding: 0.35rem 0.8rem;
+  border: none;
+  border-radius: 0.375rem;
+  font-family: inherit;
+  font-size: 0.8rem;
+  font-weight: 600;
+  cursor: pointer;
+  transition: background-color 150ms ease-in-out, color 150ms ease-in-out;
+  background-color: ${(props) =>
+    props.$isActive ? "var(--dark-green-400)" : "transparent"};
+  color: ${(props) =>
+    props.$isActive ? "var(--neutral-900)" : "var(--state-white-50)"};
+
+  &:hover:not(:disabled) {
+    background-color: ${(props) =>
+      props.$isActive ? "var(--dark-green-500)" : "var(--state-white-10)"};
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+  &:disabled {
+    opacity: var(--button-disabled-opacity);
+    cursor: not-allowed;
+  }
+`;
+
 const TurnText = styled.span`
   font-weight: 600;
   text-transform: capitalize;
   color: var(--neutral-100);
 `;
 
-const HistoryContainer = styled.div`
+const BoardPiece = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  font-weight: 800;
+  line-height: 1;
+  user-select: none;
+  color: ${(props) => (props.$isWhite ? "#ffffff" : "#1b1b1b")};
+  text-shadow: ${(props) =>
+    props.$isWhite
+      ? "0 0 2px #1b1b1b, 0 0 2px #1b1b1b, 0 0 1px #1b1b1b"
+      : "0 0 2px #ffffff, 0 0 1px #ffffff"};
+`;
+
+const HardModeBadge = styled.span`
+  margin-left: 0.5rem;
+  padding: 0.1rem 0.4rem;
+  border-radius: 0.25rem;
+  font-size: 0.75rem;
+  font-weight: 600;
+  background-color: var(--state-red-55);
+  color: var(--neutral-100);
+`;
+
+const ClockText = styled.p`
+  margin-top: 0.25rem;
+  font-size: 0.9rem;
+  font-weight: 600;
+  font-variant-numeric: tabular-nums;
+  color: ${(props) =>
+    props.$isLow ? "var(--message-lost-text)" : "var(--neutral-100)"};
+`;
+
+const HardModeMessage = styled.p`
+  font-size: 0.85rem;
+  color: var(--message-lost-text);
+`;
+
+const NotationInputWrapper = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  gap: 0.25rem;
+`;
+
+const NotationTextInput = styled.input`
+  width: 100%;
+  max-width: 20rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid var(--state-white-10);
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-800);
+  color: var(--neutral-100);
+  font-family: inherit;
+  font-size: 0.9rem;
+  text-align: center;
+
+  &::placeholder {
+    color: var(--state-white-25);
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+  &:disabled {
+    opacity: var(--button-disabled-opacity);
+    cursor: not-allowed;
+  }
+`;
+
+const NotationHelpText = styled.p`
+  font-size: 0.75rem;
+  color: ${(props) =>
+    props.$isError ? "var(--message-lost-text)" : "var(--state-white-25)"};
+`;
+
+const HistoryContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+`;
+
+const AttemptHistoryItem = styled(motion.div)`
+  display: flex;
+  flex-direction: column;
+  gap: 0.25rem;
+  padding: 1rem;
+  text-align: left;
+  padding-top: 0.75rem;
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-800);
+  ${({ $isLastAttempt, $isGameOver }) =>
+    $isLastAttempt &&
+    $isGameOver &&
+    `
+      box-shadow: 0 0 0 2px var(--state-dark-green-30);
+    `}
+  ${({ $isClickable }) =>
+    $isClickable &&
+    `
+      cursor: pointer;
+      &:hover {
+        background-color: var(--dark-green-700);
+      }
+      &:focus-visible {
+        outline: 2px solid var(--dark-green-400);
+        outline-offset: 1px;
+      }
+    `}
+  ${({ $isInspected }) =>
+    $isInspected &&
+    `
+      box-shadow: 0 0 0 2px var(--orange-500);
+    `}
+`;
+
+const AttemptLabel = styled(motion.p)`
+  font-size: 0.8rem;
+  font-weight: 600;
+  color: var(--state-white-50);
+`;
+
+const FeedbackList = styled(motion.ul)`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.375rem;
+  list-style: none;
+  padding: 0;
+  margin: 0;
+`;
+
+const FeedbackListItem = styled(motion.div)`
+  width: 6rem;
+  padding: 0.25rem 0.6rem;
+  border-radius: 0.375rem;
+  font-size: 0.8rem;
+  font-weight: ${(props) =>
+    props.$feedbackType === "green" || props.$feedbackType === "yellow"
+      ? 800
+      : 500};
+  background-color: ${(props) => {
+    switch (props.$feedbackType) {
+      case "green":
+        return "var(--feedback-green)";
+      case "yellow":
+        return "var(--feedback-yellow)";
+      case "red":
+        return "var(--feedback-red)";
+      default:
+        return "var(--dark-green-700)";
+    }
+  }};
+  color: ${(props) =>
+    props.$feedbackType === "green" || props.$feedbackType === "yellow"
+      ? "var(--neutral-900)"
+      : "var(--neutral-100)"};
+  ${({ $feedbackType }) =>
+    FEEDBACK_ICONS[$feedbackType] &&
+    `
+      [data-colorblind="true"] &::before {
+        content: "${FEEDBACK_ICONS[$feedbackType]} ";
+      }
+    `}
+  box-shadow: 0 1px 2px var(--state-black-10);
+  line-height: 1.2;
+  text-align: center;
+  ${({ $isAutoPlayed }) =>
+    $isAutoPlayed &&
+    `
+      opacity: 0.6;
+      font-style: italic;
+    `}
+  ${({ $isClickable }) =>
+    $isClickable &&
+    `
+      cursor: pointer;
+      &:hover {
+        box-shadow: 0 0 0 2px var(--state-dark-green-30);
+      }
+    `}
+  ${({ $isCurrent }) =>
+    $isCurrent &&
+    `
+      box-shadow: 0 0 0 2px var(--orange-500);
+    `}
+`;
+
+const HintPanel = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  padding: 0.75rem;
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-800);
+`;
+
+const HintButtons = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 0.375rem;
+`;
+
+const HintButton = styled(ModeToggleButton)`
+  background-color: var(--dark-green-700);
+  color: var(--neutral-100);
+`;
+
+const HintList = styled.ul`
+  list-style: none;
+  font-size: 0.85rem;
+  color: var(--neutral-200);
+  text-align: left;
+`;
+
+const HintNoteText = styled.p`
+  font-size: 0.75rem;
+  color: var(--state-white-50);
+`;
+
+const ReplayWrapper = styled.div`
   display: flex;
   flex-direction: column;
+  gap: 0.5rem;
+`;
+
+const ReplayColumns = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(12rem, 1fr));
   gap: 0.75rem;
 `;
 
-const AttemptHistoryItem = styled(motion.div)`
+const ReplayColumn = styled.div`
   display: flex;
   flex-direction: column;
-  gap: 0.25rem;
-  padding: 1rem;
-  text-align: left;
-  padding-top: 0.75rem;
+  gap: 0.375rem;
+  padding: 0.75rem;
   border-radius: 0.375rem;
   background-color: var(--dark-green-800);
-  ${({ $isLastAttempt, $isGameOver }) =>
-    $isLastAttempt &&
-    $isGameOver &&
-    `
-      box-shadow: 0 0 0 2px var(--state-dark-green-30);
-    `}
+  box-shadow: ${(props) =>
+    props.$isActive ? "0 0 0 2px var(--state-dark-green-30)" : "none"};
 `;
 
-const AttemptLabel = styled(motion.p)`
+const ReplayColumnTitle = styled.p`
   font-size: 0.8rem;
   font-weight: 600;
   color: var(--state-white-50);
+  text-align: left;
 `;
 
-const FeedbackList = styled(motion.ul)`
+const ReplayAttemptPicker = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.25rem;
+`;
+
+const ReplayMoves = styled.div`
   display: flex;
   flex-wrap: wrap;
   gap: 0.375rem;
-  list-style: none;
-  padding: 0;
-  margin: 0;
 `;
 
-const FeedbackListItem = styled(motion.div)`
-  width: 6rem;
-  padding: 0.25rem 0.6rem;
-  border-radius: 0.375rem;
+const ReplayEmptyText = styled.span`
   font-size: 0.8rem;
-  font-weight: ${(props) =>
-    props.$feedbackType === "green" || props.$feedbackType === "yellow"
-      ? 800
-      : 500};
-  background-color: ${(props) => {
-    switch (props.$feedbackType) {
-      case "green":
-        return "var(--dark-green-500)";
-      case "yellow":
-        return "var(--orange-500)";
-      case "red":
-        return "var(--state-red-55)";
-      default:
-        return "var(--dark-green-700)";
-    }
-  }};
-  color: ${(props) =>
-    props.$feedbackType === "green" || props.$feedbackType === "yellow"
-      ? "var(--neutral-900)"
-      : "var(--neutral-100)"};
-  box-shadow: 0 1px 2px var(--state-black-10);
-  line-height: 1.2;
-  text-align: center;
+  color: var(--state-white-25);
+`;
+
+const ReplayControls = styled.div`
+  display: flex;
+  justify-content: center;
+  gap: 0.5rem;
+`;
+
+const ReplayButton = styled.button`
+  min-width: 2.5rem;
+  padding: 0.35rem 0.6rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-700);
+  color: var(--neutral-100);
+  font-family: inherit;
+  font-size: 0.85rem;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background-color: var(--dark-green-600);
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+  &:disabled {
+    opacity: var(--button-disabled-opacity);
+    cursor: not-allowed;
+  }
+`;
+
+const ReplayStatusText = styled.p`
+  font-size: 0.75rem;
+  color: var(--state-white-50);
+`;
+
+const OpponentRepliesText = styled(motion.p)`
+  font-size: 0.75rem;
+  color: var(--state-white-50);
+`;
+
+const TimedOutText = styled(OpponentRepliesText)`
+  color: var(--message-lost-text);
 `;
 
 const PlaceholderText = styled(motion.span)`
@@ -1322,6 +4874,11 @@ const BoardWrapper = styled(motion.div)`
   padding: 1rem 0 3rem 0;
   overflow: visible;
 
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 4px;
+  }
+
   & > * {
     box-shadow: 0 8px 24px var(--state-black-30);
   }
@@ -1369,6 +4926,33 @@ const ControlsWrapper = styled.div`
   padding: 1rem 0;
 `;
 
+const OptionRow = styled.div`
+  display: ${(props) => (props.$isHidden ? "none" : "flex")};
+  justify-content: center;
+  align-items: center;
+  gap: 0.5rem;
+  font-size: 0.8rem;
+  color: var(--state-white-50);
+`;
+
+const OptionSelect = styled.select`
+  padding: 0.3rem 0.5rem;
+  border: 1px solid var(--state-white-10);
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-800);
+  color: var(--neutral-100);
+  font-family: inherit;
+  font-size: 0.8rem;
+
+  &:disabled {
+    opacity: var(--button-disabled-opacity);
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+`;
+
 const StyledButton = styled.button`
   padding: 0.6rem 1.2rem;
   color: var(--neutral-900);
@@ -1481,6 +5065,42 @@ const SolutionText = styled.p`
   word-break: keep-all;
 `;
 
+const ReplayCloseButton = styled(StyledButton)`
+  align-self: center;
+  padding: 0.4rem 1rem;
+  font-size: 0.8rem;
+`;
+
+const ShareButton = styled(StyledButton)`
+  display: block;
+  margin: 0.75rem auto 0 auto;
+  min-width: 8rem;
+`;
+
+const CountdownText = styled.p`
+  margin-top: 0.75rem;
+  font-size: 0.85rem;
+  font-variant-numeric: tabular-nums;
+  color: inherit;
+`;
+
+const InlineTextButton = styled.button`
+  padding: 0;
+  border: none;
+  background: none;
+  color: inherit;
+  font: inherit;
+  font-weight: 600;
+  text-decoration: underline;
+  cursor: pointer;
+`;
+
+const SummaryOpenButton = styled(InlineTextButton)`
+  display: block;
+  margin: 0.75rem auto 0 auto;
+  font-size: 0.85rem;
+`;
+
 const GitHubButton = styled.a`
   display: inline-flex;
   width: fit-content;
@@ -1589,6 +5209,188 @@ const CloseButton = styled.button`
   }
 `;
 
+const StatsGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(4, 1fr);
+  gap: 0.5rem;
+  margin-bottom: 1.5rem;
+  text-align: center;
+`;
+
+const StatItem = styled.div`
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+`;
+
+const StatValue = styled.span`
+  font-size: 2rem;
+  font-weight: 700;
+  line-height: 1.2;
+  color: var(--neutral-100);
+`;
+
+const StatLabel = styled.span`
+  font-size: 0.75rem;
+  color: var(--state-white-50);
+`;
+
+const StatChange = styled.span`
+  font-size: 0.75rem;
+  font-weight: 600;
+  color: ${(props) =>
+    props.$isUp ? "var(--dark-green-400)" : "var(--state-red-55)"};
+`;
+
+const SummaryLink = styled.a`
+  color: var(--dark-green-400);
+  font-weight: 600;
+`;
+
+const SummaryCountdown = styled.div`
+  text-align: center;
+`;
+
+const HistogramRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 0.5rem;
+  margin-bottom: 0.25rem;
+`;
+
+const HistogramLabel = styled.span`
+  width: 1rem;
+  font-size: 0.85rem;
+  font-weight: 600;
+`;
+
+const HistogramBar = styled.div`
+  width: ${(props) => props.$widthPercent}%;
+  padding: 0 0.5rem;
+  border-radius: 0.25rem;
+  text-align: right;
+  font-size: 0.8rem;
+  font-weight: 600;
+  background-color: ${(props) =>
+    props.$hasCount ? "var(--dark-green-500)" : "var(--dark-green-700)"};
+  color: ${(props) =>
+    props.$hasCount ? "var(--neutral-900)" : "var(--neutral-100)"};
+`;
+
+const ArchiveForm = styled.form`
+  display: flex;
+  gap: 0.5rem;
+  margin-bottom: 0.75rem;
+`;
+
+const ArchiveInput = styled.input`
+  flex: 1;
+  min-width: 0;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid var(--state-white-10);
+  border-radius: 0.375rem;
+  background-color: var(--dark-green-900);
+  color: var(--neutral-100);
+  font-family: inherit;
+  font-size: 0.9rem;
+  color-scheme: dark;
+
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+`;
+
+const ArchiveList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 1rem 0;
+
+  & li {
+    margin-bottom: 0.375rem;
+  }
+`;
+
+const ArchiveListButton = styled.button`
+  display: flex;
+  justify-content: space-between;
+  width: 100%;
+  padding: 0.5rem 0.75rem;
+  border: none;
+  border-radius: 0.375rem;
+  background-color: var(--state-white-05);
+  color: var(--neutral-200);
+  font-family: inherit;
+  font-size: 0.85rem;
+  cursor: pointer;
+  transition: background-color 150ms ease-in-out;
+
+  &:hover {
+    background-color: var(--state-white-10);
+  }
+  &:focus-visible {
+    outline: 2px solid var(--dark-green-400);
+    outline-offset: 1px;
+  }
+`;
+
+const VisuallyHiddenInput = styled.input`
+  position: absolute;
+  width: 1px;
+  height: 1px;
+  overflow: hidden;
+  clip: rect(0 0 0 0);
+  white-space: nowrap;
+`;
+
+const ArchiveLinkButton = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  color: var(--dark-green-400);
+  font-family: inherit;
+  font-size: inherit;
+  text-decoration: underline;
+  cursor: pointer;
+`;
+
+const SettingsSectionTitle = styled.h3`
+  margin: 0.5rem 0 0.75rem 0;
+  font-size: 0.8rem;
+  font-weight: 700;
+  letter-spacing: 0.05em;
+  text-transform: uppercase;
+  color: var(--state-white-50);
+`;
+
+const SettingRow = styled.div`
+  display: flex;
+  align-items: flex-start;
+  justify-content: space-between;
+  gap: 1rem;
+  margin-bottom: 1rem;
+
+  & input[type="checkbox"] {
+    width: 1.25rem;
+    height: 1.25rem;
+    margin-top: 0.3rem;
+    flex-shrink: 0;
+    accent-color: var(--dark-green-400);
+  }
+`;
+
+const SettingLabel = styled.label`
+  display: flex;
+  flex-direction: column;
+`;
+
+const SettingDescription = styled.span`
+  display: block;
+  font-size: 0.8rem;
+  line-height: 1.5;
+  color: var(--state-white-50);
+`;
+
 const ModalBody = styled.div`
   font-size: 0.95rem;
   line-height: 1.7;
@@ -0,0 +1,79 @@
+// --- Keyboard and Screen Reader Helpers ---
+// Square navigation for the board's keyboard controls, and the wording used
+// by the live region that announces moves and attempt results. Descriptions
+// are worded with the translator `t` (or `i18n`) from createI18n.
+
+const FILES = "abcdefgh";
+// File and rank steps per arrow key, as seen by the player playing white
+const ARROW_KEY_STEPS = {
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+/** The square the keyboard cursor starts on: the player's bottom-left corner. */
+export const getStartSquare = (orientation) =>
+  orientation === "black" ? "h8" : "a1";
+
+/**
+ * Moves a square one step for an arrow key on a board seen from
+ * `orientation` ('white' or 'black'). Returns null at the board's edge or
+ * for any other key.
+ */
+export const getNeighbourSquare = (square, key, orientation) => {
+  const step = ARROW_KEY_STEPS[key];
+  if (!step) return null;
+  const direction = orientation === "black" ? -1 : 1;
+  const file = FILES.indexOf(square[0]) + step[0] * direction;
+  const rank = Number(square[1]) + step[1] * direction;
+  if (file < 0 || file > 7 || rank < 1 || rank > 8) return null;
+  return `${FILES[file]}${rank}`;
+};
+
+/** Names a piece from chess.js ({ type, color }), e.g. "white knight". */
+export const describePiece = (piece, t) =>
+  t("a11y.piece", {
+    color: t(piece.color === "w" ? "color.white" : "color.black"),
+    piece: t(`piece.${piece.type}`),
+  });
+
+/** Describes a square of a chess.js game: "e4, white knight" or "e4, empty". */
+export const describeSquare = (game, square, t) => {
+  const piece = game.get(square);
+  return t("a11y.square", {
+    square,
+    contents: piece ? describePiece(piece, t) : t("a11y.empty"),
+  });
+};
+
+/**
+ * Reads out a submitted attempt, e.g. "Attempt 2: move 1, e4, correct;
+ * move 2, Nf3, partially correct." A "final move only" guess is read as
+ * "final move".
+ */
+export const describeAttemptResult = (
+  attemptNumber,
+  attempt,
+  isFinalGuess,
+  { t, formatMove }
+) => {
+  // Feedback has a result for every solution ply, including ones not played
+  const moves = attempt.feedback.map((color, index) =>
+    t("a11y.attemptMove", {
+      label: isFinalGuess
+        ? t("a11y.finalMove")
+        : t("a11y.move", { number: index + 1 }),
+      move: attempt.sequence[index]
+        ? formatMove(attempt.sequence[index])
+        : t("a11y.missing"),
+      result: t.has(`feedback.${color}`)
+        ? t(`feedback.${color}`)
+        : t("a11y.unscored"),
+    })
+  );
+  return t("a11y.attempt", {
+    number: attemptNumber,
+    moves: moves.join("; ") || t("a11y.noMoves"),
+  });
+};
@@ -0,0 +1,84 @@
+// --- Puzzle Archive ---
+// Lichess only exposes today's daily puzzle and puzzles by id, so past dates are
+// resolved through a local index of every daily puzzle this browser has loaded.
+
+const DAILY_INDEX_STORAGE_KEY = "chessdle_daily_index"; // { "YYYY-MM-DD" (UTC day): puzzleId }
+const PUZZLE_ID_PATTERN = /^[a-zA-Z0-9]{5}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CUSTOM_CODE_PATTERN = /^[A-Za-z0-9_-]+$/; // Base64url share code from customPuzzle.js
+
+export const isValidPuzzleId = (puzzleId) =>
+  typeof puzzleId === "string" && PUZZLE_ID_PATTERN.test(puzzleId);
+
+export const isValidDateKey = (dateKey) =>
+  typeof dateKey === "string" && DATE_KEY_PATTERN.test(dateKey);
+
+/**
+ * Reads the archive selection from the URL, e.g. "?puzzle=AbC12",
+ * "#date=2025-04-01" or a custom puzzle link "?custom=<code>".
+ * The query string wins over the hash.
+ * Returns { puzzleId, date, custom }, all null for today's daily puzzle.
+ */
+export const readArchiveSelection = () => {
+  const sources = [
+    new URLSearchParams(window.location.search),
+    new URLSearchParams(window.location.hash.replace(/^#/, "")),
+  ];
+  for (const params of sources) {
+    const custom = params.get("custom");
+    if (custom && CUSTOM_CODE_PATTERN.test(custom)) {
+      return { puzzleId: null, date: null, custom };
+    }
+    const puzzleId = params.get("puzzle");
+    if (isValidPuzzleId(puzzleId))
+      return { puzzleId, date: null, custom: null };
+    const date = params.get("date");
+    if (isValidDateKey(date)) return { puzzleId: null, date, custom: null };
+  }
+  return { puzzleId: null, date: null, custom: null };
+};
+
+/**
+ * Builds the URL for an archive selection, keeping the app's base path.
+ * An empty selection points back to today's daily puzzle.
+ */
+export const buildArchiveUrl = ({ puzzleId, date, custom }) => {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = "";
+  if (custom) url.searchParams.set("custom", custom);
+  else if (puzzleId) url.searchParams.set("puzzle", puzzleId);
+  else if (date) url.searchParams.set("date", date);
+  return url.toString();
+};
+
+export const readDailyIndex = () => {
+  try {
+    const index = JSON.parse(localStorage.getItem(DAILY_INDEX_STORAGE_KEY));
+    return index && typeof index === "object" ? index : {};
+  } catch (storageError) {
+    console.error("Error reading daily puzzle index:", storageError);
+    return {};
+  }
+};
+
+/** Returns the day a puzzle was recorded as the daily for, or undefined. */
+export const findDailyDateKey = (puzzleId) => {
+  const index = readDailyIndex();
+  return Object.keys(index).find((dateKey) => index[dateKey] === puzzleId);
+};
+
+/**
+ * Remembers which puzzle was the daily on the given day, so it can be
+ * replayed from the archive later.
+ */
+export const recordDailyPuzzle = (dateKey, puzzleId) => {
+  try {
+    const index = readDailyIndex();
+    if (index[dateKey] === puzzleId) return;
+    index[dateKey] = puzzleId;
+    localStorage.setItem(DAILY_INDEX_STORAGE_KEY, JSON.stringify(index));
+  } catch (storageError) {
+    console.error("Error writing daily puzzle index:", storageError);
+  }
+};
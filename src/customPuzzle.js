@@ -0,0 +1,287 @@
+// --- Custom Puzzles ---
+// Packs a player-made puzzle (starting FEN + UCI solution) into a short,
+// URL-safe code for share links. The bytes are XORed with a fixed keystream
+// before base64 encoding, so the solution can't be read off the URL; this is
+// obfuscation, not security.
+
+import { Chess } from "chess.js";
+
+const FORMAT_VERSION = 1;
+const BOARD_BYTES = 32; // 64 squares, one nibble each
+const HEADER_BYTES = 1 + BOARD_BYTES + 2; // version, board, flags, en passant
+const PIECE_CODES = " PNBRQKpnbrqk"; // Nibble value -> FEN piece letter (0 = empty)
+const PROMOTION_CODES = " nbrq"; // 3-bit value -> promotion piece (0 = none)
+const CASTLING_FLAGS = ["K", "Q", "k", "q"];
+const FILES = "abcdefgh";
+const KEYSTREAM_SEED = 0x5eed1e55;
+
+// Squares are numbered in FEN order: a8 = 0, b8 = 1, ..., h1 = 63
+const squareToIndex = (square) =>
+  (8 - Number(square[1])) * 8 + FILES.indexOf(square[0]);
+const indexToSquare = (index) =>
+  `${FILES[index % 8]}${8 - Math.floor(index / 8)}`;
+
+// XORs bytes in place with a deterministic pseudo-random keystream (xorshift32)
+const applyKeystream = (bytes) => {
+  let state = KEYSTREAM_SEED;
+  for (let i = 1; i < bytes.length; i++) {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    bytes[i] ^= state & 0xff;
+  }
+  return bytes;
+};
+
+const checksum = (bytes) => bytes.reduce((sum, byte) => (sum + byte) & 0xff, 0);
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (code) => {
+  const base64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+/**
+ * Encodes a puzzle as a share code. The FEN's move counters aren't kept.
+ * Throws if the FEN or a solution move is invalid.
+ */
+export const encodeCustomPuzzle = ({ initialFen, solution }) => {
+  const game = new Chess(initialFen);
+  const [, sideToMove, castling, enPassant] = game.fen().split(" ");
+  const bytes = [FORMAT_VERSION, ...new Array(BOARD_BYTES + 2).fill(0)];
+
+  game.board().forEach((rank, rankIndex) =>
+    rank.forEach((piece, fileIndex) => {
+      if (!piece) return;
+      const letter =
+        piece.color === "w" ? piece.type.toUpperCase() : piece.type;
+      const squareIndex = rankIndex * 8 + fileIndex;
+      const shift = squareIndex % 2 === 0 ? 4 : 0;
+      bytes[1 + Math.floor(squareIndex / 2)] |=
+        PIECE_CODES.indexOf(letter) << shift;
+    })
+  );
+  bytes[1 + BOARD_BYTES] =
+    (sideToMove === "b" ? 1 : 0) |
+    CASTLING_FLAGS.reduce(
+      (flags, flag, index) =>
+        castling.includes(flag) ? flags | (2 << index) : flags,
+      0
+    );
+  bytes[2 + BOARD_BYTES] = enPassant === "-" ? 0 : 1 + squareToIndex(enPassant);
+
+  solution.forEach((uci) => {
+    const move = game.move({
+      from: uci.substring(0, 2),
+      to: uci.substring(2, 4),
+      promotion: uci[4],
+    });
+    const packed =
+      (squareToIndex(move.from) << 9) |
+      (squareToIndex(move.to) << 3) |
+      Math.max(0, PROMOTION_CODES.indexOf(move.promotion || " "));
+    bytes.push(packed >> 8, packed & 0xff);
+  });
+  bytes.push(checksum(bytes));
+
+  return toBase64Url(applyKeystream(Uint8Array.from(bytes)));
+};
+
+// Short, stable id for a code (FNV-1a), used to key saved progress
+const hashCode = (code) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < code.length; i++) {
+    hash ^= code.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Decodes a share code into the puzzle object App plays:
+ * { id, rating, initialFen, solution, playerColor, themes }.
+ * Returns null if the code is malformed, tampered with or illegal.
+ */
+export const decodeCustomPuzzle = (code) => {
+  try {
+    const bytes = applyKeystream(fromBase64Url(code));
+    const moveBytes = bytes.length - HEADER_BYTES - 1;
+    if (
+      bytes[0] !== FORMAT_VERSION ||
+      moveBytes < 2 ||
+      moveBytes % 2 !== 0 ||
+      checksum(bytes.slice(0, -1)) !== bytes[bytes.length - 1]
+    ) {
+      return null;
+    }
+
+    // --- Starting Position ---
+    const ranks = [];
+    for (let rank = 0; rank < 8; rank++) {
+      let rankText = "";
+      let emptyCount = 0;
+      for (let file = 0; file < 8; file++) {
+        const squareIndex = rank * 8 + file;
+        const byte = bytes[1 + Math.floor(squareIndex / 2)];
+        const pieceCode = squareIndex % 2 === 0 ? byte >> 4 : byte & 0x0f;
+        if (pieceCode === 0) {
+          emptyCount++;
+          continue;
+        }
+        if (pieceCode >= PIECE_CODES.length) return null;
+        rankText += `${emptyCount || ""}${PIECE_CODES[pieceCode]}`;
+        emptyCount = 0;
+      }
+      ranks.push(`${rankText}${emptyCount || ""}`);
+    }
+    const flags = bytes[1 + BOARD_BYTES];
+    const castling =
+      CASTLING_FLAGS.filter((flag, index) => flags & (2 << index)).join("") ||
+      "-";
+    const enPassantByte = bytes[2 + BOARD_BYTES];
+    const enPassant =
+      enPassantByte === 0 ? "-" : indexToSquare(enPassantByte - 1);
+    const initialFen = `${ranks.join("/")} ${
+      flags & 1 ? "b" : "w"
+    } ${castling} ${enPassant} 0 1`;
+
+    // --- Solution (replayed to make sure it is legal) ---
+    const game = new Chess(initialFen);
+    const solution = [];
+    for (let i = HEADER_BYTES; i < bytes.length - 1; i += 2) {
+      const packed = (bytes[i] << 8) | bytes[i + 1];
+      const promotion = PROMOTION_CODES[packed & 0x07]?.trim();
+      const move = game.move({
+        from: indexToSquare((packed >> 9) & 0x3f),
+        to: indexToSquare((packed >> 3) & 0x3f),
+        promotion: promotion || undefined,
+      });
+      solution.push(`${move.from}${move.to}${move.promotion || ""}`);
+    }
+
+    return {
+      id: `custom_${hashCode(code)}`,
+      rating: "Unrated",
+      initialFen,
+      solution,
+      playerColor: flags & 1 ? "black" : "white",
+      themes: [],
+    };
+  } catch (error) {
+    console.warn("Could not decode custom puzzle:", error);
+    return null;
+  }
+};
+
+// --- Board Editor Helpers ---
+
+export const STARTING_FEN =
+  "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+// Squares a king and rook must stand on for each castling right
+const CASTLING_REQUIREMENTS = {
+  K: { e1: "wK", h1: "wR" },
+  Q: { e1: "wK", a1: "wR" },
+  k: { e8: "bK", h8: "bR" },
+  q: { e8: "bK", a8: "bR" },
+};
+
+/** Converts a FEN's piece placement to a board position ({ e4: "wP", ... }). */
+export const fenToBoardPosition = (fen) => {
+  const position = {};
+  fen
+    .split(" ")[0]
+    .split("/")
+    .forEach((rankText, rankIndex) => {
+      let file = 0;
+      for (const char of rankText) {
+        if (/\d/.test(char)) {
+          file += Number(char);
+          continue;
+        }
+        const square = `${FILES[file]}${8 - rankIndex}`;
+        const color = char === char.toUpperCase() ? "w" : "b";
+        position[square] = `${color}${char.toUpperCase()}`;
+        file++;
+      }
+    });
+  return position;
+};
+
+/**
+ * Builds a FEN from an edited board. Castling rights are kept only where the
+ * king and rook still stand on their starting squares; no en passant square.
+ */
+export const buildSetupFen = (position, sideToMove, castling) => {
+  const ranks = [];
+  for (let rank = 8; rank >= 1; rank--) {
+    let rankText = "";
+    let emptyCount = 0;
+    for (const file of FILES) {
+      const piece = position[`${file}${rank}`];
+      if (!piece) {
+        emptyCount++;
+        continue;
+      }
+      const letter = piece[0] === "w" ? piece[1] : piece[1].toLowerCase();
+      rankText += `${emptyCount || ""}${letter}`;
+      emptyCount = 0;
+    }
+    ranks.push(`${rankText}${emptyCount || ""}`);
+  }
+  const castlingRights =
+    CASTLING_FLAGS.filter(
+      (flag) =>
+        castling.includes(flag) &&
+        Object.entries(CASTLING_REQUIREMENTS[flag]).every(
+          ([square, piece]) => position[square] === piece
+        )
+    ).join("") || "-";
+  return `${ranks.join("/")} ${sideToMove} ${castlingRights} - 0 1`;
+};
+
+/**
+ * Checks that a FEN can start a puzzle. Returns an error message worded with
+ * the translator `t` (chess.js's own message for an unreadable FEN), or null.
+ */
+export const validateSetupFen = (fen, t) => {
+  let game;
+  try {
+    game = new Chess(fen);
+  } catch (fenError) {
+    return fenError.message;
+  }
+  const pieces = game.board().flat().filter(Boolean);
+  const countKings = (color) =>
+    pieces.filter((piece) => piece.type === "k" && piece.color === color)
+      .length;
+  if (countKings("w") !== 1 || countKings("b") !== 1) {
+    return t("creator.error.kings");
+  }
+  const placement = fen.split(" ")[0].split("/");
+  if (/p/i.test(placement[0]) || /p/i.test(placement[7])) {
+    return t("creator.error.pawnRank");
+  }
+  const [, sideToMove, ...rest] = fen.split(" ");
+  const opponentToMove = [
+    placement.join("/"),
+    sideToMove === "w" ? "b" : "w",
+    ...rest,
+  ].join(" ");
+  try {
+    if (new Chess(opponentToMove).inCheck()) {
+      return t("creator.error.check");
+    }
+  } catch {
+    // An en passant square that only makes sense for one side; ignore
+  }
+  if (game.moves().length === 0) {
+    return t("creator.error.noMoves");
+  }
+  return null;
+};
@@ -0,0 +1,124 @@
+// --- "Final Move Only" Mode ---
+// The player names just the last solver move of the puzzle, from the starting
+// position, without playing the moves that lead up to it.
+
+import { Chess } from "chess.js";
+
+const SAN_GUESS_PATTERN =
+  /^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBNqrbn]))?[+#]?$/;
+const UCI_GUESS_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i;
+const CASTLING_PATTERN = /^(O-O(?:-O)?|0-0(?:-0)?)[+#]?$/i;
+
+/**
+ * Replays the solution up to its last solver move (even index) and describes it:
+ * { plyIndex, from, to, promotion, piece, san, originSquare }.
+ * originSquare is where the moving piece stood in the puzzle's starting
+ * position, so a player can "pick it up" from there on the starting board.
+ */
+export const getFinalSolverMove = (initialFen, solution) => {
+  const plyIndex =
+    solution.length % 2 === 1 ? solution.length - 1 : solution.length - 2;
+  if (plyIndex < 0) return null;
+
+  const replayGame = new Chess(initialFen);
+  const playedMoves = [];
+  for (let i = 0; i <= plyIndex; i++) {
+    const uci = solution[i];
+    const move = replayGame.move({
+      from: uci.substring(0, 2),
+      to: uci.substring(2, 4),
+      promotion: uci.length === 5 ? uci[4].toLowerCase() : undefined,
+    });
+    playedMoves.push(move);
+  }
+
+  const finalMove = playedMoves[plyIndex];
+  // Follow the piece backwards through the solver's earlier moves
+  let originSquare = finalMove.from;
+  for (let i = plyIndex - 2; i >= 0; i -= 2) {
+    if (playedMoves[i].to === originSquare) {
+      originSquare = playedMoves[i].from;
+    }
+  }
+
+  return {
+    plyIndex,
+    from: finalMove.from,
+    to: finalMove.to,
+    promotion: finalMove.promotion,
+    piece: finalMove.piece,
+    san: finalMove.san,
+    originSquare,
+  };
+};
+
+/**
+ * Parses a typed final-move guess without checking legality, since the guess
+ * refers to a position the player never sees. Accepts UCI ("e4h7"),
+ * SAN ("Qxh7#", "exd8=N") and castling ("O-O").
+ * Returns { from, to, piece, promotion, label } (from/piece may be undefined)
+ * or null if the text isn't a move.
+ */
+export const parseFinalMoveGuess = (notation, playerColor) => {
+  const text = notation.trim();
+
+  const uciMatch = text.match(UCI_GUESS_PATTERN);
+  if (uciMatch) {
+    return {
+      from: uciMatch[1].toLowerCase(),
+      to: uciMatch[2].toLowerCase(),
+      piece: undefined,
+      promotion: uciMatch[3]?.toLowerCase(),
+      label: text.toLowerCase(),
+    };
+  }
+
+  const castlingMatch = text.match(CASTLING_PATTERN);
+  if (castlingMatch) {
+    const rank = playerColor === "white" ? "1" : "8";
+    const isQueenside = castlingMatch[1].replace(/0/g, "O").length > 3;
+    return {
+      from: `e${rank}`,
+      to: `${isQueenside ? "c" : "g"}${rank}`,
+      piece: "k",
+      promotion: undefined,
+      label: isQueenside ? "O-O-O" : "O-O",
+    };
+  }
+
+  const sanMatch = text.match(SAN_GUESS_PATTERN);
+  if (sanMatch) {
+    const [, pieceLetter, fromFile, fromRank, to, promotion] = sanMatch;
+    return {
+      from: fromFile && fromRank ? `${fromFile}${fromRank}` : undefined,
+      to,
+      piece: pieceLetter ? pieceLetter.toLowerCase() : "p",
+      promotion: promotion?.toLowerCase(),
+      label: text,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Scores a final-move guess:
+ * - green: right piece, right destination and right promotion piece
+ * - yellow: right piece OR right destination
+ * - red: neither
+ * The piece counts as right if the guess starts on the square it moves from,
+ * on the square it started the puzzle on, or (with no square given) if it is
+ * the same kind of piece.
+ */
+export const scoreFinalMoveGuess = (guess, finalMove) => {
+  const toMatch = guess.to === finalMove.to;
+  const pieceMatch = guess.from
+    ? guess.from === finalMove.from || guess.from === finalMove.originSquare
+    : guess.piece === finalMove.piece;
+  const promotionMatch =
+    (guess.promotion || null) === (finalMove.promotion || null);
+
+  if (toMatch && pieceMatch && promotionMatch) return "green";
+  if (toMatch || pieceMatch) return "yellow";
+  return "red";
+};
@@ -0,0 +1,118 @@
+// --- Hard Mode ---
+// Like Wordle's hard mode: what earlier attempts revealed has to be used.
+// A ply that came back green must be played again exactly; a yellow ply must
+// keep the square that matched (its from or to square).
+
+import { FEEDBACK_REASONS } from "./scoring";
+import { buildMoveLine } from "./replay";
+
+const SQUARE_REASONS = {
+  [FEEDBACK_REASONS.RIGHT_PIECE]: "from",
+  [FEEDBACK_REASONS.RIGHT_DESTINATION]: "to",
+  [FEEDBACK_REASONS.WRONG_PROMOTION]: "squares",
+};
+
+/**
+ * Collects the constraints revealed by past attempts, keyed by ply index:
+ * { type: 'exact' | 'from' | 'to' | 'squares' | 'from-or-to', from, to,
+ * promotion, san, attempt }. A green ply wins over a yellow one; otherwise
+ * the latest attempt's feedback is used. Auto-played replies aren't guesses,
+ * so they reveal nothing.
+ */
+export const getHardModeConstraints = (initialFen, attemptsHistory) => {
+  const constraints = {};
+  attemptsHistory.forEach((attempt, attemptIndex) => {
+    const line = buildMoveLine(initialFen, attempt.sequence);
+    line.forEach((move, ply) => {
+      if ((attempt.autoPlayed || []).includes(ply)) return;
+      const feedback = attempt.feedback[ply];
+      const reason = attempt.reasons?.[ply];
+      let type = null;
+      if (feedback === "green") {
+        type = "exact";
+      } else if (feedback === "yellow") {
+        type = SQUARE_REASONS[reason] || "from-or-to"; // Older attempts have no reasons
+      }
+      if (!type || constraints[ply]?.type === "exact") return;
+      constraints[ply] = {
+        type,
+        from: move.from,
+        to: move.to,
+        promotion: move.promotion || null,
+        san: move.san,
+        attempt: attemptIndex + 1,
+      };
+    });
+  });
+  return constraints;
+};
+
+/**
+ * Checks one move ({ from, to, promotion? }) played at a ply index.
+ * Returns a message explaining why hard mode rejects it, or null. `i18n`
+ * ({ t, formatMove } from createI18n) words it in the player's language.
+ */
+export const checkHardModeMove = (
+  constraints,
+  ply,
+  move,
+  { t, formatMove }
+) => {
+  const constraint = constraints[ply];
+  if (!constraint) return null;
+  const params = {
+    move: ply + 1,
+    san: formatMove(constraint.san),
+    from: constraint.from,
+    to: constraint.to,
+    attempt: constraint.attempt,
+  };
+  switch (constraint.type) {
+    case "exact":
+      return move.from === constraint.from &&
+        move.to === constraint.to &&
+        (move.promotion || null) === constraint.promotion
+        ? null
+        : t("hardMode.exact", params);
+    case "from":
+      return move.from === constraint.from ? null : t("hardMode.from", params);
+    case "to":
+      return move.to === constraint.to ? null : t("hardMode.to", params);
+    case "squares":
+      return move.from === constraint.from && move.to === constraint.to
+        ? null
+        : t("hardMode.squares", params);
+    default:
+      return move.from === constraint.from || move.to === constraint.to
+        ? null
+        : t("hardMode.fromOrTo", params);
+  }
+};
+
+/**
+ * Checks a whole sequence (SAN) before it is submitted: every constrained
+ * ply must be present and respected. Plies listed in `skippedPlies` (the
+ * auto-played replies) aren't checked. Returns a message, or null.
+ */
+export const checkHardModeSequence = (
+  constraints,
+  initialFen,
+  sequence,
+  skippedPlies,
+  i18n
+) => {
+  const line = buildMoveLine(initialFen, sequence);
+  for (const ply of Object.keys(constraints).map(Number)) {
+    if (skippedPlies.includes(ply)) continue;
+    if (!line[ply]) {
+      const { type, san, attempt } = constraints[ply];
+      return i18n.t(
+        type === "exact" ? "hardMode.missingExact" : "hardMode.missingYellow",
+        { move: ply + 1, san: i18n.formatMove(san), attempt }
+      );
+    }
+    const error = checkHardModeMove(constraints, ply, line[ply], i18n);
+    if (error) return error;
+  }
+  return null;
+};
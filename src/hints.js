@@ -0,0 +1,95 @@
+// --- Hints ---
+// Optional help while playing: the piece that moves first, the puzzle's
+// Lichess themes, or the destination of the next ply no attempt has solved.
+// Every hint taken adds a penalty to the result's score.
+
+import { Chess } from "chess.js";
+
+/** Hint kinds, stored with each hint taken. */
+export const HINT_TYPES = {
+  FIRST_PIECE: "first-piece",
+  THEMES: "themes",
+  NEXT_DESTINATION: "next-destination",
+};
+
+export const HINT_PENALTY = 1; // Score penalty per hint, the cost of one extra attempt
+
+/**
+ * Score of a finished game: attempts used plus the hint penalties.
+ * Lower is better, as with attempts.
+ */
+export const computeScore = (attemptsUsed, hintsUsed = []) =>
+  attemptsUsed + hintsUsed.length * HINT_PENALTY;
+
+/**
+ * Returns the index of the first ply that no attempt got green and that no
+ * destination hint has revealed yet, or -1 if there is none.
+ */
+export const getNextUnsolvedPly = (
+  solutionLength,
+  attemptsHistory,
+  hintsUsed
+) => {
+  for (let ply = 0; ply < solutionLength; ply++) {
+    const isSolved = attemptsHistory.some(
+      (attempt) => attempt.feedback[ply] === "green"
+    );
+    const isRevealed = hintsUsed.some(
+      (hint) => hint.type === HINT_TYPES.NEXT_DESTINATION && hint.ply === ply
+    );
+    if (!isSolved && !isRevealed) return ply;
+  }
+  return -1;
+};
+
+/**
+ * Names a Lichess theme key in the player's language, from its "theme.*"
+ * message if there is one, else by splitting the key: "mateIn2" -> "Mate in 2".
+ */
+export const formatTheme = (theme, t) => {
+  if (t.has(`theme.${theme}`)) return t(`theme.${theme}`);
+  const words = theme
+    .replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    .toLowerCase()
+    .split(" ");
+  const text = words.join(" ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Describes a hint taken on a puzzle with the translator `t`, e.g. "The first
+ * move is made by the knight on g1". Returns null if the hint no longer
+ * applies to the puzzle.
+ */
+export const describeHint = (hint, puzzle, t) => {
+  switch (hint.type) {
+    case HINT_TYPES.FIRST_PIECE: {
+      const from = puzzle.solution[0]?.substring(0, 2);
+      const piece = from ? new Chess(puzzle.initialFen).get(from) : null;
+      if (!piece) return null;
+      return t("hints.describe.firstPiece", {
+        piece: t(`piece.${piece.type}`),
+        square: from,
+      });
+    }
+    case HINT_TYPES.THEMES:
+      return puzzle.themes.length > 0
+        ? t("hints.describe.themes", {
+            themes: puzzle.themes
+              .map((theme) => formatTheme(theme, t))
+              .join(", "),
+          })
+        : null;
+    case HINT_TYPES.NEXT_DESTINATION: {
+      const to = puzzle.solution[hint.ply]?.substring(2, 4);
+      return to
+        ? t("hints.describe.nextDestination", {
+            move: hint.ply + 1,
+            square: to,
+          })
+        : null;
+    }
+    default:
+      return null;
+  }
+};
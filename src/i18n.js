@@ -0,0 +1,92 @@
+// --- Localization ---
+// Message catalogs, locale detection and localized move notation. Messages
+// are looked up in the player's locale and fall back to English.
+
+import { de } from "./locales/de";
+import { en } from "./locales/en";
+import { es } from "./locales/es";
+
+const CATALOGS = { en, de, es };
+const DEFAULT_LOCALE = "en";
+
+// SAN piece letters by locale, keyed by the English letter
+const PIECE_LETTERS = {
+  en: { K: "K", Q: "Q", R: "R", B: "B", N: "N" },
+  de: { K: "K", Q: "D", R: "T", B: "L", N: "S" },
+  es: { K: "R", Q: "D", R: "T", B: "A", N: "C" },
+};
+const PIECE_FIGURINES = { K: "♔", Q: "♕", R: "♖", B: "♗", N: "♘" };
+// A piece letter opening a move ("Nf3", "Ng1-f3") or naming a promotion ("=Q")
+const SAN_PIECE_PATTERN = /(^|=)([KQRBN])/g;
+
+/**
+ * Picks the first supported locale from the browser's preferred languages,
+ * e.g. "de" for "de-AT". Falls back to English.
+ */
+export const detectLocale = (
+  languages = navigator.languages || [navigator.language]
+) => {
+  for (const language of languages) {
+    const baseLanguage = language?.toLowerCase().split("-")[0];
+    if (CATALOGS[baseLanguage]) return baseLanguage;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/** Resolves the language setting ("auto" or a locale) to a locale. */
+export const resolveLocale = (language) =>
+  CATALOGS[language] ? language : detectLocale();
+
+/**
+ * Writes a SAN move with the locale's piece letters ("Sf3" in German), or
+ * with figurines ("♘f3") for the "figurines" notation.
+ */
+export const formatSan = (san, locale, notation) => {
+  const symbols =
+    notation === "figurines"
+      ? PIECE_FIGURINES
+      : PIECE_LETTERS[locale] || PIECE_LETTERS[DEFAULT_LOCALE];
+  return san.replace(
+    SAN_PIECE_PATTERN,
+    (match, prefix, letter) => `${prefix}${symbols[letter]}`
+  );
+};
+
+/**
+ * Creates the translator for a locale: t(key, params) returns the message
+ * with its "{name}" placeholders filled in. With a `count` param, a
+ * "key_one" or "key_other" message is picked by the locale's plural rules.
+ * t.has(key) tells whether a message exists.
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const lookup = (key) => catalog[key] ?? en[key];
+
+  const t = (key, params = {}) => {
+    const message =
+      ("count" in params &&
+        (lookup(`${key}_${pluralRules.select(params.count)}`) ??
+          lookup(`${key}_other`))) ||
+      lookup(key);
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? String(params[name]) : placeholder
+    );
+  };
+  t.has = (key) => lookup(key) !== undefined;
+  return t;
+};
+
+/**
+ * Everything components need to show text in the player's language:
+ * { locale, t, formatMove }, where formatMove localizes a SAN move.
+ */
+export const createI18n = (locale, notation) => ({
+  locale,
+  t: createTranslator(locale),
+  formatMove: (san) => formatSan(san, locale, notation),
+});
@@ -0,0 +1,472 @@
+// --- German Messages ---
+// Keys missing here fall back to the English catalog.
+
+export const de = {
+  "app.loading": "Tagespuzzle wird geladen...",
+  "app.waiting": "Warte auf Puzzledaten...",
+  "app.error": "Fehler:",
+  "app.title": "Chessdle!",
+  "app.tagline": "Das Lichess-Puzzle des Tages, als Rätsel.",
+  "app.taglineGoal": "Errate die ganze Zugfolge!",
+  "app.createPuzzle": "Puzzle erstellen",
+  "app.loadFailed.daily":
+    "Das Tagespuzzle konnte nicht geladen werden: {reason}. Bitte lade die Seite neu.",
+  "app.loadFailed.custom":
+    "Das eigene Puzzle konnte nicht geladen werden: {reason}. Bitte lade die Seite neu.",
+  "app.loadFailed.archive":
+    "Das Archiv-Puzzle konnte nicht geladen werden: {reason}. Bitte lade die Seite neu.",
+  "app.unknownError": "Ein unbekannter Fehler ist aufgetreten",
+  "app.brokenCustomLink":
+    "Dieser Puzzle-Link ist beschädigt oder unvollständig. Bitte frag die Person, die ihn geteilt hat, nach dem vollständigen Link",
+  "app.offlineNotCached":
+    "Du bist offline und dieses Puzzle ist noch nicht zwischengespeichert",
+  "app.noDailyForDate":
+    "Für den {date} ist in diesem Browser kein Tagespuzzle gespeichert. Nach Datum lassen sich nur Tage spielen, an denen dieser Browser das Tagespuzzle geladen hat. Frag stattdessen einen Teamkollegen nach der Puzzle-ID oder dem Link",
+  "app.invalidSolution": "Interner Fehler: Ungültige Lösungsdaten erhalten.",
+
+  "offline.unreachable":
+    "Lichess ist nicht erreichbar, das gespeicherte Puzzle wird angezeigt.",
+  "offline.offline": "Du bist offline, das gespeicherte Puzzle wird angezeigt.",
+  "offline.progressSaved":
+    "Dein Fortschritt wird weiterhin auf diesem Gerät gespeichert.",
+
+  "selection.custom": "Eigenes Puzzle",
+  "selection.archive": "Archiv-Puzzle #{id}",
+  "selection.pack": "Paket-Puzzle #{id}",
+  "selection.fromPack": " aus {name}",
+  "selection.fromDate": " vom {date}",
+  "selection.backToToday": "Zurück zum heutigen Puzzle",
+
+  "info.rating": "Wertung: {rating}",
+  "info.attempt_one":
+    "Versuch {attempt} von {maxAttempts}. Finde die Lösung mit {length} Zug. ",
+  "info.attempt_other":
+    "Versuch {attempt} von {maxAttempts}. Finde die Lösung mit {length} Zügen. ",
+  "info.attemptFinal_one":
+    "Versuch {attempt} von {maxAttempts}. Nenne den Zug der Lösung mit {length} Zug. ",
+  "info.attemptFinal_other":
+    "Versuch {attempt} von {maxAttempts}. Nenne nur den letzten Zug der Lösung mit {length} Zügen. ",
+  "info.toMove.white": "Weiß am Zug",
+  "info.toMove.black": "Schwarz am Zug",
+  "info.hardMode": "Schwerer Modus",
+
+  "mode.group": "Spielmodus",
+  "mode.standard": "Ganze Zugfolge",
+  "mode.final": "Nur letzter Zug",
+
+  "board.label":
+    "Schachbrett, {color} unten. Mit den Pfeiltasten zwischen den Feldern wechseln, mit Enter eine Figur aufnehmen und absetzen, mit Escape zurückstellen.",
+  "color.white": "Weiß",
+  "color.black": "Schwarz",
+  "piece.p": "Bauer",
+  "piece.n": "Springer",
+  "piece.b": "Läufer",
+  "piece.r": "Turm",
+  "piece.q": "Dame",
+  "piece.k": "König",
+
+  "sequence.label": "Aktuelle Zugfolge ({count}/{total} Züge):",
+  "sequence.placeholder": "Figuren ziehen oder Züge eintippen",
+  "sequence.autoPlayed": "Antwort des Gegners, automatisch gespielt",
+  "sequence.finalLabel": "Dein letzter Zug:",
+  "sequence.finalPlaceholder":
+    "Figur ziehen, zwei Felder anklicken oder einen Zug eintippen",
+  "sequence.pickedSquare": "Von {square}, jetzt das Zielfeld anklicken",
+  "sequence.gameOver": "Spiel vorbei",
+
+  "notation.placeholder": "Zug eintippen, z. B. Nf3 oder g1f3",
+  "notation.label":
+    "Zug in SAN (mit englischen Figurenbuchstaben) oder UCI eintippen",
+  "notation.help":
+    "Enter fügt einen Zug hinzu · Enter im leeren Feld reicht ein · Rücktaste im leeren Feld nimmt zurück",
+  "notation.gameOver": "Die Partie ist vorbei.",
+  "notation.notAMove": "„{notation}“ ist kein Zug.",
+  "notation.replyPending": "Warte auf die Antwort des Gegners.",
+  "notation.sequenceComplete":
+    "Deine Sequenz ist schon vollständig. Drücke Enter, um sie abzugeben.",
+  "notation.illegalMove": "„{notation}“ ist hier kein legaler Zug.",
+
+  "hints.firstPiece": "Erste Figur",
+  "hints.themes": "Themen",
+  "hints.nextDestination": "Nächstes Zielfeld",
+  "hints.destinationOf": "Zielfeld von Zug {move}",
+  "hints.taken_one": "{count} Hinweis genommen: +{penalty} auf deine Punktzahl",
+  "hints.taken_other":
+    "{count} Hinweise genommen: +{penalty} auf deine Punktzahl",
+  "hints.note":
+    "Hinweise: Jeder zählt {penalty} zu deiner Punktzahl, wie ein zusätzlicher Versuch",
+  "hints.describe.firstPiece":
+    "Den ersten Zug macht die Figur auf {square}: {piece}",
+  "hints.describe.themes": "Themen: {themes}",
+  "hints.describe.nextDestination": "Zug {move} endet auf {square}",
+
+  "hardMode.exact":
+    "Schwerer Modus: Zug {move} muss {san} sein, der grün war (Versuch {attempt}).",
+  "hardMode.from":
+    "Schwerer Modus: Zug {move} muss die Figur auf {from} ziehen, die richtig war (Versuch {attempt}).",
+  "hardMode.to":
+    "Schwerer Modus: Zug {move} muss auf {to} enden, das richtig war (Versuch {attempt}).",
+  "hardMode.squares":
+    "Schwerer Modus: Zug {move} muss von {from} nach {to} gehen, beide Felder waren richtig (Versuch {attempt}).",
+  "hardMode.fromOrTo":
+    "Schwerer Modus: Zug {move} muss {from} oder {to} aus {san} beibehalten, der gelb war (Versuch {attempt}).",
+  "hardMode.missingExact":
+    "Schwerer Modus: Deine Sequenz muss Zug {move}, {san}, enthalten, der grün war (Versuch {attempt}).",
+  "hardMode.missingYellow":
+    "Schwerer Modus: Deine Sequenz muss bis Zug {move} reichen, der gelb war (Versuch {attempt}).",
+
+  "history.attempt": "Versuch {number}:",
+  "history.replay": "Diesen Versuch auf dem Brett nachspielen",
+  "history.opponentReplies":
+    "Antworten des Gegners: {correct}/{total} auf der Lösungslinie ({autoPlayed} automatisch gespielt)",
+  "history.timedOut": "⏰ Bei Zeitablauf abgegeben",
+
+  "feedback.green": "richtig",
+  "feedback.yellow": "teilweise richtig",
+  "feedback.red": "falsch",
+  "feedback.invalid": "Ungültige Feedback-Daten.",
+  "reason.exact": "Richtiger Zug",
+  "reason.same-move":
+    "Richtiger Zug, nachdem die Sequenz von der Lösung abgewichen ist",
+  "reason.transposition":
+    "Richtig: eine andere Zugreihenfolge, die zur Lösungsstellung führt",
+  "reason.alternative-mate": "Richtig: ein anderes Matt",
+  "reason.wrong-promotion": "Richtiger Zug, falsche Umwandlungsfigur",
+  "reason.right-piece": "Richtige Figur, falsches Zielfeld",
+  "reason.right-destination": "Richtiges Zielfeld, andere Figur",
+  "reason.wrong-move": "Falscher Zug",
+  "reason.extra-move": "Die Lösung ist kürzer",
+  "reason.illegal-move": "Dieser Zug konnte nicht nachgespielt werden",
+  "reason.missing-move": "Fehlt: Die Lösung hat hier noch einen Zug",
+
+  "controls.reset": "Eingabe zurücksetzen",
+  "controls.undo": "Zurück",
+  "controls.undoTitle": "Letzten Zug zurücknehmen (Strg+Z)",
+  "controls.redo": "Wiederholen",
+  "controls.redoTitle": "Zug wiederholen (Strg+Umschalt+Z)",
+  "controls.submit": "Versuch {number} einreichen",
+  "controls.submitLast": "Letzten Versuch einreichen",
+  "controls.confirmSubmit": "Zum Einreichen erneut klicken",
+
+  "opponent.label": "Antworten des Gegners:",
+  "opponent.manual": "Ich spiele beide Seiten",
+  "opponent.auto": "Nach einem richtigen Zug automatisch",
+  "opponent.forgiving": "Immer automatisch (nachsichtig)",
+
+  "result.attempts_one": "{count} Versuch",
+  "result.attempts_other": "{count} Versuchen",
+  "result.hints_one": "{count} Hinweis",
+  "result.hints_other": "{count} Hinweisen",
+  "result.won": "Richtig! Gelöst in {attempts}! 🎉",
+  "result.wonWithHints":
+    "Richtig! Gelöst in {attempts} mit {hints} (Punktzahl {score})! 🎉",
+  "result.lost": "Spiel vorbei! Alle {maxAttempts} Versuche aufgebraucht.",
+  "result.solution": "Richtige Lösung:",
+  "result.finalMove": "Letzter Zug: {move}",
+
+  "share.idle": "Teilen",
+  "share.copied": "In die Zwischenablage kopiert!",
+  "share.error": "Kopieren fehlgeschlagen, bitte erneut versuchen",
+  "share.rating": "Wertung {rating}",
+  "share.finalMoveOnly": "nur letzter Zug",
+  "share.hardMode": "schwerer Modus",
+  "share.score": "Punktzahl {score}",
+
+  "countdown.nextPuzzle": "Nächstes Puzzle in {time}",
+  "countdown.ready": "Das neue Tagespuzzle ist da!",
+  "countdown.play": "Jetzt spielen",
+  "countdown.waiting":
+    "Das heutige Puzzle ist noch nicht da. Es lädt, sobald Lichess es veröffentlicht.",
+
+  "summary.title": "🏁 Spielübersicht",
+  "summary.close": "Spielübersicht schließen",
+  "summary.open": "Übersicht anzeigen",
+  "summary.attempts": "Benötigte Versuche: **{used}/{max}**",
+  "summary.themes": "Themen: {themes}",
+  "summary.lichess": "Dieses Puzzle auf Lichess öffnen",
+
+  "timer.notStarted": "⏱ {time}, ab deinem ersten Zug",
+  "timer.left": "⏱ noch {time}",
+  "timer.solveTime": "Lösungszeit: {time}",
+  "timer.timeUp": "Die Zeit ist um.",
+  "timer.outOfTime":
+    "Keine Zeit mehr. Die Lösung wird unter dem Brett nachgespielt.",
+
+  "replay.solution": "Lösung",
+  "replay.attempt": "Versuch {number}",
+  "replay.noMoves": "Keine legalen Züge zum Nachspielen",
+  "replay.first": "Ausgangsstellung",
+  "replay.previous": "Vorheriger Zug",
+  "replay.next": "Nächster Zug",
+  "replay.last": "Endstellung",
+  "replay.play": "Abspielen",
+  "replay.pause": "Pause",
+  "replay.playLabel": "Nachspielen starten",
+  "replay.pauseLabel": "Nachspielen anhalten",
+  "replay.status": "{line}: Zug {ply} von {total}",
+  "replay.readOnly": " · Das Brett kann nicht verändert werden",
+  "replay.back": "Zurück zu meinen Zügen",
+
+  "announce.move": "Zug {number}, {move}",
+  "announce.opponentMove": "Antwort des Gegners: Zug {number}, {move}",
+  "announce.finalMove": "Dein letzter Zug: {move}",
+  "announce.solved": "Gelöst!",
+  "announce.attemptsLeft_one": "Noch {count} Versuch.",
+  "announce.attemptsLeft_other": "Noch {count} Versuche.",
+  "announce.noAttemptsLeft":
+    "Keine Versuche mehr. Die Lösung wird unter dem Brett nachgespielt.",
+  "announce.readOnly":
+    "Das Brett zeigt eine Wiedergabe und kann nicht verändert werden.",
+  "announce.pickedUp": "{piece} auf {square} aufgenommen",
+  "announce.pickedUpSquare": "{square}, aufgenommen",
+  "announce.putBack": "Figur auf {square} zurückgestellt",
+  "announce.pickedFinalSquare": "{square} gewählt, jetzt das Zielfeld wählen",
+  "announce.letGo": "{square} losgelassen",
+  "announce.noPieceToMove": "{square}, keine Figur zum Ziehen",
+  "announce.illegalMove": "{from} nach {to} ist hier kein legaler Zug",
+
+  "a11y.piece": "{piece} ({color})",
+  "a11y.square": "{square}, {contents}",
+  "a11y.empty": "leer",
+  "a11y.attempt": "Versuch {number}: {moves}.",
+  "a11y.attemptMove": "{label}, {move}, {result}",
+  "a11y.move": "Zug {number}",
+  "a11y.finalMove": "letzter Zug",
+  "a11y.missing": "fehlt",
+  "a11y.unscored": "nicht bewertet",
+  "a11y.noMoves": "keine Züge",
+
+  "archive.title": "🗓️ Puzzle-Archiv",
+  "archive.close": "Puzzle-Archiv schließen",
+  "archive.intro":
+    "Einen Tag verpasst? Wähle ein Datum, an dem du Chessdle schon einmal geöffnet hattest, oder gib eine beliebige Lichess-Puzzle-ID ein, z. B. aus dem Link eines Teamkollegen. Jedes Puzzle behält seinen eigenen Fortschritt.",
+  "archive.dateLabel": "Puzzle-Datum",
+  "archive.playDate": "Datum spielen",
+  "archive.idPlaceholder": "Puzzle-ID, z. B. K69di",
+  "archive.idLabel": "Lichess-Puzzle-ID",
+  "archive.play": "ID spielen",
+  "archive.result.won": "🟩 Gelöst",
+  "archive.result.lost": "🟥 Verpasst",
+  "archive.result.unfinished": "Nicht beendet",
+
+  "packs.title": "📦 Puzzle-Pakete",
+  "packs.close": "Puzzle-Pakete schließen",
+  "packs.intro":
+    "Spiele deine eigene Puzzle-Sammlung, z. B. für ein Puzzle der Woche. Importiere eine CSV im Format der Lichess-Puzzle-Datenbank (PuzzleId, FEN, Moves, Rating, Themes, ...) oder ein JSON-Paket. Ein Import ersetzt das aktuelle Paket.",
+  "packs.import": "Datei importieren",
+  "packs.loadBundled": "„{name}“ laden",
+  "packs.noPuzzles": "Keine spielbaren Puzzles gefunden.",
+  "packs.noPuzzlesBecause": "Keine spielbaren Puzzles gefunden ({error}).",
+  "packs.saveFailed":
+    "Das Paket konnte in diesem Browser nicht gespeichert werden.",
+  "packs.imported_one": "{count} Puzzle importiert.",
+  "packs.imported_other": "{count} Puzzles importiert.",
+  "packs.importedSkipped_one":
+    "{count} Puzzle importiert, {skipped} übersprungen.",
+  "packs.importedSkipped_other":
+    "{count} Puzzles importiert, {skipped} übersprungen.",
+  "packs.readFailed": "{file} konnte nicht gelesen werden: {error}",
+  "packs.count_one": "{count} Puzzle",
+  "packs.count_other": "{count} Puzzles",
+  "packs.remove": "Paket entfernen",
+
+  "creator.title": "Puzzle erstellen",
+  "creator.step.setup": "1. Stelle die Ausgangsstellung auf.",
+  "creator.step.solution":
+    "2. Spiele die ganze Lösung, die Züge beider Seiten.",
+  "creator.step.share": "3. Teile den Link. Die Lösung ist darin versteckt.",
+  "creator.palette": "Zu setzende Figur",
+  "creator.place": "{piece} setzen",
+  "creator.erase": "Figuren entfernen",
+  "creator.paletteHelp":
+    "Wähle eine Figur und klicke auf Felder, um sie zu setzen. Ziehe Figuren, um sie zu bewegen, oder vom Brett, um sie zu entfernen.",
+  "creator.sideToMove": "Am Zug",
+  "creator.whiteToMove": "Weiß am Zug",
+  "creator.blackToMove": "Schwarz am Zug",
+  "creator.fenPlaceholder": "FEN einfügen",
+  "creator.fenLabel": "FEN der Ausgangsstellung",
+  "creator.loadFen": "FEN laden",
+  "creator.fenError": "Diese FEN konnte nicht geladen werden: {error}",
+  "creator.error.kings": "Jede Seite braucht genau einen König.",
+  "creator.error.pawnRank":
+    "Bauern können nicht auf der ersten oder letzten Reihe stehen.",
+  "creator.error.check":
+    "Die Seite, die nicht am Zug ist, darf nicht im Schach stehen.",
+  "creator.error.noMoves": "Die Seite am Zug hat keine legalen Züge.",
+  "creator.startingPosition": "Grundstellung",
+  "creator.clear": "Brett leeren",
+  "creator.next": "Weiter: Lösung spielen",
+  "creator.solution": "Lösung:",
+  "creator.solutionPlaceholder":
+    "Spiele die Züge auf dem Brett, {color} beginnt.",
+  "creator.backToSetup": "Zurück zum Aufstellen",
+  "creator.undo": "Zug zurücknehmen",
+  "creator.createLink": "Link erstellen",
+  "creator.linkLabel": "Puzzle-Link",
+  "creator.editSolution": "Lösung bearbeiten",
+  "creator.copy.idle": "Link kopieren",
+  "creator.copy.copied": "Kopiert!",
+  "creator.copy.error": "Kopieren fehlgeschlagen",
+  "creator.play": "Jetzt spielen",
+  "creator.back": "Zurück zum Spiel",
+
+  "footer.source": "Zum Quellcode!",
+  "footer.rules": "Chessdle-Regeln",
+  "footer.stats": "Statistik",
+  "footer.settings": "Einstellungen",
+  "footer.archive": "Puzzle-Archiv",
+  "footer.packs": "Puzzle-Pakete",
+  "footer.create": "Puzzle erstellen",
+
+  "rules.title": "♟️ Chessdle-Regeln",
+  "rules.close": "Regeln schließen",
+  "rules.intro":
+    "Chessdle zeigt dir das Lichess-Puzzle des Tages. Dein Ziel ist es, die **ganze Zugfolge** zu finden, die das Puzzle löst.",
+  "rules.feedback":
+    "**So funktioniert es:** Für jeden Zug deiner Zugfolge bekommst du eine Rückmeldung:",
+  "rules.green":
+    "**🟩 Grün:** Richtiger Zug! Du hast die richtige Figur auf das richtige Feld gezogen. Züge in anderer Reihenfolge, die zur selben Stellung führen, und ein anderer letzter Zug, der ebenfalls mattsetzt, zählen auch als richtig.",
+  "rules.yellow":
+    "**🟨 Gelb:** Teilweise richtig! ENTWEDER hast du die richtige Figur auf das falsche Feld gezogen, ODER eine andere Figur auf das richtige Feld, ODER du hast auf dem richtigen Feld umgewandelt, aber die falsche Figur gewählt.",
+  "rules.red": "**🟥 Rot:** Falsch.",
+  "rules.hover":
+    "Fahre mit der Maus über einen Zug in deinem Verlauf, um zu sehen, warum er seine Farbe bekommen hat.",
+  "rules.opponent":
+    "**Antworten des Gegners:** Die Lösung wechselt zwischen deinen Zügen und den erzwungenen Antworten deines Gegners. Standardmäßig spielst du beide Seiten, du kannst die Antworten aber auch automatisch spielen lassen: nach jedem richtigen Zug oder, in der nachsichtigen Variante, nach jedem Zug. Dann werden nur deine eigenen Züge bewertet.",
+  "rules.finalMove":
+    "**Nur letzter Zug:** Mutig? Wechsle zu „Nur letzter Zug“ und nenne nur den letzten Zug der Lösung, direkt aus der Ausgangsstellung, ohne die Züge davor zu spielen. Ziehe die Figur von ihrem jetzigen Feld, klicke zwei Felder an oder tippe den Zug ein. Er ist 🟩, wenn Figur und Zielfeld stimmen, und 🟨, wenn eines davon stimmt. Dieser Modus hat eigene Versuche und einen eigenen Fortschritt.",
+  "rules.guessing":
+    "**Raten:** Du hast {maxAttempts} Versuche, um die ganze Zugfolge richtig zu erraten.",
+  "rules.goodLuck": "Viel Glück!",
+
+  "stats.title": "📊 Statistik",
+  "stats.close": "Statistik schließen",
+  "stats.played": "Gespielt",
+  "stats.winPercentage": "Gewonnen %",
+  "stats.currentStreak": "Aktuelle Serie",
+  "stats.bestStreak": "Beste Serie",
+  "stats.hardModeWins": "Siege im schweren Modus: **{count}**",
+  "stats.distribution": "**Versuche bis zur Lösung:**",
+
+  "settings.title": "⚙️ Einstellungen",
+  "settings.close": "Einstellungen schließen",
+  "settings.display": "Darstellung",
+  "settings.board": "Brett",
+  "settings.game": "Spiel",
+  "settings.language": "Sprache",
+  "settings.moveNotation": "Zugnotation",
+  "settings.colorTheme": "Farbschema",
+  "settings.colorblindFeedback": "Farbenblind-freundliche Rückmeldung",
+  "settings.colorblindFeedbackDescription":
+    "Blaue und orange Rückmeldungsfarben mit ✓ ~ ✗, damit Ergebnisse nicht nur an der Farbe zu erkennen sind.",
+  "settings.boardTheme": "Brettfarben",
+  "settings.pieceSet": "Figuren",
+  "settings.animationSpeed": "Animationsgeschwindigkeit",
+  "settings.showCoordinates": "Koordinaten anzeigen",
+  "settings.showCoordinatesDescription":
+    "Linien und Reihen am Rand des Bretts.",
+  "settings.confirmBeforeSubmit": "Vor dem Einreichen bestätigen",
+  "settings.confirmBeforeSubmitDescription":
+    "Einreichen braucht einen zweiten Klick, damit kein Versuch aus Versehen abgeschickt wird.",
+  "settings.sounds": "Töne",
+  "settings.soundsDescription":
+    "Kurze Töne für Züge, abgelehnte Züge und Ergebnisse.",
+  "settings.hardMode": "Schwerer Modus",
+  "settings.hardModeDescription":
+    "Grüne Züge müssen an derselben Stelle wieder gespielt werden, und ein gelber Zug muss das richtige Feld behalten. Siege im schweren Modus werden in deiner Statistik getrennt gezählt.",
+  "settings.hardModeNextPuzzle":
+    "Der schwere Modus beginnt mit deinem nächsten Puzzle, da es bei diesem schon Versuche gibt (oder es im Modus „Nur letzter Zug“ gespielt wird).",
+  "settings.timer": "Zeitmodus",
+  "settings.timerDescription":
+    "Eine Uhr für jeden Versuch oder für das ganze Puzzle, gestartet mit deinem ersten Zug. Läuft sie ab, werden deine bisherigen Züge so abgegeben, wie sie sind.",
+  "settings.timerNextPuzzle":
+    "Die neue Uhr beginnt mit deinem nächsten Puzzle, da dieses schon läuft (oder im Modus „Nur letzter Zug“ gespielt wird).",
+
+  "settings.option.language.auto": "Wie mein Gerät",
+  "settings.option.moveNotation.letters": "Buchstaben (Sf3)",
+  "settings.option.moveNotation.figurines": "Figurinen (♘f3)",
+  "settings.option.colorTheme.system": "Wie mein Gerät",
+  "settings.option.colorTheme.dark": "Dunkel",
+  "settings.option.colorTheme.light": "Hell",
+  "settings.option.colorTheme.high-contrast": "Hoher Kontrast",
+  "settings.option.boardTheme.green": "Chessdle-Grün",
+  "settings.option.boardTheme.wood": "Holz",
+  "settings.option.boardTheme.blue": "Blau",
+  "settings.option.boardTheme.gray": "Grau",
+  "settings.option.pieceSet.standard": "Standard",
+  "settings.option.pieceSet.glyphs": "Symbole",
+  "settings.option.pieceSet.letters": "Buchstaben",
+  "settings.option.animationSpeed.off": "Aus",
+  "settings.option.animationSpeed.fast": "Schnell",
+  "settings.option.animationSpeed.normal": "Normal",
+  "settings.option.animationSpeed.slow": "Langsam",
+  "settings.option.timer.off": "Aus",
+  "settings.option.timer.attempt30": "30 Sekunden pro Versuch",
+  "settings.option.timer.attempt60": "1 Minute pro Versuch",
+  "settings.option.timer.puzzle180": "3 Minuten pro Puzzle",
+  "settings.option.timer.puzzle300": "5 Minuten pro Puzzle",
+
+  "theme.advancedPawn": "Vorgerückter Bauer",
+  "theme.advantage": "Vorteil",
+  "theme.anastasiaMate": "Anastasias Matt",
+  "theme.arabianMate": "Arabisches Matt",
+  "theme.attackingF2F7": "Angriff auf f2 oder f7",
+  "theme.attraction": "Hinlenkung",
+  "theme.backRankMate": "Grundreihenmatt",
+  "theme.bishopEndgame": "Läuferendspiel",
+  "theme.bodenMate": "Bodens Matt",
+  "theme.capturingDefender": "Schlagen des Verteidigers",
+  "theme.castling": "Rochade",
+  "theme.clearance": "Räumung",
+  "theme.crushing": "Vernichtend",
+  "theme.defensiveMove": "Verteidigungszug",
+  "theme.deflection": "Ablenkung",
+  "theme.discoveredAttack": "Abzugsangriff",
+  "theme.doubleBishopMate": "Läuferpaarmatt",
+  "theme.doubleCheck": "Doppelschach",
+  "theme.dovetailMate": "Schwalbenschwanzmatt",
+  "theme.enPassant": "En passant",
+  "theme.endgame": "Endspiel",
+  "theme.equality": "Ausgleich",
+  "theme.exposedKing": "Ungeschützter König",
+  "theme.fork": "Gabel",
+  "theme.hangingPiece": "Hängende Figur",
+  "theme.healthyMix": "Gesunde Mischung",
+  "theme.hookMate": "Hakenmatt",
+  "theme.interference": "Unterbrechung",
+  "theme.intermezzo": "Zwischenzug",
+  "theme.killBoxMate": "Kill-Box-Matt",
+  "theme.kingsideAttack": "Angriff am Königsflügel",
+  "theme.knightEndgame": "Springerendspiel",
+  "theme.long": "Langes Puzzle",
+  "theme.master": "Meisterpartien",
+  "theme.masterVsMaster": "Partien zwischen Meistern",
+  "theme.mate": "Matt",
+  "theme.mateIn1": "Matt in 1",
+  "theme.mateIn2": "Matt in 2",
+  "theme.mateIn3": "Matt in 3",
+  "theme.mateIn4": "Matt in 4",
+  "theme.mateIn5": "Matt in 5 oder mehr",
+  "theme.middlegame": "Mittelspiel",
+  "theme.oneMove": "Einzügiges Puzzle",
+  "theme.opening": "Eröffnung",
+  "theme.pawnEndgame": "Bauernendspiel",
+  "theme.pin": "Fesselung",
+  "theme.promotion": "Umwandlung",
+  "theme.queenEndgame": "Damenendspiel",
+  "theme.queenRookEndgame": "Dame und Turm",
+  "theme.queensideAttack": "Angriff am Damenflügel",
+  "theme.quietMove": "Stiller Zug",
+  "theme.rookEndgame": "Turmendspiel",
+  "theme.sacrifice": "Opfer",
+  "theme.short": "Kurzes Puzzle",
+  "theme.skewer": "Spieß",
+  "theme.smotheredMate": "Ersticktes Matt",
+  "theme.superGM": "Super-GM-Partien",
+  "theme.trappedPiece": "Gefangene Figur",
+  "theme.underPromotion": "Unterverwandlung",
+  "theme.veryLong": "Sehr langes Puzzle",
+  "theme.vukovicMate": "Vuković-Matt",
+  "theme.xRayAttack": "Röntgenangriff",
+  "theme.zugzwang": "Zugzwang",
+};
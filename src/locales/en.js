@@ -0,0 +1,433 @@
+// --- English Messages ---
+// The reference catalog: other locales fall back to it. "**text**" is shown
+// in bold, "{name}" is a placeholder, and "_one"/"_other" keys are picked by
+// the `count` param. English setting option labels stay with their options
+// in settings.js; other locales translate them as "settings.option.*".
+
+export const en = {
+  "app.loading": "Loading Daily Puzzle...",
+  "app.waiting": "Waiting for puzzle data...",
+  "app.error": "Error:",
+  "app.title": "Chessdle!",
+  "app.tagline": "Lichess' puzzle of the day, but puzzle-fied.",
+  "app.taglineGoal": "Guess the whole sequence!",
+  "app.createPuzzle": "Create a puzzle",
+  "app.loadFailed.daily":
+    "Failed to load daily puzzle: {reason}. Please try refreshing.",
+  "app.loadFailed.custom":
+    "Failed to load custom puzzle: {reason}. Please try refreshing.",
+  "app.loadFailed.archive":
+    "Failed to load archive puzzle: {reason}. Please try refreshing.",
+  "app.unknownError": "An unknown error occurred",
+  "app.brokenCustomLink":
+    "This custom puzzle link is broken or incomplete. Ask whoever shared it for the full link",
+  "app.offlineNotCached": "You're offline and this puzzle isn't cached yet",
+  "app.noDailyForDate":
+    "No daily puzzle is recorded for {date} in this browser. Only days this browser loaded the daily puzzle can be played by date, so ask a teammate for the puzzle id or link instead",
+  "app.invalidSolution": "Internal error: Invalid solution data received.",
+
+  "offline.unreachable": "Couldn't reach Lichess, showing the cached puzzle.",
+  "offline.offline": "You're offline, showing the cached puzzle.",
+  "offline.progressSaved": "Your progress is still saved on this device.",
+
+  "selection.custom": "Custom puzzle",
+  "selection.archive": "Archive puzzle #{id}",
+  "selection.pack": "Pack puzzle #{id}",
+  "selection.fromPack": " from {name}",
+  "selection.fromDate": " from {date}",
+  "selection.backToToday": "Back to today's puzzle",
+
+  "info.rating": "Rating: {rating}",
+  "info.attempt":
+    "Attempt {attempt} of {maxAttempts}. Find the {length}-move solution. ",
+  "info.attemptFinal":
+    "Attempt {attempt} of {maxAttempts}. Name only the final move of the {length}-move solution. ",
+  "info.toMove.white": "white to move",
+  "info.toMove.black": "black to move",
+  "info.hardMode": "Hard mode",
+
+  "mode.group": "Game mode",
+  "mode.standard": "Full sequence",
+  "mode.final": "Final move only",
+
+  "board.label":
+    "Chess board, {color} at the bottom. Use the arrow keys to move between squares, Enter to pick up and drop a piece, and Escape to put it back.",
+  "color.white": "white",
+  "color.black": "black",
+  "piece.p": "pawn",
+  "piece.n": "knight",
+  "piece.b": "bishop",
+  "piece.r": "rook",
+  "piece.q": "queen",
+  "piece.k": "king",
+
+  "sequence.label": "Current sequence ({count}/{total} moves):",
+  "sequence.placeholder": "Drag pieces or type moves",
+  "sequence.autoPlayed": "Opponent reply, played automatically",
+  "sequence.finalLabel": "Your final move:",
+  "sequence.finalPlaceholder": "Drag a piece, click two squares or type a move",
+  "sequence.pickedSquare": "From {square}, now click the destination",
+  "sequence.gameOver": "Game Over",
+
+  "notation.placeholder": "Type a move, e.g. Nf3 or g1f3",
+  "notation.label": "Type a move in SAN or UCI notation",
+  "notation.help":
+    "Enter adds a move · Enter on an empty box submits · Backspace on an empty box undoes",
+  "notation.gameOver": "The game is over.",
+  "notation.notAMove": '"{notation}" isn\'t a move.',
+  "notation.replyPending": "Wait for the opponent's reply.",
+  "notation.sequenceComplete":
+    "Your sequence is already complete. Press Enter to submit it.",
+  "notation.illegalMove": '"{notation}" isn\'t a legal move here.',
+
+  "hints.firstPiece": "First piece",
+  "hints.themes": "Themes",
+  "hints.nextDestination": "Next destination",
+  "hints.destinationOf": "Destination of move {move}",
+  "hints.taken_one": "{count} hint taken: +{penalty} to your score",
+  "hints.taken_other": "{count} hints taken: +{penalty} to your score",
+  "hints.note":
+    "Hints: each one adds {penalty} to your score, like an extra attempt",
+  "hints.describe.firstPiece":
+    "The first move is made by the {piece} on {square}",
+  "hints.describe.themes": "Themes: {themes}",
+  "hints.describe.nextDestination": "Move {move} lands on {square}",
+
+  "hardMode.exact":
+    "Hard mode: Move {move} must be {san}, which was green (attempt {attempt}).",
+  "hardMode.from":
+    "Hard mode: Move {move} must move the piece from {from}, which was right (attempt {attempt}).",
+  "hardMode.to":
+    "Hard mode: Move {move} must land on {to}, which was right (attempt {attempt}).",
+  "hardMode.squares":
+    "Hard mode: Move {move} must go from {from} to {to}, which were right (attempt {attempt}).",
+  "hardMode.fromOrTo":
+    "Hard mode: Move {move} must keep {from} or {to} from {san}, which was yellow (attempt {attempt}).",
+  "hardMode.missingExact":
+    "Hard mode: Your sequence must include move {move}, {san}, which was green (attempt {attempt}).",
+  "hardMode.missingYellow":
+    "Hard mode: Your sequence must reach move {move}, which was yellow (attempt {attempt}).",
+
+  "history.attempt": "Attempt {number}:",
+  "history.replay": "Replay this attempt on the board",
+  "history.opponentReplies":
+    "Opponent replies: {correct}/{total} on the solution line ({autoPlayed} auto-played)",
+  "history.timedOut": "⏰ Submitted when the time ran out",
+
+  "feedback.green": "correct",
+  "feedback.yellow": "partially correct",
+  "feedback.red": "incorrect",
+  "feedback.invalid": "Invalid feedback data provided.",
+  "reason.exact": "Correct move",
+  "reason.same-move": "Correct move, played after the line left the solution",
+  "reason.transposition":
+    "Correct: a different move order that reaches the solution position",
+  "reason.alternative-mate": "Correct: a different checkmate",
+  "reason.wrong-promotion": "Right move, wrong promotion piece",
+  "reason.right-piece": "Right piece, wrong destination",
+  "reason.right-destination": "Right destination, different piece",
+  "reason.wrong-move": "Incorrect move",
+  "reason.extra-move": "The solution is shorter than this",
+  "reason.illegal-move": "This move could not be replayed",
+  "reason.missing-move": "Missing: the solution has a move here",
+
+  "controls.reset": "Reset Input",
+  "controls.undo": "Undo",
+  "controls.undoTitle": "Undo last move (Ctrl+Z)",
+  "controls.redo": "Redo",
+  "controls.redoTitle": "Redo move (Ctrl+Shift+Z)",
+  "controls.submit": "Submit Attempt {number}",
+  "controls.submitLast": "Submit Last Attempt",
+  "controls.confirmSubmit": "Click again to submit",
+
+  "opponent.label": "Opponent replies:",
+  "opponent.manual": "I play both sides",
+  "opponent.auto": "Auto-play after a correct move",
+  "opponent.forgiving": "Always auto-play (forgiving)",
+
+  "result.attempts_one": "{count} attempt",
+  "result.attempts_other": "{count} attempts",
+  "result.hints_one": "{count} hint",
+  "result.hints_other": "{count} hints",
+  "result.won": "Correct! You solved it in {attempts}! 🎉",
+  "result.wonWithHints":
+    "Correct! You solved it in {attempts} with {hints} (score {score})! 🎉",
+  "result.lost": "Game Over! Max attempts ({maxAttempts}) reached.",
+  "result.solution": "Correct Solution:",
+  "result.finalMove": "Final move: {move}",
+
+  "share.idle": "Share",
+  "share.copied": "Copied to clipboard!",
+  "share.error": "Couldn't copy, try again",
+  "share.rating": "rating {rating}",
+  "share.finalMoveOnly": "final move only",
+  "share.hardMode": "hard mode",
+  "share.score": "score {score}",
+
+  "countdown.nextPuzzle": "Next puzzle in {time}",
+  "countdown.ready": "A new daily puzzle is out!",
+  "countdown.play": "Play it",
+  "countdown.waiting":
+    "Today's puzzle isn't out yet. It loads as soon as Lichess publishes it.",
+
+  "summary.title": "🏁 Game Summary",
+  "summary.close": "Close game summary",
+  "summary.open": "Show summary",
+  "summary.attempts": "Attempts used: **{used}/{max}**",
+  "summary.themes": "Themes: {themes}",
+  "summary.lichess": "Open this puzzle on Lichess",
+
+  "timer.notStarted": "⏱ {time}, starting with your first move",
+  "timer.left": "⏱ {time} left",
+  "timer.solveTime": "Solve time: {time}",
+  "timer.timeUp": "Time's up.",
+  "timer.outOfTime": "Out of time. The solution replay is below the board.",
+
+  "replay.solution": "Solution",
+  "replay.attempt": "Attempt {number}",
+  "replay.noMoves": "No legal moves to replay",
+  "replay.first": "First position",
+  "replay.previous": "Previous move",
+  "replay.next": "Next move",
+  "replay.last": "Last position",
+  "replay.play": "Play",
+  "replay.pause": "Pause",
+  "replay.playLabel": "Play replay",
+  "replay.pauseLabel": "Pause replay",
+  "replay.status": "{line}: move {ply} of {total}",
+  "replay.readOnly": " · The board is read-only",
+  "replay.back": "Back to my moves",
+
+  "announce.move": "Move {number}, {move}",
+  "announce.opponentMove": "Opponent reply: move {number}, {move}",
+  "announce.finalMove": "Your final move: {move}",
+  "announce.solved": "Solved!",
+  "announce.attemptsLeft_one": "{count} attempt left.",
+  "announce.attemptsLeft_other": "{count} attempts left.",
+  "announce.noAttemptsLeft":
+    "No attempts left. The solution replay is below the board.",
+  "announce.readOnly": "The board is showing a replay and can't be changed.",
+  "announce.pickedUp": "Picked up the {piece} on {square}",
+  "announce.pickedUpSquare": "{square}, picked up",
+  "announce.putBack": "Put back the piece on {square}",
+  "announce.pickedFinalSquare":
+    "Picked {square}, now pick the destination square",
+  "announce.letGo": "Let go of {square}",
+  "announce.noPieceToMove": "{square}, no piece to move",
+  "announce.illegalMove": "{from} to {to} isn't a legal move here",
+
+  "a11y.piece": "{color} {piece}",
+  "a11y.square": "{square}, {contents}",
+  "a11y.empty": "empty",
+  "a11y.attempt": "Attempt {number}: {moves}.",
+  "a11y.attemptMove": "{label}, {move}, {result}",
+  "a11y.move": "move {number}",
+  "a11y.finalMove": "final move",
+  "a11y.missing": "missing",
+  "a11y.unscored": "unscored",
+  "a11y.noMoves": "no moves",
+
+  "archive.title": "🗓️ Puzzle Archive",
+  "archive.close": "Close puzzle archive modal",
+  "archive.intro":
+    "Missed a day? Pick a date you've had Chessdle open before, or enter any Lichess puzzle id, e.g. from a teammate's link. Each puzzle keeps its own progress.",
+  "archive.dateLabel": "Puzzle date",
+  "archive.playDate": "Play date",
+  "archive.idPlaceholder": "Puzzle id, e.g. K69di",
+  "archive.idLabel": "Lichess puzzle id",
+  "archive.play": "Play id",
+  "archive.result.won": "🟩 Solved",
+  "archive.result.lost": "🟥 Missed",
+  "archive.result.unfinished": "Not finished",
+
+  "packs.title": "📦 Puzzle Packs",
+  "packs.close": "Close puzzle packs modal",
+  "packs.intro":
+    "Play your own set of puzzles, e.g. for a puzzle of the week. Import a CSV in the Lichess puzzle database format (PuzzleId, FEN, Moves, Rating, Themes, ...) or a JSON pack. Importing replaces the current pack.",
+  "packs.import": "Import file",
+  "packs.loadBundled": 'Load "{name}"',
+  "packs.noPuzzles": "No playable puzzles found.",
+  "packs.noPuzzlesBecause": "No playable puzzles found ({error}).",
+  "packs.saveFailed": "Couldn't save the pack in this browser.",
+  "packs.imported_one": "Imported {count} puzzle.",
+  "packs.imported_other": "Imported {count} puzzles.",
+  "packs.importedSkipped_one": "Imported {count} puzzle, skipped {skipped}.",
+  "packs.importedSkipped_other": "Imported {count} puzzles, skipped {skipped}.",
+  "packs.readFailed": "Couldn't read {file}: {error}",
+  "packs.count_one": "{count} puzzle",
+  "packs.count_other": "{count} puzzles",
+  "packs.remove": "Remove pack",
+
+  "creator.title": "Create a Puzzle",
+  "creator.step.setup": "1. Set up the starting position.",
+  "creator.step.solution": "2. Play the full solution, both sides' moves.",
+  "creator.step.share": "3. Share the link. The solution is hidden in it.",
+  "creator.palette": "Piece to place",
+  "creator.place": "Place {piece}",
+  "creator.erase": "Remove pieces",
+  "creator.paletteHelp":
+    "Pick a piece, then click squares to place it. Drag pieces to move them, or off the board to remove them.",
+  "creator.sideToMove": "Side to move",
+  "creator.whiteToMove": "White to move",
+  "creator.blackToMove": "Black to move",
+  "creator.fenPlaceholder": "Paste a FEN",
+  "creator.fenLabel": "Starting position FEN",
+  "creator.loadFen": "Load FEN",
+  "creator.fenError": "Couldn't load that FEN: {error}",
+  "creator.error.kings": "Each side needs exactly one king.",
+  "creator.error.pawnRank": "Pawns can't stand on the first or last rank.",
+  "creator.error.check": "The side not to move can't be in check.",
+  "creator.error.noMoves": "The side to move has no legal moves.",
+  "creator.startingPosition": "Starting position",
+  "creator.clear": "Clear board",
+  "creator.next": "Next: play the solution",
+  "creator.solution": "Solution:",
+  "creator.solutionPlaceholder":
+    "Make the moves on the board, starting with {color}.",
+  "creator.backToSetup": "Back to setup",
+  "creator.undo": "Undo move",
+  "creator.createLink": "Create link",
+  "creator.linkLabel": "Puzzle link",
+  "creator.editSolution": "Edit solution",
+  "creator.copy.idle": "Copy link",
+  "creator.copy.copied": "Copied!",
+  "creator.copy.error": "Couldn't copy",
+  "creator.play": "Play it",
+  "creator.back": "Back to the game",
+
+  "footer.source": "Check out the source code!",
+  "footer.rules": "Chessdle Rules",
+  "footer.stats": "Statistics",
+  "footer.settings": "Settings",
+  "footer.archive": "Puzzle Archive",
+  "footer.packs": "Puzzle Packs",
+  "footer.create": "Create a Puzzle",
+
+  "rules.title": "♟️ Chessdle Rules",
+  "rules.close": "Close how it works modal",
+  "rules.intro":
+    "Chessdle presents you with the Lichess Puzzle of the Day. Your goal is to figure out the **entire sequence of moves** that solves the puzzle.",
+  "rules.feedback":
+    "**How it works:** You receive feedback for each move in your sequence:",
+  "rules.green":
+    "**🟩 Green:** Correct move! You moved the correct piece to the correct destination. Moves played in a different order that reach the same position, and a different final move that also delivers mate, count as correct too.",
+  "rules.yellow":
+    "**🟨 Yellow:** Partially correct! EITHER you moved the correct piece to the wrong destination, OR you moved a different piece but landed on the correct destination, OR you promoted on the right square but picked the wrong piece.",
+  "rules.red": "**🟥 Red:** Incorrect.",
+  "rules.hover":
+    "Hover over a move in your history to see why it got its color.",
+  "rules.opponent":
+    "**Opponent replies:** The solution alternates between your moves and your opponent's forced replies. By default you play both sides, but you can let the game play the replies for you: after each correct move, or after any move in the forgiving variant. Then only your own moves are scored.",
+  "rules.finalMove":
+    '**Final move only:** Feeling brave? Switch to "Final move only" and name just the last move of the solution, straight from the starting position, without playing the moves before it. Drag the piece from where it stands now, click two squares, or type the move. It\'s 🟩 if you get the piece and its destination right, and 🟨 if you get one of them. This mode has its own attempts and progress.',
+  "rules.guessing":
+    "**Guessing:** You have {maxAttempts} attempts to guess the entire sequence correctly.",
+  "rules.goodLuck": "Good luck!",
+
+  "stats.title": "📊 Statistics",
+  "stats.close": "Close statistics modal",
+  "stats.played": "Played",
+  "stats.winPercentage": "Win %",
+  "stats.currentStreak": "Current Streak",
+  "stats.bestStreak": "Best Streak",
+  "stats.hardModeWins": "Hard mode wins: **{count}**",
+  "stats.distribution": "**Attempts to solve:**",
+
+  "settings.title": "⚙️ Settings",
+  "settings.close": "Close settings modal",
+  "settings.display": "Display",
+  "settings.board": "Board",
+  "settings.game": "Game",
+  "settings.language": "Language",
+  "settings.moveNotation": "Move notation",
+  "settings.colorTheme": "Color theme",
+  "settings.colorblindFeedback": "Colorblind-friendly feedback",
+  "settings.colorblindFeedbackDescription":
+    "Blue and orange feedback colors, with ✓ ~ ✗ marks so results don't rely on color alone.",
+  "settings.boardTheme": "Board theme",
+  "settings.pieceSet": "Pieces",
+  "settings.animationSpeed": "Animation speed",
+  "settings.showCoordinates": "Show coordinates",
+  "settings.showCoordinatesDescription":
+    "Files and ranks along the edges of the board.",
+  "settings.confirmBeforeSubmit": "Confirm before submitting",
+  "settings.confirmBeforeSubmitDescription":
+    "Submitting takes a second click, so an attempt isn't sent by accident.",
+  "settings.sounds": "Sounds",
+  "settings.soundsDescription":
+    "Short tones for moves, rejected moves and results.",
+  "settings.hardMode": "Hard mode",
+  "settings.hardModeDescription":
+    "Moves that came back green must be played again at the same step, and a yellow move must keep the square that was right. Hard mode wins are counted separately in your statistics.",
+  "settings.hardModeNextPuzzle":
+    'Hard mode starts with your next puzzle, since this one already has attempts (or is played in "final move only" mode).',
+  "settings.timer": "Timed mode",
+  "settings.timerDescription":
+    "A clock for each attempt or for the whole puzzle, started by your first move. When it runs out, your moves so far are submitted as they are.",
+  "settings.timerNextPuzzle":
+    'The new clock starts with your next puzzle, since this one is already under way (or is played in "final move only" mode).',
+
+  "theme.advancedPawn": "Advanced pawn",
+  "theme.advantage": "Advantage",
+  "theme.anastasiaMate": "Anastasia's mate",
+  "theme.arabianMate": "Arabian mate",
+  "theme.attackingF2F7": "Attacking f2 or f7",
+  "theme.attraction": "Attraction",
+  "theme.backRankMate": "Back rank mate",
+  "theme.bishopEndgame": "Bishop endgame",
+  "theme.bodenMate": "Boden's mate",
+  "theme.capturingDefender": "Capture the defender",
+  "theme.castling": "Castling",
+  "theme.clearance": "Clearance",
+  "theme.crushing": "Crushing",
+  "theme.defensiveMove": "Defensive move",
+  "theme.deflection": "Deflection",
+  "theme.discoveredAttack": "Discovered attack",
+  "theme.doubleBishopMate": "Double bishop mate",
+  "theme.doubleCheck": "Double check",
+  "theme.dovetailMate": "Dovetail mate",
+  "theme.enPassant": "En passant",
+  "theme.endgame": "Endgame",
+  "theme.equality": "Equality",
+  "theme.exposedKing": "Exposed king",
+  "theme.fork": "Fork",
+  "theme.hangingPiece": "Hanging piece",
+  "theme.healthyMix": "Healthy mix",
+  "theme.hookMate": "Hook mate",
+  "theme.interference": "Interference",
+  "theme.intermezzo": "Intermezzo",
+  "theme.killBoxMate": "Kill box mate",
+  "theme.kingsideAttack": "Kingside attack",
+  "theme.knightEndgame": "Knight endgame",
+  "theme.long": "Long puzzle",
+  "theme.master": "Master games",
+  "theme.masterVsMaster": "Master vs Master games",
+  "theme.mate": "Checkmate",
+  "theme.mateIn1": "Mate in 1",
+  "theme.mateIn2": "Mate in 2",
+  "theme.mateIn3": "Mate in 3",
+  "theme.mateIn4": "Mate in 4",
+  "theme.mateIn5": "Mate in 5 or more",
+  "theme.middlegame": "Middlegame",
+  "theme.oneMove": "One-move puzzle",
+  "theme.opening": "Opening",
+  "theme.pawnEndgame": "Pawn endgame",
+  "theme.pin": "Pin",
+  "theme.promotion": "Promotion",
+  "theme.queenEndgame": "Queen endgame",
+  "theme.queenRookEndgame": "Queen and rook",
+  "theme.queensideAttack": "Queenside attack",
+  "theme.quietMove": "Quiet move",
+  "theme.rookEndgame": "Rook endgame",
+  "theme.sacrifice": "Sacrifice",
+  "theme.short": "Short puzzle",
+  "theme.skewer": "Skewer",
+  "theme.smotheredMate": "Smothered mate",
+  "theme.superGM": "Super GM games",
+  "theme.trappedPiece": "Trapped piece",
+  "theme.underPromotion": "Underpromotion",
+  "theme.veryLong": "Very long puzzle",
+  "theme.vukovicMate": "Vukovic mate",
+  "theme.xRayAttack": "X-ray attack",
+  "theme.zugzwang": "Zugzwang",
+};
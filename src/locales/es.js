@@ -0,0 +1,469 @@
+// --- Spanish Messages ---
+// Keys missing here fall back to the English catalog.
+
+export const es = {
+  "app.loading": "Cargando el puzzle del día...",
+  "app.waiting": "Esperando los datos del puzzle...",
+  "app.error": "Error:",
+  "app.title": "¡Chessdle!",
+  "app.tagline": "El puzzle del día de Lichess, convertido en acertijo.",
+  "app.taglineGoal": "¡Adivina la secuencia completa!",
+  "app.createPuzzle": "Crear un puzzle",
+  "app.loadFailed.daily":
+    "No se pudo cargar el puzzle del día: {reason}. Prueba a recargar la página.",
+  "app.loadFailed.custom":
+    "No se pudo cargar el puzzle personalizado: {reason}. Prueba a recargar la página.",
+  "app.loadFailed.archive":
+    "No se pudo cargar el puzzle del archivo: {reason}. Prueba a recargar la página.",
+  "app.unknownError": "Se produjo un error desconocido",
+  "app.brokenCustomLink":
+    "Este enlace de puzzle está roto o incompleto. Pide el enlace completo a quien lo compartió",
+  "app.offlineNotCached":
+    "Estás sin conexión y este puzzle aún no está guardado",
+  "app.noDailyForDate":
+    "Este navegador no tiene guardado ningún puzzle del día para el {date}. Solo se pueden jugar por fecha los días en que este navegador cargó el puzzle del día, así que pide a un compañero el id del puzzle o el enlace",
+  "app.invalidSolution":
+    "Error interno: se recibieron datos de solución no válidos.",
+
+  "offline.unreachable":
+    "No se pudo conectar con Lichess; se muestra el puzzle guardado.",
+  "offline.offline": "Estás sin conexión; se muestra el puzzle guardado.",
+  "offline.progressSaved":
+    "Tu progreso se sigue guardando en este dispositivo.",
+
+  "selection.custom": "Puzzle personalizado",
+  "selection.archive": "Puzzle del archivo #{id}",
+  "selection.pack": "Puzzle del paquete #{id}",
+  "selection.fromPack": " de {name}",
+  "selection.fromDate": " del {date}",
+  "selection.backToToday": "Volver al puzzle de hoy",
+
+  "info.rating": "Nivel: {rating}",
+  "info.attempt_one":
+    "Intento {attempt} de {maxAttempts}. Encuentra la solución de {length} jugada. ",
+  "info.attempt_other":
+    "Intento {attempt} de {maxAttempts}. Encuentra la solución de {length} jugadas. ",
+  "info.attemptFinal_one":
+    "Intento {attempt} de {maxAttempts}. Indica la jugada de la solución de {length} jugada. ",
+  "info.attemptFinal_other":
+    "Intento {attempt} de {maxAttempts}. Indica solo la última jugada de la solución de {length} jugadas. ",
+  "info.toMove.white": "juegan las blancas",
+  "info.toMove.black": "juegan las negras",
+  "info.hardMode": "Modo difícil",
+
+  "mode.group": "Modo de juego",
+  "mode.standard": "Secuencia completa",
+  "mode.final": "Solo la última jugada",
+
+  "board.label":
+    "Tablero de ajedrez, {color} abajo. Usa las flechas para moverte entre casillas, Enter para levantar y soltar una pieza y Escape para devolverla.",
+  "color.white": "blancas",
+  "color.black": "negras",
+  "piece.p": "peón",
+  "piece.n": "caballo",
+  "piece.b": "alfil",
+  "piece.r": "torre",
+  "piece.q": "dama",
+  "piece.k": "rey",
+
+  "sequence.label": "Secuencia actual ({count}/{total} jugadas):",
+  "sequence.placeholder": "Arrastra piezas o escribe jugadas",
+  "sequence.autoPlayed": "Respuesta del rival, jugada automáticamente",
+  "sequence.finalLabel": "Tu última jugada:",
+  "sequence.finalPlaceholder":
+    "Arrastra una pieza, haz clic en dos casillas o escribe una jugada",
+  "sequence.pickedSquare": "Desde {square}, ahora haz clic en el destino",
+  "sequence.gameOver": "Fin de la partida",
+
+  "notation.placeholder": "Escribe una jugada, p. ej. Nf3 o g1f3",
+  "notation.label":
+    "Escribe una jugada en notación SAN (con las letras inglesas de las piezas) o UCI",
+  "notation.help":
+    "Enter añade una jugada · Enter con la casilla vacía envía · Retroceso con la casilla vacía deshace",
+  "notation.gameOver": "La partida ha terminado.",
+  "notation.notAMove": "«{notation}» no es una jugada.",
+  "notation.replyPending": "Espera la respuesta del rival.",
+  "notation.sequenceComplete":
+    "Tu secuencia ya está completa. Pulsa Enter para enviarla.",
+  "notation.illegalMove": "«{notation}» no es una jugada legal aquí.",
+
+  "hints.firstPiece": "Primera pieza",
+  "hints.themes": "Temas",
+  "hints.nextDestination": "Siguiente destino",
+  "hints.destinationOf": "Destino de la jugada {move}",
+  "hints.taken_one": "{count} pista usada: +{penalty} a tu puntuación",
+  "hints.taken_other": "{count} pistas usadas: +{penalty} a tu puntuación",
+  "hints.note":
+    "Pistas: cada una suma {penalty} a tu puntuación, como un intento más",
+  "hints.describe.firstPiece":
+    "La primera jugada la hace la pieza de {square}: {piece}",
+  "hints.describe.themes": "Temas: {themes}",
+  "hints.describe.nextDestination": "La jugada {move} termina en {square}",
+
+  "hardMode.exact":
+    "Modo difícil: la jugada {move} debe ser {san}, que fue verde (intento {attempt}).",
+  "hardMode.from":
+    "Modo difícil: la jugada {move} debe mover la pieza de {from}, que era correcta (intento {attempt}).",
+  "hardMode.to":
+    "Modo difícil: la jugada {move} debe terminar en {to}, que era correcta (intento {attempt}).",
+  "hardMode.squares":
+    "Modo difícil: la jugada {move} debe ir de {from} a {to}, que eran correctas (intento {attempt}).",
+  "hardMode.fromOrTo":
+    "Modo difícil: la jugada {move} debe mantener {from} o {to} de {san}, que fue amarilla (intento {attempt}).",
+  "hardMode.missingExact":
+    "Modo difícil: tu secuencia debe incluir la jugada {move}, {san}, que fue verde (intento {attempt}).",
+  "hardMode.missingYellow":
+    "Modo difícil: tu secuencia debe llegar a la jugada {move}, que fue amarilla (intento {attempt}).",
+
+  "history.attempt": "Intento {number}:",
+  "history.replay": "Reproducir este intento en el tablero",
+  "history.opponentReplies":
+    "Respuestas del rival: {correct}/{total} en la línea de la solución ({autoPlayed} automáticas)",
+  "history.timedOut": "⏰ Enviado al acabarse el tiempo",
+
+  "feedback.green": "correcta",
+  "feedback.yellow": "parcialmente correcta",
+  "feedback.red": "incorrecta",
+  "feedback.invalid": "Datos de feedback no válidos.",
+  "reason.exact": "Jugada correcta",
+  "reason.same-move":
+    "Jugada correcta, después de que la secuencia se apartara de la solución",
+  "reason.transposition":
+    "Correcta: otro orden de jugadas que llega a la posición de la solución",
+  "reason.alternative-mate": "Correcta: otro jaque mate",
+  "reason.wrong-promotion": "Jugada correcta, pieza de coronación equivocada",
+  "reason.right-piece": "Pieza correcta, destino equivocado",
+  "reason.right-destination": "Destino correcto, otra pieza",
+  "reason.wrong-move": "Jugada incorrecta",
+  "reason.extra-move": "La solución es más corta",
+  "reason.illegal-move": "Esta jugada no se pudo reproducir",
+  "reason.missing-move": "Falta: la solución tiene una jugada aquí",
+
+  "controls.reset": "Borrar entrada",
+  "controls.undo": "Deshacer",
+  "controls.undoTitle": "Deshacer la última jugada (Ctrl+Z)",
+  "controls.redo": "Rehacer",
+  "controls.redoTitle": "Rehacer jugada (Ctrl+Mayús+Z)",
+  "controls.submit": "Enviar intento {number}",
+  "controls.submitLast": "Enviar último intento",
+  "controls.confirmSubmit": "Haz clic otra vez para enviar",
+
+  "opponent.label": "Respuestas del rival:",
+  "opponent.manual": "Juego con los dos bandos",
+  "opponent.auto": "Automáticas tras una jugada correcta",
+  "opponent.forgiving": "Siempre automáticas (indulgente)",
+
+  "result.attempts_one": "{count} intento",
+  "result.attempts_other": "{count} intentos",
+  "result.hints_one": "{count} pista",
+  "result.hints_other": "{count} pistas",
+  "result.won": "¡Correcto! Lo resolviste en {attempts}. 🎉",
+  "result.wonWithHints":
+    "¡Correcto! Lo resolviste en {attempts} con {hints} (puntuación {score}). 🎉",
+  "result.lost": "¡Fin de la partida! Has agotado los {maxAttempts} intentos.",
+  "result.solution": "Solución correcta:",
+  "result.finalMove": "Última jugada: {move}",
+
+  "share.idle": "Compartir",
+  "share.copied": "¡Copiado al portapapeles!",
+  "share.error": "No se pudo copiar, inténtalo de nuevo",
+  "share.rating": "nivel {rating}",
+  "share.finalMoveOnly": "solo la última jugada",
+  "share.hardMode": "modo difícil",
+  "share.score": "puntuación {score}",
+
+  "countdown.nextPuzzle": "Próximo puzzle en {time}",
+  "countdown.ready": "¡Ya está el nuevo puzzle del día!",
+  "countdown.play": "Jugarlo",
+  "countdown.waiting":
+    "El puzzle de hoy aún no ha salido. Se cargará en cuanto Lichess lo publique.",
+
+  "summary.title": "🏁 Resumen de la partida",
+  "summary.close": "Cerrar el resumen de la partida",
+  "summary.open": "Ver resumen",
+  "summary.attempts": "Intentos usados: **{used}/{max}**",
+  "summary.themes": "Temas: {themes}",
+  "summary.lichess": "Abrir este puzzle en Lichess",
+
+  "timer.notStarted": "⏱ {time}, desde tu primera jugada",
+  "timer.left": "⏱ quedan {time}",
+  "timer.solveTime": "Tiempo de resolución: {time}",
+  "timer.timeUp": "Se acabó el tiempo.",
+  "timer.outOfTime": "Sin tiempo. La solución se reproduce debajo del tablero.",
+
+  "replay.solution": "Solución",
+  "replay.attempt": "Intento {number}",
+  "replay.noMoves": "No hay jugadas legales para reproducir",
+  "replay.first": "Posición inicial",
+  "replay.previous": "Jugada anterior",
+  "replay.next": "Jugada siguiente",
+  "replay.last": "Posición final",
+  "replay.play": "Reproducir",
+  "replay.pause": "Pausa",
+  "replay.playLabel": "Reproducir la partida",
+  "replay.pauseLabel": "Pausar la reproducción",
+  "replay.status": "{line}: jugada {ply} de {total}",
+  "replay.readOnly": " · El tablero es de solo lectura",
+  "replay.back": "Volver a mis jugadas",
+
+  "announce.move": "Jugada {number}, {move}",
+  "announce.opponentMove": "Respuesta del rival: jugada {number}, {move}",
+  "announce.finalMove": "Tu última jugada: {move}",
+  "announce.solved": "¡Resuelto!",
+  "announce.attemptsLeft_one": "Queda {count} intento.",
+  "announce.attemptsLeft_other": "Quedan {count} intentos.",
+  "announce.noAttemptsLeft":
+    "No quedan intentos. La solución se reproduce debajo del tablero.",
+  "announce.readOnly":
+    "El tablero muestra una reproducción y no se puede cambiar.",
+  "announce.pickedUp": "Pieza levantada en {square}: {piece}",
+  "announce.pickedUpSquare": "{square}, levantada",
+  "announce.putBack": "Pieza devuelta a {square}",
+  "announce.pickedFinalSquare":
+    "{square} elegida, ahora elige la casilla de destino",
+  "announce.letGo": "{square} soltada",
+  "announce.noPieceToMove": "{square}, ninguna pieza que mover",
+  "announce.illegalMove": "{from} a {to} no es una jugada legal aquí",
+
+  "a11y.piece": "{piece} ({color})",
+  "a11y.square": "{square}, {contents}",
+  "a11y.empty": "vacía",
+  "a11y.attempt": "Intento {number}: {moves}.",
+  "a11y.attemptMove": "{label}, {move}, {result}",
+  "a11y.move": "jugada {number}",
+  "a11y.finalMove": "última jugada",
+  "a11y.missing": "falta",
+  "a11y.unscored": "sin puntuar",
+  "a11y.noMoves": "sin jugadas",
+
+  "archive.title": "🗓️ Archivo de puzzles",
+  "archive.close": "Cerrar el archivo de puzzles",
+  "archive.intro":
+    "¿Te perdiste un día? Elige una fecha en la que ya abriste Chessdle o introduce cualquier id de puzzle de Lichess, por ejemplo del enlace de un compañero. Cada puzzle guarda su propio progreso.",
+  "archive.dateLabel": "Fecha del puzzle",
+  "archive.playDate": "Jugar fecha",
+  "archive.idPlaceholder": "Id del puzzle, p. ej. K69di",
+  "archive.idLabel": "Id del puzzle de Lichess",
+  "archive.play": "Jugar id",
+  "archive.result.won": "🟩 Resuelto",
+  "archive.result.lost": "🟥 Fallado",
+  "archive.result.unfinished": "Sin terminar",
+
+  "packs.title": "📦 Paquetes de puzzles",
+  "packs.close": "Cerrar los paquetes de puzzles",
+  "packs.intro":
+    "Juega tu propia colección de puzzles, por ejemplo para un puzzle de la semana. Importa un CSV con el formato de la base de datos de puzzles de Lichess (PuzzleId, FEN, Moves, Rating, Themes, ...) o un paquete JSON. Importar sustituye el paquete actual.",
+  "packs.import": "Importar archivo",
+  "packs.loadBundled": "Cargar «{name}»",
+  "packs.noPuzzles": "No se encontraron puzzles jugables.",
+  "packs.noPuzzlesBecause": "No se encontraron puzzles jugables ({error}).",
+  "packs.saveFailed": "No se pudo guardar el paquete en este navegador.",
+  "packs.imported_one": "{count} puzzle importado.",
+  "packs.imported_other": "{count} puzzles importados.",
+  "packs.importedSkipped_one": "{count} puzzle importado, {skipped} omitidos.",
+  "packs.importedSkipped_other":
+    "{count} puzzles importados, {skipped} omitidos.",
+  "packs.readFailed": "No se pudo leer {file}: {error}",
+  "packs.count_one": "{count} puzzle",
+  "packs.count_other": "{count} puzzles",
+  "packs.remove": "Quitar paquete",
+
+  "creator.title": "Crear un puzzle",
+  "creator.step.setup": "1. Coloca la posición inicial.",
+  "creator.step.solution":
+    "2. Juega la solución completa, las jugadas de ambos bandos.",
+  "creator.step.share": "3. Comparte el enlace. La solución va oculta en él.",
+  "creator.palette": "Pieza para colocar",
+  "creator.place": "Colocar {piece}",
+  "creator.erase": "Quitar piezas",
+  "creator.paletteHelp":
+    "Elige una pieza y haz clic en las casillas para colocarla. Arrastra las piezas para moverlas, o fuera del tablero para quitarlas.",
+  "creator.sideToMove": "Bando que mueve",
+  "creator.whiteToMove": "Juegan blancas",
+  "creator.blackToMove": "Juegan negras",
+  "creator.fenPlaceholder": "Pega un FEN",
+  "creator.fenLabel": "FEN de la posición inicial",
+  "creator.loadFen": "Cargar FEN",
+  "creator.fenError": "No se pudo cargar ese FEN: {error}",
+  "creator.error.kings": "Cada bando necesita exactamente un rey.",
+  "creator.error.pawnRank":
+    "Los peones no pueden estar en la primera ni en la última fila.",
+  "creator.error.check": "El bando que no mueve no puede estar en jaque.",
+  "creator.error.noMoves": "El bando que mueve no tiene jugadas legales.",
+  "creator.startingPosition": "Posición inicial",
+  "creator.clear": "Vaciar tablero",
+  "creator.next": "Siguiente: jugar la solución",
+  "creator.solution": "Solución:",
+  "creator.solutionPlaceholder":
+    "Haz las jugadas en el tablero; empiezan las {color}.",
+  "creator.backToSetup": "Volver a colocar",
+  "creator.undo": "Deshacer jugada",
+  "creator.createLink": "Crear enlace",
+  "creator.linkLabel": "Enlace del puzzle",
+  "creator.editSolution": "Editar solución",
+  "creator.copy.idle": "Copiar enlace",
+  "creator.copy.copied": "¡Copiado!",
+  "creator.copy.error": "No se pudo copiar",
+  "creator.play": "Jugarlo",
+  "creator.back": "Volver al juego",
+
+  "footer.source": "¡Mira el código fuente!",
+  "footer.rules": "Reglas de Chessdle",
+  "footer.stats": "Estadísticas",
+  "footer.settings": "Ajustes",
+  "footer.archive": "Archivo de puzzles",
+  "footer.packs": "Paquetes de puzzles",
+  "footer.create": "Crear un puzzle",
+
+  "rules.title": "♟️ Reglas de Chessdle",
+  "rules.close": "Cerrar las reglas",
+  "rules.intro":
+    "Chessdle te presenta el puzzle del día de Lichess. Tu objetivo es encontrar la **secuencia completa de jugadas** que resuelve el puzzle.",
+  "rules.feedback":
+    "**Cómo funciona:** Recibes una valoración de cada jugada de tu secuencia:",
+  "rules.green":
+    "**🟩 Verde:** ¡Jugada correcta! Moviste la pieza correcta a la casilla correcta. Las jugadas en otro orden que llegan a la misma posición, y otra última jugada que también da mate, también cuentan como correctas.",
+  "rules.yellow":
+    "**🟨 Amarillo:** ¡Parcialmente correcta! O BIEN moviste la pieza correcta a una casilla equivocada, O BIEN moviste otra pieza a la casilla correcta, O BIEN coronaste en la casilla correcta pero elegiste la pieza equivocada.",
+  "rules.red": "**🟥 Rojo:** Incorrecta.",
+  "rules.hover":
+    "Pasa el ratón por una jugada de tu historial para ver por qué tiene ese color.",
+  "rules.opponent":
+    "**Respuestas del rival:** La solución alterna tus jugadas con las respuestas forzadas de tu rival. Por defecto juegas con los dos bandos, pero puedes dejar que el juego haga las respuestas por ti: tras cada jugada correcta o, en la variante indulgente, tras cualquier jugada. Entonces solo se valoran tus propias jugadas.",
+  "rules.finalMove":
+    "**Solo la última jugada:** ¿Te atreves? Cambia a «Solo la última jugada» e indica solo la última jugada de la solución, directamente desde la posición inicial y sin jugar las anteriores. Arrastra la pieza desde donde está ahora, haz clic en dos casillas o escribe la jugada. Es 🟩 si aciertas la pieza y su destino, y 🟨 si aciertas uno de los dos. Este modo tiene sus propios intentos y su propio progreso.",
+  "rules.guessing":
+    "**Adivinar:** Tienes {maxAttempts} intentos para adivinar la secuencia completa.",
+  "rules.goodLuck": "¡Buena suerte!",
+
+  "stats.title": "📊 Estadísticas",
+  "stats.close": "Cerrar las estadísticas",
+  "stats.played": "Jugadas",
+  "stats.winPercentage": "% de victorias",
+  "stats.currentStreak": "Racha actual",
+  "stats.bestStreak": "Mejor racha",
+  "stats.hardModeWins": "Victorias en modo difícil: **{count}**",
+  "stats.distribution": "**Intentos hasta resolver:**",
+
+  "settings.title": "⚙️ Ajustes",
+  "settings.close": "Cerrar los ajustes",
+  "settings.display": "Pantalla",
+  "settings.board": "Tablero",
+  "settings.game": "Juego",
+  "settings.language": "Idioma",
+  "settings.moveNotation": "Notación de jugadas",
+  "settings.colorTheme": "Tema de color",
+  "settings.colorblindFeedback": "Valoración apta para daltónicos",
+  "settings.colorblindFeedbackDescription":
+    "Colores azul y naranja con marcas ✓ ~ ✗, para que los resultados no dependan solo del color.",
+  "settings.boardTheme": "Colores del tablero",
+  "settings.pieceSet": "Piezas",
+  "settings.animationSpeed": "Velocidad de animación",
+  "settings.showCoordinates": "Mostrar coordenadas",
+  "settings.showCoordinatesDescription":
+    "Columnas y filas en los bordes del tablero.",
+  "settings.confirmBeforeSubmit": "Confirmar antes de enviar",
+  "settings.confirmBeforeSubmitDescription":
+    "Enviar requiere un segundo clic, para no mandar un intento por error.",
+  "settings.sounds": "Sonidos",
+  "settings.soundsDescription":
+    "Tonos cortos para jugadas, jugadas rechazadas y resultados.",
+  "settings.hardMode": "Modo difícil",
+  "settings.hardModeDescription":
+    "Las jugadas verdes deben repetirse en el mismo paso, y una jugada amarilla debe conservar la casilla acertada. Las victorias en modo difícil se cuentan aparte en tus estadísticas.",
+  "settings.hardModeNextPuzzle":
+    "El modo difícil empieza con tu próximo puzzle, porque este ya tiene intentos (o se juega en el modo «Solo la última jugada»).",
+  "settings.timer": "Modo contrarreloj",
+  "settings.timerDescription":
+    "Un reloj para cada intento o para todo el puzzle, que arranca con tu primera jugada. Si se acaba, tus jugadas hasta ese momento se envían tal cual.",
+  "settings.timerNextPuzzle":
+    "El nuevo reloj empieza con tu próximo puzzle, porque este ya está en marcha (o se juega en el modo «Solo la última jugada»).",
+
+  "settings.option.language.auto": "Como mi dispositivo",
+  "settings.option.moveNotation.letters": "Letras (Cf3)",
+  "settings.option.moveNotation.figurines": "Figuras (♘f3)",
+  "settings.option.colorTheme.system": "Como mi dispositivo",
+  "settings.option.colorTheme.dark": "Oscuro",
+  "settings.option.colorTheme.light": "Claro",
+  "settings.option.colorTheme.high-contrast": "Alto contraste",
+  "settings.option.boardTheme.green": "Verde Chessdle",
+  "settings.option.boardTheme.wood": "Madera",
+  "settings.option.boardTheme.blue": "Azul",
+  "settings.option.boardTheme.gray": "Gris",
+  "settings.option.pieceSet.standard": "Estándar",
+  "settings.option.pieceSet.glyphs": "Símbolos",
+  "settings.option.pieceSet.letters": "Letras",
+  "settings.option.animationSpeed.off": "Desactivada",
+  "settings.option.animationSpeed.fast": "Rápida",
+  "settings.option.animationSpeed.normal": "Normal",
+  "settings.option.animationSpeed.slow": "Lenta",
+  "settings.option.timer.off": "Desactivado",
+  "settings.option.timer.attempt30": "30 segundos por intento",
+  "settings.option.timer.attempt60": "1 minuto por intento",
+  "settings.option.timer.puzzle180": "3 minutos por puzzle",
+  "settings.option.timer.puzzle300": "5 minutos por puzzle",
+
+  "theme.advancedPawn": "Peón avanzado",
+  "theme.advantage": "Ventaja",
+  "theme.anastasiaMate": "Mate de Anastasia",
+  "theme.arabianMate": "Mate árabe",
+  "theme.attackingF2F7": "Ataque a f2 o f7",
+  "theme.attraction": "Atracción",
+  "theme.backRankMate": "Mate en la última fila",
+  "theme.bishopEndgame": "Final de alfiles",
+  "theme.bodenMate": "Mate de Boden",
+  "theme.capturingDefender": "Captura del defensor",
+  "theme.castling": "Enroque",
+  "theme.clearance": "Despeje",
+  "theme.crushing": "Aplastante",
+  "theme.defensiveMove": "Jugada defensiva",
+  "theme.deflection": "Desviación",
+  "theme.discoveredAttack": "Ataque a la descubierta",
+  "theme.doubleBishopMate": "Mate de los dos alfiles",
+  "theme.doubleCheck": "Jaque doble",
+  "theme.dovetailMate": "Mate cola de golondrina",
+  "theme.enPassant": "Captura al paso",
+  "theme.endgame": "Final",
+  "theme.equality": "Igualdad",
+  "theme.exposedKing": "Rey expuesto",
+  "theme.fork": "Ataque doble",
+  "theme.hangingPiece": "Pieza colgada",
+  "theme.healthyMix": "Mezcla variada",
+  "theme.hookMate": "Mate del gancho",
+  "theme.interference": "Interferencia",
+  "theme.intermezzo": "Jugada intermedia",
+  "theme.killBoxMate": "Mate de la caja",
+  "theme.kingsideAttack": "Ataque en el flanco de rey",
+  "theme.knightEndgame": "Final de caballos",
+  "theme.long": "Puzzle largo",
+  "theme.master": "Partidas de maestros",
+  "theme.masterVsMaster": "Partidas entre maestros",
+  "theme.mate": "Jaque mate",
+  "theme.mateIn1": "Mate en 1",
+  "theme.mateIn2": "Mate en 2",
+  "theme.mateIn3": "Mate en 3",
+  "theme.mateIn4": "Mate en 4",
+  "theme.mateIn5": "Mate en 5 o más",
+  "theme.middlegame": "Medio juego",
+  "theme.oneMove": "Puzzle de una jugada",
+  "theme.opening": "Apertura",
+  "theme.pawnEndgame": "Final de peones",
+  "theme.pin": "Clavada",
+  "theme.promotion": "Coronación",
+  "theme.queenEndgame": "Final de damas",
+  "theme.queenRookEndgame": "Dama y torre",
+  "theme.queensideAttack": "Ataque en el flanco de dama",
+  "theme.quietMove": "Jugada tranquila",
+  "theme.rookEndgame": "Final de torres",
+  "theme.sacrifice": "Sacrificio",
+  "theme.short": "Puzzle corto",
+  "theme.skewer": "Enfilada",
+  "theme.smotheredMate": "Mate de la coz",
+  "theme.superGM": "Partidas de súper GM",
+  "theme.trappedPiece": "Pieza atrapada",
+  "theme.underPromotion": "Subpromoción",
+  "theme.veryLong": "Puzzle muy largo",
+  "theme.vukovicMate": "Mate de Vuković",
+  "theme.xRayAttack": "Ataque de rayos X",
+  "theme.zugzwang": "Zugzwang",
+};
@@ -0,0 +1,177 @@
+// --- Puzzle Normalization ---
+// Turns a raw Lichess puzzle response into the puzzle data the game plays:
+// derives the starting FEN from the game's PGN, replays the opponent's move
+// that sets up the puzzle and fixes the side-to-move marker if needed.
+
+import { Chess } from "chess.js";
+
+/** Error codes carried by PuzzleDataError. */
+export const PUZZLE_DATA_ERRORS = {
+  INVALID_RESPONSE: "invalid-response",
+  MISSING_ID: "missing-id",
+  MISSING_SOLUTION: "missing-solution",
+  INVALID_SOLUTION_MOVE: "invalid-solution-move",
+  MISSING_POSITION: "missing-position",
+  INVALID_PGN: "invalid-pgn",
+  INVALID_FEN: "invalid-fen",
+};
+
+/** Thrown by normalizePuzzle when a response can't be turned into a puzzle. */
+export class PuzzleDataError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PuzzleDataError";
+    this.code = code;
+  }
+}
+
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/i;
+
+const parseSolutionMove = (uci) => {
+  const match = typeof uci === "string" ? uci.match(UCI_PATTERN) : null;
+  if (!match) return null;
+  return {
+    from: match[1].toLowerCase(),
+    to: match[2].toLowerCase(),
+    promotion: match[3]?.toLowerCase(),
+  };
+};
+
+const isLegalFrom = (fen, move) => {
+  try {
+    return new Chess(fen).move(move) !== null;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Plays the PGN up to the puzzle start: the first initialPly moves, then the
+ * opponent's move at initialPly that the player has to answer.
+ */
+const deriveFenFromPgn = (pgn, initialPly) => {
+  try {
+    const tempChess = new Chess();
+    tempChess.loadPgn(pgn);
+    const history = tempChess.history();
+    tempChess.reset();
+    for (let i = 0; i < initialPly; i++) {
+      if (!history[i]) throw new Error(`PGN history missing move at ply ${i}.`);
+      tempChess.move(history[i]);
+    }
+    if (history[initialPly]) {
+      tempChess.move(history[initialPly]);
+    }
+    return tempChess.fen();
+  } catch (pgnError) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_PGN,
+      `Failed to derive FEN from PGN: ${pgnError.message}`
+    );
+  }
+};
+
+/**
+ * Fixes the side-to-move marker. Some positions come out with the wrong side
+ * to move (e.g. a FEN given before the opponent's move, or a PGN whose last
+ * move is already the opponent's), so if the first solution move isn't legal
+ * as is, the marker is flipped. If neither side can play it, the FEN is kept.
+ */
+const correctTurnMarker = (fen, firstMove) => {
+  if (isLegalFrom(fen, firstMove)) return fen;
+
+  const fenParts = fen.split(" ");
+  if (fenParts.length < 2) {
+    console.error("Could not parse FEN to flip the turn marker:", fen);
+    return fen;
+  }
+  fenParts[1] = fenParts[1] === "w" ? "b" : "w";
+  const flippedFen = fenParts.join(" ");
+  if (isLegalFrom(flippedFen, firstMove)) {
+    console.log("FEN turn corrected to:", flippedFen);
+    return flippedFen;
+  }
+  console.error(
+    "Flipping the FEN turn did not make the first solution move legal. Using original FEN:",
+    fen
+  );
+  return fen;
+};
+
+/**
+ * Normalizes a Lichess puzzle API response.
+ * Returns { id, rating, initialFen, solution, playerColor, themes }, with the
+ * solution in UCI and playerColor 'white' or 'black'.
+ * Throws a PuzzleDataError if the response can't be used.
+ */
+export const normalizePuzzle = (apiResponse) => {
+  const puzzleData = apiResponse?.puzzle;
+  const gameData = apiResponse?.game;
+  if (!puzzleData || typeof puzzleData !== "object") {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_RESPONSE,
+      "Incomplete puzzle data: Puzzle is missing."
+    );
+  }
+  if (typeof puzzleData.id !== "string" || !puzzleData.id) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.MISSING_ID,
+      "Incomplete puzzle data: Puzzle id is missing."
+    );
+  }
+
+  const { solution, initialPly } = puzzleData;
+  if (!Array.isArray(solution) || solution.length === 0) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.MISSING_SOLUTION,
+      "Incomplete puzzle data: Solution is missing or empty."
+    );
+  }
+  const invalidMove = solution.find((uci) => !parseSolutionMove(uci));
+  if (invalidMove !== undefined) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_SOLUTION_MOVE,
+      `Invalid solution move format received: ${invalidMove}`
+    );
+  }
+
+  // --- Starting Position ---
+  let baseFen = gameData?.fen;
+  if (!baseFen) {
+    const pgn = gameData?.pgn;
+    if (!pgn || !Number.isInteger(initialPly) || initialPly < 0) {
+      throw new PuzzleDataError(
+        PUZZLE_DATA_ERRORS.MISSING_POSITION,
+        "Incomplete puzzle data: Cannot determine starting FEN."
+      );
+    }
+    baseFen = deriveFenFromPgn(pgn, initialPly);
+  }
+  try {
+    new Chess(baseFen);
+  } catch (fenError) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_FEN,
+      `Initial FEN ("${baseFen}") is invalid: ${fenError.message}`
+    );
+  }
+
+  const initialFen = correctTurnMarker(baseFen, parseSolutionMove(solution[0]));
+  try {
+    new Chess(initialFen);
+  } catch (fenError) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_FEN,
+      `Invalid final FEN ("${initialFen}") after processing: ${fenError.message}`
+    );
+  }
+
+  return {
+    id: puzzleData.id,
+    rating: puzzleData.rating || "N/A",
+    initialFen,
+    solution: solution.map((uci) => uci.toLowerCase()),
+    playerColor: initialFen.split(" ")[1] === "w" ? "white" : "black",
+    themes: Array.isArray(puzzleData.themes) ? puzzleData.themes : [],
+  };
+};
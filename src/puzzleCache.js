@@ -0,0 +1,74 @@
+// --- Offline Puzzle Cache ---
+// Keeps the last few raw Lichess puzzle responses in localStorage. The service
+// worker caches the same requests, but this copy also works before it is
+// installed and lets the app know it is showing a cached puzzle.
+
+const PUZZLE_CACHE_STORAGE_KEY = "chessdle_puzzle_cache"; // [{ puzzleId, isDaily, cachedAt, data }], newest first
+const MAX_CACHED_PUZZLES = 10;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const readCacheEntries = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(PUZZLE_CACHE_STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (storageError) {
+    console.error("Error reading puzzle cache:", storageError);
+    return [];
+  }
+};
+
+/**
+ * Stores a raw puzzle response. Returns true if it is a daily puzzle that
+ * wasn't the latest cached daily yet.
+ */
+export const cachePuzzleResponse = (data, isDaily) => {
+  const puzzleId = data?.puzzle?.id;
+  if (!puzzleId) return false;
+  const entries = readCacheEntries();
+  const latestDaily = entries.find((entry) => entry.isDaily);
+  const isNewDaily = isDaily && latestDaily?.puzzleId !== puzzleId;
+  const wasDaily = entries.some(
+    (entry) => entry.puzzleId === puzzleId && entry.isDaily
+  );
+  const newEntries = [
+    {
+      puzzleId,
+      isDaily: isDaily || wasDaily,
+      cachedAt: new Date().toISOString(),
+      data,
+    },
+    ...entries.filter((entry) => entry.puzzleId !== puzzleId),
+  ].slice(0, MAX_CACHED_PUZZLES);
+  try {
+    localStorage.setItem(PUZZLE_CACHE_STORAGE_KEY, JSON.stringify(newEntries));
+  } catch (storageError) {
+    console.error("Error writing puzzle cache:", storageError);
+  }
+  return isNewDaily;
+};
+
+/**
+ * Returns the cached response for a puzzle id, or the latest cached daily
+ * puzzle when no id is given. Null if nothing suitable is cached.
+ */
+export const readCachedPuzzleResponse = (puzzleId) => {
+  const entry = readCacheEntries().find((cached) =>
+    puzzleId ? cached.puzzleId === puzzleId : cached.isDaily
+  );
+  return entry ? entry.data : null;
+};
+
+/**
+ * Milliseconds until the next UTC day starts, when Lichess rolls over its
+ * daily puzzle.
+ */
+export const getMsUntilNextUtcDay = (now = new Date()) =>
+  MS_PER_DAY - (now.getTime() % MS_PER_DAY);
+
+/**
+ * The UTC day ("YYYY-MM-DD") of the current Lichess daily puzzle. Dailies
+ * are recorded under this key, so one day never maps to two puzzles wherever
+ * the player lives.
+ */
+export const getDailyDateKey = (now = new Date()) =>
+  now.toISOString().slice(0, 10);
@@ -0,0 +1,224 @@
+// --- Puzzle Packs ---
+// Loads sets of puzzles in the Lichess puzzle database format
+// (PuzzleId, FEN, Moves, Rating, RatingDeviation, Popularity, NbPlays, Themes,
+// GameUrl, OpeningTags), from an imported CSV file or a JSON pack bundled in
+// src/packs/. The imported pack is kept in localStorage, so its puzzles load
+// by id without touching the network.
+
+import { Chess } from "chess.js";
+import { isValidPuzzleId } from "./archive";
+import { PUZZLE_DATA_ERRORS, PuzzleDataError } from "./normalizePuzzle";
+
+const PUZZLE_PACK_STORAGE_KEY = "chessdle_puzzle_pack"; // { name, puzzles: [puzzle] }
+export const MAX_PACK_PUZZLES = 500; // Keeps an imported pack well within localStorage limits
+
+// Column order of the Lichess database CSV, used when a file has no header row
+const LICHESS_CSV_COLUMNS = [
+  "PuzzleId",
+  "FEN",
+  "Moves",
+  "Rating",
+  "RatingDeviation",
+  "Popularity",
+  "NbPlays",
+  "Themes",
+  "GameUrl",
+  "OpeningTags",
+];
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+// Bundled packs, keyed by file name: src/packs/<name>.json
+const BUNDLED_PACK_MODULES = import.meta.glob("./packs/*.json", {
+  eager: true,
+  import: "default",
+});
+
+/**
+ * Converts one Lichess database record into the puzzle object App plays.
+ * In the database, FEN is the position before the opponent's move and Moves
+ * starts with that move, so it is played first and the rest is the solution.
+ */
+export const convertPackRecord = (record) => {
+  const id = record.PuzzleId?.trim();
+  // Pack puzzles are selected through the same ?puzzle=<id> links as Lichess ones
+  if (!isValidPuzzleId(id)) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.MISSING_ID,
+      `Missing or invalid PuzzleId "${id || ""}" (5 letters or digits)`
+    );
+  }
+  const moves = (record.Moves || "").trim().toLowerCase().split(/\s+/);
+  if (moves.length < 2 || !moves.every((uci) => UCI_PATTERN.test(uci))) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_SOLUTION_MOVE,
+      `Puzzle ${id}: Moves must list the opponent's move and the solution in UCI`
+    );
+  }
+
+  let game;
+  try {
+    game = new Chess(record.FEN?.trim());
+  } catch (fenError) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_FEN,
+      `Puzzle ${id}: Invalid FEN (${fenError.message})`
+    );
+  }
+  const [openingMove, ...solution] = moves;
+  try {
+    game.move({
+      from: openingMove.substring(0, 2),
+      to: openingMove.substring(2, 4),
+      promotion: openingMove[4],
+    });
+  } catch {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_SOLUTION_MOVE,
+      `Puzzle ${id}: The opponent's move ${openingMove} is illegal`
+    );
+  }
+
+  const rating = Number.parseInt(record.Rating, 10);
+  return {
+    id,
+    rating: Number.isNaN(rating) ? "N/A" : rating,
+    initialFen: game.fen(),
+    solution,
+    playerColor: game.turn() === "w" ? "white" : "black",
+    themes: (record.Themes || "").trim().split(/\s+/).filter(Boolean),
+  };
+};
+
+// Splits one CSV line, honouring double-quoted fields ("a,b" and "" escapes)
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let isQuoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (isQuoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        isQuoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      isQuoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+/**
+ * Converts pack records, skipping (and reporting) the ones that can't be
+ * played. Returns { puzzles, skipped, errors }; at most MAX_PACK_PUZZLES
+ * puzzles are kept, duplicates by id are dropped.
+ */
+export const convertPackRecords = (records) => {
+  const puzzles = [];
+  const errors = [];
+  const seenIds = new Set();
+  records.forEach((record) => {
+    try {
+      const puzzle = convertPackRecord(record);
+      if (seenIds.has(puzzle.id) || puzzles.length >= MAX_PACK_PUZZLES) return;
+      seenIds.add(puzzle.id);
+      puzzles.push(puzzle);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+  return { puzzles, skipped: records.length - puzzles.length, errors };
+};
+
+/**
+ * Parses Lichess puzzle database CSV text (with or without its header row).
+ * Returns the same shape as convertPackRecords.
+ */
+export const parsePuzzleCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length === 0) return { puzzles: [], skipped: 0, errors: [] };
+
+  const firstRow = splitCsvLine(lines[0]).map((field) => field.trim());
+  const hasHeader = firstRow.includes("PuzzleId");
+  const columns = hasHeader ? firstRow : LICHESS_CSV_COLUMNS;
+  const records = (hasHeader ? lines.slice(1) : lines).map((line) => {
+    const fields = splitCsvLine(line);
+    return Object.fromEntries(
+      columns.map((column, index) => [column, fields[index]])
+    );
+  });
+  return convertPackRecords(records);
+};
+
+/**
+ * Parses a JSON pack: { name, puzzles: [record] } with records using the CSV
+ * column names, or a bare array of records.
+ */
+export const parsePuzzlePackJson = (text) => {
+  const pack = typeof text === "string" ? JSON.parse(text) : text;
+  const records = Array.isArray(pack) ? pack : pack?.puzzles;
+  if (!Array.isArray(records)) {
+    throw new PuzzleDataError(
+      PUZZLE_DATA_ERRORS.INVALID_RESPONSE,
+      "A JSON pack needs a puzzles array"
+    );
+  }
+  return {
+    name: typeof pack.name === "string" ? pack.name : null,
+    ...convertPackRecords(records),
+  };
+};
+
+/** Lists the packs bundled with the app as [{ key, name, records }]. */
+export const getBundledPacks = () =>
+  Object.entries(BUNDLED_PACK_MODULES).map(([path, pack]) => {
+    const key = path.replace(/^.*\/|\.json$/g, "");
+    return { key, name: pack.name || key, records: pack.puzzles || [] };
+  });
+
+/** Returns the stored pack { name, puzzles }, or null if none was imported. */
+export const readPuzzlePack = () => {
+  try {
+    const pack = JSON.parse(localStorage.getItem(PUZZLE_PACK_STORAGE_KEY));
+    return pack && Array.isArray(pack.puzzles) ? pack : null;
+  } catch (storageError) {
+    console.error("Error reading puzzle pack:", storageError);
+    return null;
+  }
+};
+
+/** Stores a pack, replacing the previous one. Returns whether it was saved. */
+export const savePuzzlePack = (name, puzzles) => {
+  try {
+    localStorage.setItem(
+      PUZZLE_PACK_STORAGE_KEY,
+      JSON.stringify({ name, puzzles })
+    );
+    return true;
+  } catch (storageError) {
+    console.error("Error saving puzzle pack:", storageError);
+    return false;
+  }
+};
+
+export const clearPuzzlePack = () => {
+  try {
+    localStorage.removeItem(PUZZLE_PACK_STORAGE_KEY);
+  } catch (storageError) {
+    console.error("Error clearing puzzle pack:", storageError);
+  }
+};
+
+/** Finds a puzzle in the stored pack by id. */
+export const findPackPuzzle = (puzzleId) =>
+  readPuzzlePack()?.puzzles.find((puzzle) => puzzle.id === puzzleId) || null;
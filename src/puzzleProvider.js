@@ -0,0 +1,184 @@
+// --- Puzzle Provider ---
+// Fetches Lichess puzzle data through an ordered list of endpoints (direct
+// Lichess, CORS proxies, a self-hosted relay). Each endpoint gets a timeout and
+// a few retries with backoff before the next one is tried, and every response
+// is schema-checked, so one dead or misbehaving proxy doesn't stop the game.
+
+const LICHESS_API_ORIGIN = "https://lichess.org";
+export const LICHESS_DAILY_PUZZLE_PATH = "/api/puzzle/daily";
+export const LICHESS_PUZZLE_BY_ID_PATH = "/api/puzzle/"; // Append the puzzle id
+
+/**
+ * Endpoint templates, tried in order. "{url}" is replaced with the encoded
+ * Lichess URL and "{path}" with its path (e.g. "/api/puzzle/daily"), so a
+ * relay or a local mock server can mirror the Lichess API:
+ * "http://localhost:8787{path}".
+ * Override with a comma-separated VITE_PUZZLE_ENDPOINTS at build time.
+ */
+export const DEFAULT_PUZZLE_ENDPOINTS = [
+  "https://lichess.org{path}", // Lichess sends CORS headers for the puzzle API
+  "https://api.allorigins.win/raw?url={url}",
+  "https://corsproxy.io/?url={url}",
+];
+
+const DEFAULT_TIMEOUT = 8000; // ms per request
+const DEFAULT_RETRIES = 1; // Extra attempts per endpoint after the first
+const DEFAULT_BACKOFF = 500; // ms before the first retry, doubled for each further retry
+
+const readConfiguredEndpoints = () => {
+  const configured = import.meta.env?.VITE_PUZZLE_ENDPOINTS;
+  if (!configured) return DEFAULT_PUZZLE_ENDPOINTS;
+  const endpoints = configured
+    .split(",")
+    .map((template) => template.trim())
+    .filter(Boolean);
+  return endpoints.length > 0 ? endpoints : DEFAULT_PUZZLE_ENDPOINTS;
+};
+
+const buildEndpointUrl = (template, path) =>
+  template
+    .replace("{url}", encodeURIComponent(`${LICHESS_API_ORIGIN}${path}`))
+    .replace("{path}", path);
+
+// Host (or the template itself) for log and error messages
+const describeEndpoint = (template) => {
+  try {
+    return new URL(buildEndpointUrl(template, "")).host || template;
+  } catch {
+    return template;
+  }
+};
+
+/**
+ * Checks that a response has the shape of a Lichess puzzle response.
+ * Returns an error message, or null if the data looks usable.
+ */
+export const validatePuzzleResponse = (data) => {
+  if (!data || typeof data !== "object") return "Response is not an object";
+  const { puzzle, game } = data;
+  if (!puzzle || typeof puzzle !== "object") return "Missing puzzle";
+  if (typeof puzzle.id !== "string" || !puzzle.id) return "Missing puzzle id";
+  if (
+    !Array.isArray(puzzle.solution) ||
+    puzzle.solution.length === 0 ||
+    !puzzle.solution.every((move) => typeof move === "string")
+  ) {
+    return "Missing or invalid solution";
+  }
+  if (!game || typeof game !== "object") return "Missing game";
+  const hasFen = typeof game.fen === "string" && game.fen.length > 0;
+  const hasPgn =
+    typeof game.pgn === "string" && Number.isInteger(puzzle.initialPly);
+  if (!hasFen && !hasPgn) return "Missing starting position (fen or pgn)";
+  return null;
+};
+
+// Marks failures where retrying the same endpoint can't help
+const createPermanentError = (message) => {
+  const error = new Error(message);
+  error.isPermanent = true;
+  return error;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a provider. Every option is optional; fetchImpl lets tests or a
+ * mock setup swap out the network.
+ * @param {{ endpoints?: string[], timeout?: number, retries?: number,
+ *   backoff?: number, fetchImpl?: typeof fetch }} options
+ */
+export const createPuzzleProvider = ({
+  endpoints = readConfiguredEndpoints(),
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES,
+  backoff = DEFAULT_BACKOFF,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  const requestOnce = async (url) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (!response.ok) {
+        const message = `HTTP ${response.status}${
+          response.statusText ? ` ${response.statusText}` : ""
+        }`;
+        // Client errors (other than timeouts and rate limits) won't change on retry
+        const isRetryable =
+          response.status >= 500 ||
+          response.status === 408 ||
+          response.status === 429;
+        throw isRetryable ? new Error(message) : createPermanentError(message);
+      }
+      let data;
+      try {
+        data = await response.json();
+      } catch {
+        throw createPermanentError("Response is not JSON");
+      }
+      const schemaError = validatePuzzleResponse(data);
+      if (schemaError) {
+        throw createPermanentError(`Invalid puzzle data: ${schemaError}`);
+      }
+      return data;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  };
+
+  const requestFromEndpoint = async (template, path) => {
+    const url = buildEndpointUrl(template, path);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await requestOnce(url);
+      } catch (error) {
+        if (error.isPermanent || attempt >= retries) throw error;
+        console.warn(
+          `Puzzle request to ${describeEndpoint(template)} failed (${
+            error.message
+          }), retrying...`
+        );
+        await wait(backoff * 2 ** attempt);
+      }
+    }
+  };
+
+  /**
+   * Fetches a Lichess API path, trying each endpoint in order.
+   * Throws one error listing every endpoint's failure if none succeeds.
+   */
+  const fetchPuzzlePath = async (path) => {
+    const failures = [];
+    for (const template of endpoints) {
+      try {
+        const data = await requestFromEndpoint(template, path);
+        console.log(`Puzzle data loaded via ${describeEndpoint(template)}`);
+        return data;
+      } catch (error) {
+        console.warn(
+          `Puzzle source ${describeEndpoint(template)} failed:`,
+          error.message
+        );
+        failures.push(`${describeEndpoint(template)}: ${error.message}`);
+      }
+    }
+    throw new Error(`All puzzle sources failed (${failures.join("; ")})`);
+  };
+
+  return {
+    fetchDailyPuzzle: () => fetchPuzzlePath(LICHESS_DAILY_PUZZLE_PATH),
+    fetchPuzzleById: (puzzleId) =>
+      fetchPuzzlePath(
+        `${LICHESS_PUZZLE_BY_ID_PATH}${encodeURIComponent(puzzleId)}`
+      ),
+  };
+};
+
+// Shared provider using the configured endpoints
+export const puzzleProvider = createPuzzleProvider();
@@ -0,0 +1,58 @@
+// --- Move Lines ---
+// Replays a line of moves (the UCI solution or a player's SAN attempt) into
+// the positions and numbered SAN used by the game-over replay.
+
+import { Chess } from "chess.js";
+
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+/**
+ * Replays moves from a FEN. Each move may be UCI ("e2e4") or SAN ("e4").
+ * Returns [{ san, from, to, promotion, fen, moveNumber, color }], stopping at
+ * the first move that can't be played.
+ */
+export const buildMoveLine = (initialFen, moves) => {
+  const game = new Chess(initialFen);
+  const line = [];
+  for (const notation of moves) {
+    const uciMatch = notation.match(UCI_PATTERN);
+    try {
+      const moveNumber = game.moveNumber();
+      const move = game.move(
+        uciMatch
+          ? { from: uciMatch[1], to: uciMatch[2], promotion: uciMatch[3] }
+          : notation
+      );
+      line.push({
+        san: move.san,
+        from: move.from,
+        to: move.to,
+        promotion: move.promotion || null,
+        fen: game.fen(),
+        moveNumber,
+        color: move.color,
+      });
+    } catch {
+      break;
+    }
+  }
+  return line;
+};
+
+/**
+ * Move number prefix for a ply in a line: "12." before white's moves and
+ * "12..." when a line starts with black's move. Empty otherwise.
+ */
+export const getMoveNumberLabel = (line, index) => {
+  const { moveNumber, color } = line[index];
+  if (color === "w") return `${moveNumber}.`;
+  return index === 0 ? `${moveNumber}...` : "";
+};
+
+/** Formats a line as numbered SAN, e.g. "12... Nf6 13. Qxf7#". */
+export const formatNumberedSan = (line) =>
+  line
+    .map((ply, index) =>
+      [getMoveNumberLabel(line, index), ply.san].filter(Boolean).join(" ")
+    )
+    .join(" ");
@@ -0,0 +1,151 @@
+// --- Position-Aware Scoring ---
+// Scores a submitted sequence by replaying the player's own line next to the
+// solution line, so moves are judged by the positions they reach rather than
+// only by their squares.
+
+import { Chess } from "chess.js";
+
+/**
+ * Reason codes stored next to each feedback color:
+ * - exact: the solution move, played from the solution position
+ * - same-move: the solution move, played after the line left the solution
+ * - transposition: a different move order that reaches the solution position
+ * - alternative-mate: a different move that also mates, where the solution's
+ *   final move is mate
+ * - wrong-promotion: right squares, promoting to a different piece
+ * - right-piece: the solution's piece (from square), wrong destination
+ * - right-destination: the solution's destination, different piece
+ * - wrong-move: neither square matches
+ * - extra-move: played beyond the end of the solution
+ * - missing-move: a solution ply the sequence stopped short of
+ * - illegal-move: could not be replayed in the player's own line
+ */
+export const FEEDBACK_REASONS = {
+  EXACT: "exact",
+  SAME_MOVE: "same-move",
+  TRANSPOSITION: "transposition",
+  ALTERNATIVE_MATE: "alternative-mate",
+  WRONG_PROMOTION: "wrong-promotion",
+  RIGHT_PIECE: "right-piece",
+  RIGHT_DESTINATION: "right-destination",
+  WRONG_MOVE: "wrong-move",
+  EXTRA_MOVE: "extra-move",
+  MISSING_MOVE: "missing-move",
+  ILLEGAL_MOVE: "illegal-move",
+};
+
+// Piece placement, side to move and castling rights; move counters and the
+// en passant marker don't make two positions different for scoring.
+const toPositionKey = (fen) => fen.split(" ").slice(0, 3).join(" ");
+
+const isSameMove = (a, b) =>
+  a.from === b.from &&
+  a.to === b.to &&
+  (a.promotion || null) === (b.promotion || null);
+
+/**
+ * Replays the solution (UCI). Throws if a solution move is malformed or
+ * illegal, since the puzzle can't be scored against a broken line.
+ */
+const replaySolution = (initialFen, solutionUci) => {
+  const game = new Chess(initialFen);
+  const moves = solutionUci.map((uci, index) => {
+    if (!/^[a-h][1-8][a-h][1-8][qrbn]?$/i.test(uci || "")) {
+      throw new Error(`Solution move ${index} ("${uci}") is not valid UCI.`);
+    }
+    const move = game.move({
+      from: uci.substring(0, 2),
+      to: uci.substring(2, 4),
+      promotion: uci.length === 5 ? uci[4].toLowerCase() : undefined,
+    });
+    return { move, positionKey: toPositionKey(game.fen()) };
+  });
+  return { moves, endsInMate: game.isCheckmate() };
+};
+
+/**
+ * Replays the player's line (SAN). Stops at the first move that can't be
+ * played; later plies are reported as null.
+ */
+const replayUserLine = (initialFen, userSans) => {
+  const game = new Chess(initialFen);
+  let isBroken = false;
+  return userSans.map((san) => {
+    if (isBroken) return null;
+    try {
+      const move = game.move(san);
+      return {
+        move,
+        positionKey: toPositionKey(game.fen()),
+        isMate: game.isCheckmate(),
+      };
+    } catch {
+      isBroken = true;
+      return null;
+    }
+  });
+};
+
+/**
+ * Scores each ply of the player's sequence against the solution.
+ * Returns [{ color: 'green' | 'yellow' | 'red', reason }], one per user ply
+ * and one per solution ply the sequence didn't reach, so a short sequence
+ * still gets a result for every solution ply.
+ * Throws if the solution itself can't be replayed.
+ */
+export const scoreSequence = (initialFen, solutionUci, userSans) => {
+  const solution = replaySolution(initialFen, solutionUci);
+  const userLine = replayUserLine(initialFen, userSans);
+  const lastSolutionIndex = solution.moves.length - 1;
+
+  const positionMatches = userLine.map(
+    (ply, index) =>
+      Boolean(ply) &&
+      index <= lastSolutionIndex &&
+      ply.positionKey === solution.moves[index].positionKey
+  );
+
+  const scoredPlies = userLine.map((ply, index) => {
+    if (index > lastSolutionIndex) {
+      return { color: "red", reason: FEEDBACK_REASONS.EXTRA_MOVE };
+    }
+    if (!ply) {
+      return { color: "red", reason: FEEDBACK_REASONS.ILLEGAL_MOVE };
+    }
+    const solutionMove = solution.moves[index].move;
+
+    if (positionMatches[index]) {
+      return isSameMove(ply.move, solutionMove)
+        ? { color: "green", reason: FEEDBACK_REASONS.EXACT }
+        : { color: "green", reason: FEEDBACK_REASONS.TRANSPOSITION };
+    }
+    if (index === lastSolutionIndex && solution.endsInMate && ply.isMate) {
+      return { color: "green", reason: FEEDBACK_REASONS.ALTERNATIVE_MATE };
+    }
+    // Moves in a different order that land back on the solution line later
+    if (positionMatches.slice(index + 1).some(Boolean)) {
+      return { color: "green", reason: FEEDBACK_REASONS.TRANSPOSITION };
+    }
+
+    // The solution's move still counts after an earlier ply went astray
+    if (isSameMove(ply.move, solutionMove)) {
+      return { color: "green", reason: FEEDBACK_REASONS.SAME_MOVE };
+    }
+    const fromMatch = ply.move.from === solutionMove.from;
+    const toMatch = ply.move.to === solutionMove.to;
+    if (fromMatch && toMatch && ply.move.promotion && solutionMove.promotion) {
+      return { color: "yellow", reason: FEEDBACK_REASONS.WRONG_PROMOTION };
+    }
+    if (fromMatch) {
+      return { color: "yellow", reason: FEEDBACK_REASONS.RIGHT_PIECE };
+    }
+    if (toMatch) {
+      return { color: "yellow", reason: FEEDBACK_REASONS.RIGHT_DESTINATION };
+    }
+    return { color: "red", reason: FEEDBACK_REASONS.WRONG_MOVE };
+  });
+  for (let index = userLine.length; index <= lastSolutionIndex; index++) {
+    scoredPlies.push({ color: "red", reason: FEEDBACK_REASONS.MISSING_MOVE });
+  }
+  return scoredPlies;
+};
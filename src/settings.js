@@ -0,0 +1,132 @@
+// --- Player Settings ---
+// Preferences chosen in the settings modal. They are kept in localStorage as
+// one object and read back on startup; unknown or invalid values fall back
+// to the defaults, so a settings version change never breaks the app.
+
+const SETTINGS_STORAGE_KEY = "chessdle_settings";
+
+/** UI languages, labeled in their own language; "auto" follows the browser. */
+export const LANGUAGES = {
+  auto: { label: "Match my device" },
+  en: { label: "English" },
+  de: { label: "Deutsch" },
+  es: { label: "Español" },
+};
+
+/** How moves are written: localized piece letters or figurines. */
+export const MOVE_NOTATIONS = {
+  letters: { label: "Letters (Nf3)" },
+  figurines: { label: "Figurines (♘f3)" },
+};
+
+/** App color themes; "system" follows the device's light/dark preference. */
+export const COLOR_THEMES = {
+  system: { label: "Match my device" },
+  dark: { label: "Dark" },
+  light: { label: "Light" },
+  "high-contrast": { label: "High contrast" },
+};
+
+/** Board square colors, keyed by theme. */
+export const BOARD_THEMES = {
+  green: {
+    label: "Chessdle green",
+    dark: "var(--dark-green-600)",
+    light: "var(--dark-green-300)",
+  },
+  wood: { label: "Wood", dark: "#b58863", light: "#f0d9b5" },
+  blue: { label: "Blue", dark: "#8ca2ad", light: "#dee3e6" },
+  gray: { label: "Gray", dark: "#8b8f94", light: "#d6d9dc" },
+};
+
+/** Piece sets: react-chessboard's own pieces, chess glyphs or letters. */
+export const PIECE_SETS = {
+  standard: { label: "Standard" },
+  glyphs: { label: "Glyphs" },
+  letters: { label: "Letters" },
+};
+
+/** Piece animation speeds, as react-chessboard animation durations in ms. */
+export const ANIMATION_SPEEDS = {
+  off: { label: "Off", duration: 0 },
+  fast: { label: "Fast", duration: 150 },
+  normal: { label: "Normal", duration: 300 },
+  slow: { label: "Slow", duration: 600 },
+};
+
+/**
+ * Timed mode clocks: a time limit in ms for each attempt or for the whole
+ * puzzle. "off" plays without a clock.
+ */
+export const TIMER_MODES = {
+  off: { label: "Off" },
+  attempt30: {
+    label: "30 seconds per attempt",
+    scope: "attempt",
+    limit: 30000,
+  },
+  attempt60: { label: "1 minute per attempt", scope: "attempt", limit: 60000 },
+  puzzle180: { label: "3 minutes per puzzle", scope: "puzzle", limit: 180000 },
+  puzzle300: { label: "5 minutes per puzzle", scope: "puzzle", limit: 300000 },
+};
+
+export const DEFAULT_SETTINGS = {
+  language: "auto",
+  moveNotation: "letters",
+  colorTheme: "system",
+  colorblindFeedback: false,
+  boardTheme: "green",
+  pieceSet: "standard",
+  animationSpeed: "normal",
+  showCoordinates: true,
+  confirmBeforeSubmit: false,
+  sounds: false,
+  hardMode: false,
+  timer: "off",
+};
+
+// Allowed values per setting: an options map, or "boolean"
+const SETTING_OPTIONS = {
+  language: LANGUAGES,
+  moveNotation: MOVE_NOTATIONS,
+  colorTheme: COLOR_THEMES,
+  colorblindFeedback: "boolean",
+  boardTheme: BOARD_THEMES,
+  pieceSet: PIECE_SETS,
+  animationSpeed: ANIMATION_SPEEDS,
+  showCoordinates: "boolean",
+  confirmBeforeSubmit: "boolean",
+  sounds: "boolean",
+  hardMode: "boolean",
+  timer: TIMER_MODES,
+};
+
+const isValidSetting = (key, value) => {
+  const options = SETTING_OPTIONS[key];
+  if (options === "boolean") return typeof value === "boolean";
+  return Object.keys(options).includes(value);
+};
+
+/** Reads the saved settings, filling in defaults for anything missing. */
+export const readSettings = () => {
+  const settings = { ...DEFAULT_SETTINGS };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (saved && typeof saved === "object") {
+      Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+        if (isValidSetting(key, saved[key])) settings[key] = saved[key];
+      });
+    }
+  } catch (storageError) {
+    console.error("Error reading settings:", storageError);
+  }
+  return settings;
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (storageError) {
+    console.error("Error saving settings:", storageError);
+  }
+};
@@ -0,0 +1,57 @@
+// --- Sound Effects ---
+// Short tones made with the Web Audio API, so there are no audio files to
+// bundle or cache for offline play. Each sound is a list of notes played one
+// after another.
+
+const SOUNDS = {
+  move: [{ frequency: 520, duration: 0.05 }],
+  rejected: [{ frequency: 180, duration: 0.12 }],
+  wrong: [
+    { frequency: 392, duration: 0.1 },
+    { frequency: 311, duration: 0.16 },
+  ],
+  won: [
+    { frequency: 523, duration: 0.1 },
+    { frequency: 659, duration: 0.1 },
+    { frequency: 784, duration: 0.22 },
+  ],
+  lost: [
+    { frequency: 330, duration: 0.14 },
+    { frequency: 262, duration: 0.14 },
+    { frequency: 196, duration: 0.3 },
+  ],
+};
+const SOUND_VOLUME = 0.08;
+
+let audioContext = null;
+
+/**
+ * Plays a named sound ("move", "rejected", "wrong", "won" or "lost").
+ * Does nothing where Web Audio isn't available.
+ */
+export const playSound = (name) => {
+  const notes = SOUNDS[name];
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!notes || !AudioContextClass) return;
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    if (audioContext.state === "suspended") audioContext.resume();
+
+    let startTime = audioContext.currentTime;
+    notes.forEach(({ frequency, duration }) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.type = "sine";
+      oscillator.frequency.value = frequency;
+      // Fade out to avoid a click at the end of each note
+      gain.gain.setValueAtTime(SOUND_VOLUME, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(startTime);
+      oscillator.stop(startTime + duration);
+      startTime += duration;
+    });
+  } catch (audioError) {
+    console.warn("Could not play sound:", audioError);
+  }
+};
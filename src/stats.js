@@ -0,0 +1,120 @@
+// --- Player Statistics ---
+// Derives games played, win rate, streaks and the attempts histogram from the
+// per-puzzle progress records that App persists to localStorage.
+
+import { getDailyDateKey } from "./puzzleCache";
+
+const FINISHED_STATES = ["won", "lost"];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a "YYYY-MM-DD" key to a whole day number, so consecutive
+ * calendar days always differ by exactly 1 (DST shifts don't matter).
+ */
+const dateKeyToDayNumber = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+};
+
+/**
+ * Reads every finished puzzle record stored under the given key prefix.
+ * Invalid entries and non-record keys sharing the prefix are skipped, as are
+ * "final move only" records, which have their own progress and no stats.
+ */
+export const readFinishedGames = (keyPrefix) => {
+  const games = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(keyPrefix)) continue;
+      let record;
+      try {
+        record = JSON.parse(localStorage.getItem(key));
+      } catch {
+        continue;
+      }
+      if (
+        !record ||
+        typeof record !== "object" ||
+        !Array.isArray(record.attemptsHistory) ||
+        !FINISHED_STATES.includes(record.gameState) ||
+        record.gameMode === "final"
+      ) {
+        continue;
+      }
+      games.push({
+        puzzleId: key.slice(keyPrefix.length),
+        gameState: record.gameState,
+        attemptsUsed: record.attemptsHistory.length,
+        completedOn:
+          typeof record.completedOn === "string" ? record.completedOn : null,
+        isArchive: record.isArchive === true,
+        isHardMode: record.hardMode === true,
+      });
+    }
+  } catch (storageError) {
+    console.error("Error reading statistics from localStorage:", storageError);
+  }
+  return games;
+};
+
+/**
+ * Computes the statistics shown in the stats modal.
+ * Days are UTC days, like the daily puzzles, and a daily's completedOn is the
+ * day it was the daily for.
+ * A day counts towards a streak when at least one game won that day;
+ * a day without a win (skipped or lost) breaks it. The current streak stays
+ * alive until the end of the day after the last win, unless a loss came later.
+ * Archive puzzles count towards played games and win % but not streaks.
+ * Hard mode wins are also counted on their own.
+ */
+export const computeStats = (games, maxAttempts, today = new Date()) => {
+  const played = games.length;
+  const wins = games.filter((game) => game.gameState === "won");
+  const distribution = Array.from({ length: maxAttempts }, () => 0);
+  wins.forEach((game) => {
+    const index = game.attemptsUsed - 1;
+    if (index >= 0 && index < maxAttempts) distribution[index] += 1;
+  });
+
+  const streakGames = games.filter(
+    (game) => game.completedOn && !game.isArchive
+  );
+  const winDays = [
+    ...new Set(
+      streakGames
+        .filter((game) => game.gameState === "won")
+        .map((game) => dateKeyToDayNumber(game.completedOn))
+    ),
+  ].sort((a, b) => a - b);
+
+  let bestStreak = 0;
+  let runLength = 0;
+  winDays.forEach((day, index) => {
+    runLength = index > 0 && day - winDays[index - 1] === 1 ? runLength + 1 : 1;
+    bestStreak = Math.max(bestStreak, runLength);
+  });
+
+  // A loss played after the last win also ends the current streak
+  const lastPlayedDay = Math.max(
+    -Infinity,
+    ...streakGames.map((game) => dateKeyToDayNumber(game.completedOn))
+  );
+  const todayNumber = dateKeyToDayNumber(getDailyDateKey(today));
+  const lastWinDay = winDays[winDays.length - 1];
+  const currentStreak =
+    lastWinDay !== undefined &&
+    lastPlayedDay === lastWinDay &&
+    todayNumber - lastWinDay <= 1
+      ? runLength
+      : 0;
+
+  return {
+    played,
+    winPercentage: played > 0 ? Math.round((wins.length / played) * 100) : 0,
+    currentStreak,
+    bestStreak,
+    distribution,
+    hardModeWins: wins.filter((game) => game.isHardMode).length,
+  };
+};
@@ -0,0 +1,63 @@
+// --- Timed Mode ---
+// The clock of a timed game. It starts when the first move of the puzzle (or,
+// with a clock per attempt, of each attempt) is dropped and runs on
+// wall-clock time, so it keeps running while the app is closed.
+
+import { TIMER_MODES } from "./settings";
+
+/** A clock that hasn't started. Timestamps are in ms since the epoch. */
+export const EMPTY_CLOCK = {
+  startedAt: null, // First move of the puzzle
+  attemptStartedAt: null, // First move of the current attempt
+  solveTime: null, // Ms the clock ran for the whole game, see getSolveTime
+};
+
+const toTimestamp = (value) =>
+  Number.isFinite(value) && value >= 0 ? value : null;
+
+/** Reads a clock back from saved progress, dropping anything invalid. */
+export const restoreClock = (saved) => ({
+  startedAt: toTimestamp(saved?.startedAt),
+  attemptStartedAt: toTimestamp(saved?.attemptStartedAt),
+  solveTime: toTimestamp(saved?.solveTime),
+});
+
+/**
+ * When the running clock of a timer mode started: the attempt's first move
+ * for a clock per attempt, the puzzle's first move otherwise. Null while it
+ * hasn't started.
+ */
+export const getClockStart = (timerMode, clock) =>
+  TIMER_MODES[timerMode]?.scope === "attempt"
+    ? clock.attemptStartedAt
+    : clock.startedAt;
+
+/**
+ * The solve time of a game that just ended. With a clock for the whole
+ * puzzle it's the time since the first move; with a clock per attempt it
+ * adds up each attempt's own `elapsed` time, leaving out the pauses between
+ * attempts. Null if the clock never started.
+ */
+export const getSolveTime = (timerMode, clock, attempts, now = Date.now()) => {
+  if (clock.startedAt === null) return null;
+  if (TIMER_MODES[timerMode]?.scope !== "attempt") return now - clock.startedAt;
+  return attempts.reduce((total, attempt) => total + (attempt.elapsed ?? 0), 0);
+};
+
+/** Milliseconds left on a clock, the whole limit while it hasn't started. */
+export const getTimeLeft = (limit, startedAt, now = Date.now()) =>
+  startedAt === null ? limit : Math.max(0, startedAt + limit - now);
+
+/**
+ * Formats a duration as "M:SS", or "H:MM:SS" from an hour on. Partial
+ * seconds round up, so "0:00" only shows once the time is up.
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
@@ -0,0 +1,183 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  PUZZLE_DATA_ERRORS,
+  PuzzleDataError,
+  normalizePuzzle,
+} from "../src/normalizePuzzle";
+import dailyWhiteToMove from "./fixtures/daily-white-to-move.json";
+import puzzleBlackToMove from "./fixtures/puzzle-black-to-move.json";
+import puzzleLongBlackToMove from "./fixtures/puzzle-long-black-to-move.json";
+
+// Position after the daily's PGN, where white mates with Qxf7#
+const SCHOLARS_MATE_FEN =
+  "r1bqkb1r/pppp1ppp/2n2n2/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 4 4";
+
+// A copy of a fixture with changes to its game and puzzle objects
+const withChanges = (fixture, { game = {}, puzzle = {} } = {}) => ({
+  ...fixture,
+  game: { ...fixture.game, ...game },
+  puzzle: { ...fixture.puzzle, ...puzzle },
+});
+
+const expectPuzzleDataError = (response, code) => {
+  let error;
+  try {
+    normalizePuzzle(response);
+  } catch (thrown) {
+    error = thrown;
+  }
+  expect(error).toBeInstanceOf(PuzzleDataError);
+  expect(error.code).toBe(code);
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("normalizePuzzle", () => {
+  it("plays the daily's PGN up to a white-to-move start", () => {
+    expect(normalizePuzzle(dailyWhiteToMove)).toEqual({
+      id: "K69di",
+      rating: 612,
+      initialFen: SCHOLARS_MATE_FEN,
+      solution: ["h5f7"],
+      playerColor: "white",
+      themes: ["mateIn1", "oneMove", "opening", "short"],
+    });
+  });
+
+  it("plays a puzzle's PGN up to a black-to-move start", () => {
+    const puzzle = normalizePuzzle(puzzleBlackToMove);
+    expect(puzzle.initialFen).toBe(
+      "rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2"
+    );
+    expect(puzzle.playerColor).toBe("black");
+    expect(puzzle.solution).toEqual(["d8h4"]);
+  });
+
+  it("includes the opponent's move at initialPly in a longer game", () => {
+    const puzzle = normalizePuzzle(puzzleLongBlackToMove);
+    expect(puzzle.initialFen).toBe(
+      "r1b1kbnr/pppp1Npp/8/8/3nq3/8/PPPPBP1P/RNBQKR2 b Qkq - 1 7"
+    );
+    expect(puzzle.playerColor).toBe("black");
+  });
+
+  it("lowercases solution moves and defaults missing rating and themes", () => {
+    const puzzle = normalizePuzzle(
+      withChanges(dailyWhiteToMove, {
+        puzzle: { solution: ["H5F7"], rating: undefined, themes: undefined },
+      })
+    );
+    expect(puzzle.solution).toEqual(["h5f7"]);
+    expect(puzzle.rating).toBe("N/A");
+    expect(puzzle.themes).toEqual([]);
+  });
+
+  describe("side to move", () => {
+    it("keeps a given FEN whose first solution move is legal", () => {
+      const puzzle = normalizePuzzle(
+        withChanges(dailyWhiteToMove, { game: { fen: SCHOLARS_MATE_FEN } })
+      );
+      expect(puzzle.initialFen).toBe(SCHOLARS_MATE_FEN);
+      expect(puzzle.playerColor).toBe("white");
+    });
+
+    it("flips the turn marker when only the other side can play the first move", () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      const wrongTurnFen = SCHOLARS_MATE_FEN.replace(" w ", " b ");
+      const puzzle = normalizePuzzle(
+        withChanges(dailyWhiteToMove, { game: { fen: wrongTurnFen } })
+      );
+      expect(puzzle.initialFen).toBe(SCHOLARS_MATE_FEN);
+      expect(puzzle.playerColor).toBe("white");
+    });
+
+    it("flips a black-to-move position given with white to move", () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      const blackToMoveFen = normalizePuzzle(puzzleBlackToMove).initialFen;
+      const puzzle = normalizePuzzle(
+        withChanges(puzzleBlackToMove, {
+          game: { fen: blackToMoveFen.replace(" b ", " w ") },
+        })
+      );
+      expect(puzzle.initialFen).toBe(blackToMoveFen);
+      expect(puzzle.playerColor).toBe("black");
+    });
+
+    it("keeps the FEN when neither side can play the first move", () => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      const puzzle = normalizePuzzle(
+        withChanges(dailyWhiteToMove, {
+          game: { fen: SCHOLARS_MATE_FEN },
+          puzzle: { solution: ["e1e8"] },
+        })
+      );
+      expect(puzzle.initialFen).toBe(SCHOLARS_MATE_FEN);
+    });
+  });
+
+  describe("errors", () => {
+    it("rejects a response without a puzzle", () => {
+      expectPuzzleDataError(
+        { game: dailyWhiteToMove.game },
+        PUZZLE_DATA_ERRORS.INVALID_RESPONSE
+      );
+      expectPuzzleDataError(null, PUZZLE_DATA_ERRORS.INVALID_RESPONSE);
+    });
+
+    it("rejects a puzzle without an id", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { id: "" } }),
+        PUZZLE_DATA_ERRORS.MISSING_ID
+      );
+    });
+
+    it("rejects a missing or empty solution", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { solution: [] } }),
+        PUZZLE_DATA_ERRORS.MISSING_SOLUTION
+      );
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { solution: "h5f7" } }),
+        PUZZLE_DATA_ERRORS.MISSING_SOLUTION
+      );
+    });
+
+    it("rejects a solution move that isn't UCI", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { solution: ["Qxf7#"] } }),
+        PUZZLE_DATA_ERRORS.INVALID_SOLUTION_MOVE
+      );
+    });
+
+    it("rejects a game with neither a FEN nor a usable PGN", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { game: { pgn: undefined } }),
+        PUZZLE_DATA_ERRORS.MISSING_POSITION
+      );
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { initialPly: -1 } }),
+        PUZZLE_DATA_ERRORS.MISSING_POSITION
+      );
+    });
+
+    it("rejects a PGN that doesn't reach initialPly", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { puzzle: { initialPly: 20 } }),
+        PUZZLE_DATA_ERRORS.INVALID_PGN
+      );
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { game: { pgn: "e4 e5 Ke3 Ke6" } }),
+        PUZZLE_DATA_ERRORS.INVALID_PGN
+      );
+    });
+
+    it("rejects an invalid FEN", () => {
+      expectPuzzleDataError(
+        withChanges(dailyWhiteToMove, { game: { fen: "not a fen" } }),
+        PUZZLE_DATA_ERRORS.INVALID_FEN
+      );
+    });
+  });
+});
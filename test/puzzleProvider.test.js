@@ -0,0 +1,242 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createPuzzleProvider,
+  validatePuzzleResponse,
+} from "../src/puzzleProvider";
+import dailyWhiteToMove from "./fixtures/daily-white-to-move.json";
+
+const PRIMARY = "https://primary.test{path}";
+const FALLBACK = "https://fallback.test/raw?url={url}";
+
+// Minimal stand-ins for fetch Responses
+const jsonResponse = (data) => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  json: async () => data,
+});
+const errorResponse = (status, statusText = "") => ({
+  ok: false,
+  status,
+  statusText,
+  json: async () => ({}),
+});
+
+// A request that only ends when it's aborted, like a server that never answers
+const hangingRequest = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () =>
+      reject(new DOMException("Aborted", "AbortError"))
+    );
+  });
+
+// Settles a provider call while the fake timers run its timeouts and backoff
+const settle = async (promise) => {
+  const outcome = promise.then(
+    (value) => ({ value }),
+    (error) => ({ error })
+  );
+  await vi.runAllTimersAsync();
+  return outcome;
+};
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("createPuzzleProvider", () => {
+  it("fetches the daily puzzle from the first endpoint", async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse(dailyWhiteToMove));
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY, FALLBACK],
+      fetchImpl,
+    });
+
+    const { value } = await settle(provider.fetchDailyPuzzle());
+
+    expect(value).toEqual(dailyWhiteToMove);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(fetchImpl.mock.calls[0][0]).toBe(
+      "https://primary.test/api/puzzle/daily"
+    );
+  });
+
+  it("falls back to the next endpoint with the encoded Lichess URL", async () => {
+    const fetchImpl = vi.fn(async (url) => {
+      if (url.startsWith("https://primary.test")) {
+        throw new TypeError("Failed to fetch");
+      }
+      return jsonResponse(dailyWhiteToMove);
+    });
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY, FALLBACK],
+      retries: 0,
+      fetchImpl,
+    });
+
+    const { value } = await settle(provider.fetchPuzzleById("K69di"));
+
+    expect(value).toEqual(dailyWhiteToMove);
+    expect(fetchImpl.mock.calls.map(([url]) => url)).toEqual([
+      "https://primary.test/api/puzzle/K69di",
+      `https://fallback.test/raw?url=${encodeURIComponent(
+        "https://lichess.org/api/puzzle/K69di"
+      )}`,
+    ]);
+  });
+
+  it("gives up on an endpoint that doesn't answer in time", async () => {
+    const fetchImpl = vi.fn(hangingRequest);
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY],
+      timeout: 1000,
+      retries: 0,
+      fetchImpl,
+    });
+
+    const { error } = await settle(provider.fetchDailyPuzzle());
+
+    expect(error.message).toBe(
+      "All puzzle sources failed (primary.test: Timed out after 1000ms)"
+    );
+    expect(fetchImpl.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it("retries temporary failures with a doubling backoff", async () => {
+    const fetchImpl = vi
+      .fn()
+      .mockResolvedValueOnce(errorResponse(503, "Service Unavailable"))
+      .mockResolvedValueOnce(errorResponse(429, "Too Many Requests"))
+      .mockResolvedValue(jsonResponse(dailyWhiteToMove));
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY, FALLBACK],
+      retries: 2,
+      backoff: 100,
+      fetchImpl,
+    });
+
+    const request = provider.fetchDailyPuzzle();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(99);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+
+    await expect(request).resolves.toEqual(dailyWhiteToMove);
+    // Every attempt went to the first endpoint
+    fetchImpl.mock.calls.forEach(([url]) =>
+      expect(url).toBe("https://primary.test/api/puzzle/daily")
+    );
+  });
+
+  it("moves on after the last retry fails", async () => {
+    const fetchImpl = vi.fn(async (url) =>
+      url.startsWith("https://primary.test")
+        ? errorResponse(500)
+        : jsonResponse(dailyWhiteToMove)
+    );
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY, FALLBACK],
+      retries: 1,
+      fetchImpl,
+    });
+
+    const { value } = await settle(provider.fetchDailyPuzzle());
+
+    expect(value).toEqual(dailyWhiteToMove);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry permanent errors", async () => {
+    const fetchImpl = vi.fn(async (url) =>
+      url.startsWith("https://primary.test")
+        ? errorResponse(404, "Not Found")
+        : { ...jsonResponse(null), json: async () => JSON.parse("<html>") }
+    );
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY, FALLBACK],
+      retries: 3,
+      fetchImpl,
+    });
+
+    const { error } = await settle(provider.fetchPuzzleById("zzzzz"));
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(error.message).toBe(
+      "All puzzle sources failed (primary.test: HTTP 404 Not Found; fallback.test: Response is not JSON)"
+    );
+  });
+
+  it("rejects responses that aren't Lichess puzzles without retrying", async () => {
+    const fetchImpl = vi.fn(async () =>
+      jsonResponse({ ...dailyWhiteToMove, puzzle: { solution: ["e2e4"] } })
+    );
+    const provider = createPuzzleProvider({
+      endpoints: [PRIMARY],
+      retries: 2,
+      fetchImpl,
+    });
+
+    const { error } = await settle(provider.fetchDailyPuzzle());
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(error.message).toBe(
+      "All puzzle sources failed (primary.test: Invalid puzzle data: Missing puzzle id)"
+    );
+  });
+});
+
+describe("validatePuzzleResponse", () => {
+  it("accepts a Lichess puzzle response", () => {
+    expect(validatePuzzleResponse(dailyWhiteToMove)).toBeNull();
+  });
+
+  it("accepts a starting FEN instead of a PGN", () => {
+    expect(
+      validatePuzzleResponse({
+        ...dailyWhiteToMove,
+        game: {
+          ...dailyWhiteToMove.game,
+          pgn: undefined,
+          fen: "6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1",
+        },
+      })
+    ).toBeNull();
+  });
+
+  it.each([
+    ["not an object", "<html>", "Response is not an object"],
+    ["no puzzle", { game: dailyWhiteToMove.game }, "Missing puzzle"],
+    [
+      "an empty solution",
+      {
+        ...dailyWhiteToMove,
+        puzzle: { ...dailyWhiteToMove.puzzle, solution: [] },
+      },
+      "Missing or invalid solution",
+    ],
+    ["no game", { puzzle: dailyWhiteToMove.puzzle }, "Missing game"],
+    [
+      "a PGN without an initial ply",
+      {
+        ...dailyWhiteToMove,
+        puzzle: { ...dailyWhiteToMove.puzzle, initialPly: undefined },
+      },
+      "Missing starting position (fen or pgn)",
+    ],
+  ])("rejects %s", (description, data, message) => {
+    expect(validatePuzzleResponse(data)).toBe(message);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { FEEDBACK_REASONS, scoreSequence } from "../src/scoring";
+
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+const SOLUTION = ["e2e4", "e7e5", "g1f3"];
+// White mates on the back rank with either rook
+const BACK_RANK_FEN = "6k1/5ppp/8/8/8/8/8/R3R1K1 w - - 0 1";
+// White's a-pawn is about to promote
+const PROMOTION_FEN = "8/P7/8/8/8/8/8/k3K3 w - - 0 1";
+
+const colorsAndReasons = (scored) =>
+  scored.map((ply) => [ply.color, ply.reason]);
+
+describe("scoreSequence", () => {
+  it("scores a complete, correct line green", () => {
+    const scored = scoreSequence(START_FEN, SOLUTION, ["e4", "e5", "Nf3"]);
+    expect(scored.map((ply) => ply.color)).toEqual(["green", "green", "green"]);
+  });
+
+  it("scores the solution plies a short line didn't reach as missing", () => {
+    const scored = scoreSequence(START_FEN, SOLUTION, ["e4"]);
+    expect(scored).toEqual([
+      { color: "green", reason: FEEDBACK_REASONS.EXACT },
+      { color: "red", reason: FEEDBACK_REASONS.MISSING_MOVE },
+      { color: "red", reason: FEEDBACK_REASONS.MISSING_MOVE },
+    ]);
+  });
+
+  it("scores an empty line as all missing", () => {
+    const scored = scoreSequence(START_FEN, SOLUTION, []);
+    expect(scored).toHaveLength(SOLUTION.length);
+    expect(scored.every((ply) => ply.color === "red")).toBe(true);
+  });
+
+  it("scores a different move order that reaches the solution as transposition", () => {
+    const scored = scoreSequence(
+      START_FEN,
+      ["g1f3", "g8f6", "b1c3"],
+      ["Nc3", "Nf6", "Nf3"]
+    );
+    expect(colorsAndReasons(scored)).toEqual([
+      ["green", FEEDBACK_REASONS.TRANSPOSITION],
+      ["green", FEEDBACK_REASONS.TRANSPOSITION],
+      ["green", FEEDBACK_REASONS.TRANSPOSITION],
+    ]);
+  });
+
+  it("scores a different final mate as an alternative mate", () => {
+    const scored = scoreSequence(BACK_RANK_FEN, ["a1a8"], ["Re8#"]);
+    expect(colorsAndReasons(scored)).toEqual([
+      ["green", FEEDBACK_REASONS.ALTERNATIVE_MATE],
+    ]);
+  });
+
+  it("scores a promotion to a different piece as a wrong promotion", () => {
+    const scored = scoreSequence(PROMOTION_FEN, ["a7a8q"], ["a8=N"]);
+    expect(colorsAndReasons(scored)).toEqual([
+      ["yellow", FEEDBACK_REASONS.WRONG_PROMOTION],
+    ]);
+  });
+
+  it("scores the solution's piece on another square as the right piece", () => {
+    const scored = scoreSequence(START_FEN, ["e2e4"], ["e3"]);
+    expect(colorsAndReasons(scored)).toEqual([
+      ["yellow", FEEDBACK_REASONS.RIGHT_PIECE],
+    ]);
+  });
+
+  it("scores another piece on the solution's square as the right destination", () => {
+    const scored = scoreSequence(START_FEN, ["g1f3"], ["f3"]);
+    expect(colorsAndReasons(scored)).toEqual([
+      ["yellow", FEEDBACK_REASONS.RIGHT_DESTINATION],
+    ]);
+  });
+
+  it("scores the solution's move after an earlier wrong move green", () => {
+    const scored = scoreSequence(START_FEN, SOLUTION, ["d4", "e5", "Nf3"]);
+    expect(colorsAndReasons(scored)).toEqual([
+      ["red", FEEDBACK_REASONS.WRONG_MOVE],
+      ["green", FEEDBACK_REASONS.SAME_MOVE],
+      ["green", FEEDBACK_REASONS.SAME_MOVE],
+    ]);
+  });
+
+  it("scores plies beyond the solution as extra", () => {
+    const scored = scoreSequence(START_FEN, SOLUTION, [
+      "e4",
+      "e5",
+      "Nf3",
+      "Nc6",
+    ]);
+    expect(scored).toHaveLength(4);
+    expect(scored[3]).toEqual({
+      color: "red",
+      reason: FEEDBACK_REASONS.EXTRA_MOVE,
+    });
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { EMPTY_CLOCK, getSolveTime } from "../src/timer";
+
+describe("getSolveTime", () => {
+  it("is null while the clock hasn't started", () => {
+    expect(getSolveTime("puzzle180", EMPTY_CLOCK, [], 5000)).toBeNull();
+  });
+
+  it("counts from the first move with a clock for the whole puzzle", () => {
+    const clock = { ...EMPTY_CLOCK, startedAt: 1000 };
+    expect(getSolveTime("puzzle180", clock, [], 61000)).toBe(60000);
+  });
+
+  it("adds up the attempts' own times with a clock per attempt", () => {
+    const clock = { ...EMPTY_CLOCK, startedAt: 1000, attemptStartedAt: 90000 };
+    const attempts = [{ elapsed: 12000 }, { elapsed: 30000 }, {}];
+    expect(getSolveTime("attempt30", clock, attempts, 500000)).toBe(42000);
+  });
+});
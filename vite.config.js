@@ -23,24 +23,30 @@ export default defineConfig({
       // registerType: 'autoUpdate', // Automatically update SW when new content is available
       injectRegister: "auto", // Let the plugin handle SW registration automatically
       workbox: {
-        // globPatterns: ['**/*.{js,css,html,ico,png,svg,json,woff,woff2}'], // Cache common file types
-        // Optional: Runtime caching for specific routes/origins
-        // runtimeCaching: [
-        //   {
-        //     urlPattern: /^https:\/\/api\.allorigins\.win\/.*/i, // Example: Cache the CORS proxy calls
-        //     handler: 'NetworkFirst', // Or 'CacheFirst', 'StaleWhileRevalidate'
-        //     options: {
-        //       cacheName: 'api-cache',
-        //       expiration: {
-        //         maxEntries: 10,
-        //         maxAgeSeconds: 60 * 60 * 24 // 1 day
-        //       },
-        //       cacheableResponse: {
-        //         statuses: [0, 200] // Cache successful responses & opaque responses
-        //       }
-        //     }
-        //   }
-        // ]
+        globPatterns: ["**/*.{js,css,html,ico,png,svg}"], // Precache the app shell so it opens offline
+        // Cache puzzle responses so the installed app can show the last puzzle offline
+        runtimeCaching: [
+          {
+            // Puzzle requests to Lichess, a relay mirroring its paths, or a proxy (?url=...)
+            urlPattern: ({ url }) =>
+              url.pathname.startsWith("/api/puzzle/") ||
+              [...url.searchParams.values()].some((value) =>
+                value.startsWith("https://lichess.org/api/puzzle/")
+              ),
+            handler: "NetworkFirst", // Always prefer a fresh daily puzzle
+            options: {
+              cacheName: "puzzle-cache",
+              networkTimeoutSeconds: 8, // Fall back to the cache on a stalled connection
+              expiration: {
+                maxEntries: 30,
+                maxAgeSeconds: 60 * 60 * 24 * 30, // 30 days, for archive puzzles
+              },
+              cacheableResponse: {
+                statuses: [200], // Only cache real puzzle responses, never errors
+              },
+            },
+          },
+        ],
       },
       manifest: {
         short_name: "Chessdle!",